@@ -121,6 +121,159 @@ public class DiffChunk
     public List<DiffLine> Lines { get; set; } = new();
 }
 
+/// <summary>
+/// Review state of a hunk, derived from the decisions on its lines
+/// </summary>
+public enum DiffHunkState
+{
+    /// <summary>
+    /// No line of the hunk has been decided
+    /// </summary>
+    Pending,
+    
+    /// <summary>
+    /// Every line of the hunk has been accepted
+    /// </summary>
+    Accepted,
+    
+    /// <summary>
+    /// Every line of the hunk has been rejected
+    /// </summary>
+    Rejected,
+    
+    /// <summary>
+    /// The hunk has a mix of accepted, rejected and undecided lines
+    /// </summary>
+    Mixed
+}
+
+/// <summary>
+/// A run of consecutive changed lines within a chunk, reviewed as a unit
+/// </summary>
+public class DiffHunk
+{
+    /// <summary>
+    /// Position of the hunk among all hunks of the file
+    /// </summary>
+    public int Index { get; init; }
+    
+    /// <summary>
+    /// Changed lines of the hunk, in diff order
+    /// </summary>
+    public List<DiffLine> Lines { get; init; } = new();
+    
+    /// <summary>
+    /// Review state of the hunk
+    /// </summary>
+    public DiffHunkState State
+    {
+        get
+        {
+            if (Lines.All(l => l.IsAccepted)) return DiffHunkState.Accepted;
+            if (Lines.All(l => l.IsRejected)) return DiffHunkState.Rejected;
+            if (Lines.All(l => !l.IsAccepted && !l.IsRejected)) return DiffHunkState.Pending;
+            return DiffHunkState.Mixed;
+        }
+    }
+    
+    /// <summary>
+    /// Accepts every line of the hunk
+    /// </summary>
+    public void Accept()
+    {
+        foreach (var line in Lines)
+        {
+            line.IsAccepted = true;
+            line.IsRejected = false;
+        }
+    }
+    
+    /// <summary>
+    /// Rejects every line of the hunk
+    /// </summary>
+    public void Reject()
+    {
+        foreach (var line in Lines)
+        {
+            line.IsAccepted = false;
+            line.IsRejected = true;
+        }
+    }
+}
+
+/// <summary>
+/// Side of a diff a comment thread is anchored to
+/// </summary>
+public enum DiffSide
+{
+    /// <summary>
+    /// The old file
+    /// </summary>
+    Original,
+    
+    /// <summary>
+    /// The new file
+    /// </summary>
+    Modified
+}
+
+/// <summary>
+/// A review comment in a thread
+/// </summary>
+public class DiffComment
+{
+    /// <summary>
+    /// Unique identifier for this comment
+    /// </summary>
+    public string Id { get; set; } = Guid.NewGuid().ToString("N");
+    
+    /// <summary>
+    /// Text of the comment
+    /// </summary>
+    public string Text { get; set; } = string.Empty;
+    
+    /// <summary>
+    /// When the comment was written or last edited
+    /// </summary>
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+}
+
+/// <summary>
+/// Review comments on a range of lines of one side of a diff
+/// </summary>
+public class DiffCommentThread
+{
+    /// <summary>
+    /// Unique identifier for this thread
+    /// </summary>
+    public string Id { get; set; } = Guid.NewGuid().ToString("N");
+    
+    /// <summary>
+    /// Side whose line numbers the thread refers to
+    /// </summary>
+    public DiffSide Side { get; set; } = DiffSide.Modified;
+    
+    /// <summary>
+    /// First line of the range in the file of <see cref="Side"/>
+    /// </summary>
+    public int StartLine { get; set; }
+    
+    /// <summary>
+    /// Last line of the range in the file of <see cref="Side"/>
+    /// </summary>
+    public int EndLine { get; set; }
+    
+    /// <summary>
+    /// Comments in the order they were written
+    /// </summary>
+    public List<DiffComment> Comments { get; set; } = new();
+    
+    /// <summary>
+    /// Whether the thread has been addressed
+    /// </summary>
+    public bool IsResolved { get; set; }
+}
+
 /// <summary>
 /// Enhanced diff model with line-by-line details
 /// </summary>
@@ -151,6 +304,39 @@ public class EnhancedGitFileDiff : GitFileDiff
     /// </summary>
     public bool IsInteractive { get; set; } = true;
     
+    /// <summary>
+    /// Review comment threads on lines of this diff
+    /// </summary>
+    public List<DiffCommentThread> CommentThreads { get; set; } = new();
+    
+    /// <summary>
+    /// Groups the changed lines of every chunk into hunks of consecutive changes
+    /// </summary>
+    public List<DiffHunk> GetHunks()
+    {
+        var hunks = new List<DiffHunk>();
+        foreach (var chunk in Chunks)
+        {
+            DiffHunk? current = null;
+            foreach (var line in chunk.Lines)
+            {
+                if (line.Type == DiffLineType.Unchanged)
+                {
+                    current = null;
+                    continue;
+                }
+                
+                if (current == null)
+                {
+                    current = new DiffHunk { Index = hunks.Count };
+                    hunks.Add(current);
+                }
+                current.Lines.Add(line);
+            }
+        }
+        return hunks;
+    }
+    
     /// <summary>
     /// Create an enhanced diff from a basic GitFileDiff
     /// </summary>
@@ -171,7 +357,7 @@ public class EnhancedGitFileDiff : GitFileDiff
     /// <summary>
     /// Detect programming language from file path
     /// </summary>
-    private static string DetectLanguageFromPath(string path)
+    public static string DetectLanguageFromPath(string path)
     {
         var extension = System.IO.Path.GetExtension(path).ToLowerInvariant();
         return extension switch
@@ -74,7 +74,8 @@ public enum GitFileState
     Renamed,
     Copied,
     Untracked,
-    Ignored
+    Ignored,
+    Conflicted
 }
 
 /// <summary>
@@ -175,6 +176,42 @@ public class GitFileDiff
     public string Patch { get; set; } = string.Empty;
 }
 
+/// <summary>
+/// The three versions of a file with merge conflicts, and its working copy with conflict markers
+/// </summary>
+public class GitMergeConflict
+{
+    /// <summary>
+    /// Path of the file relative to the repository root
+    /// </summary>
+    public string Path { get; set; } = string.Empty;
+    
+    /// <summary>
+    /// Programming language for syntax highlighting
+    /// </summary>
+    public string Language { get; set; } = "plaintext";
+    
+    /// <summary>
+    /// Content of the common ancestor (null if the file did not exist there)
+    /// </summary>
+    public string? BaseContent { get; set; }
+    
+    /// <summary>
+    /// Content on the current branch (null if deleted there)
+    /// </summary>
+    public string? OursContent { get; set; }
+    
+    /// <summary>
+    /// Content on the branch or stash being merged in (null if deleted there)
+    /// </summary>
+    public string? TheirsContent { get; set; }
+    
+    /// <summary>
+    /// Working copy of the file, including conflict markers
+    /// </summary>
+    public string MergedContent { get; set; } = string.Empty;
+}
+
 /// <summary>
 /// Represents the type of change in a Git diff
 /// </summary>
@@ -0,0 +1,9 @@
+namespace CodeUI.Core.Models;
+
+/// <summary>
+/// A piece of terminal output tagged with its position in the session's output stream.
+/// </summary>
+/// <param name="Sequence">Sequence number, starting at 1 and increasing by one per chunk.</param>
+/// <param name="Text">The output text, including any escape sequences.</param>
+/// <param name="FromProcess">Whether the text came from the backend process rather than from the terminal itself (prompts, echo).</param>
+public record TerminalOutputChunk(long Sequence, string Text, bool FromProcess);
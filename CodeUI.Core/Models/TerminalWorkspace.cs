@@ -0,0 +1,320 @@
+namespace CodeUI.Core.Models;
+
+/// <summary>
+/// Direction in which a terminal pane is split.
+/// </summary>
+public enum TerminalSplitDirection
+{
+    /// <summary>
+    /// Panes are placed side by side, left to right.
+    /// </summary>
+    Horizontal,
+
+    /// <summary>
+    /// Panes are stacked top to bottom.
+    /// </summary>
+    Vertical
+}
+
+/// <summary>
+/// A node in a tab's pane layout: either a single pane or a split containing further nodes.
+/// </summary>
+public class TerminalLayoutNode
+{
+    /// <summary>
+    /// The pane shown by this node, or null if this node is a split.
+    /// </summary>
+    public string? PaneId { get; private set; }
+
+    /// <summary>
+    /// Direction of the split (only meaningful when <see cref="IsPane"/> is false).
+    /// </summary>
+    public TerminalSplitDirection Direction { get; private set; }
+
+    /// <summary>
+    /// Child nodes of a split, in display order.
+    /// </summary>
+    public List<TerminalLayoutNode> Children { get; private set; } = new();
+
+    /// <summary>
+    /// Whether this node is a single pane.
+    /// </summary>
+    public bool IsPane => PaneId != null;
+
+    /// <summary>
+    /// Creates a leaf node for the specified pane.
+    /// </summary>
+    public static TerminalLayoutNode ForPane(string paneId) => new() { PaneId = paneId };
+
+    /// <summary>
+    /// Enumerates the pane ids in this subtree in display order.
+    /// </summary>
+    public IEnumerable<string> GetPaneIds()
+    {
+        if (PaneId != null)
+        {
+            yield return PaneId;
+            yield break;
+        }
+
+        foreach (var paneId in Children.SelectMany(child => child.GetPaneIds()))
+        {
+            yield return paneId;
+        }
+    }
+
+    /// <summary>
+    /// Splits the pane with the given id, placing a new pane after it.
+    /// </summary>
+    internal bool Split(string paneId, string newPaneId, TerminalSplitDirection direction)
+    {
+        if (PaneId == paneId)
+        {
+            // Turn this leaf into a split holding the original and the new pane
+            Children = [ForPane(paneId), ForPane(newPaneId)];
+            Direction = direction;
+            PaneId = null;
+            return true;
+        }
+
+        for (var i = 0; i < Children.Count; i++)
+        {
+            var child = Children[i];
+            if (child.PaneId == paneId && Direction == direction)
+            {
+                // Same direction as this split: add a sibling instead of nesting
+                Children.Insert(i + 1, ForPane(newPaneId));
+                return true;
+            }
+
+            if (child.Split(paneId, newPaneId, direction))
+            {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /// <summary>
+    /// Removes the pane with the given id from this subtree, collapsing splits left with a single child.
+    /// </summary>
+    internal bool Remove(string paneId)
+    {
+        for (var i = 0; i < Children.Count; i++)
+        {
+            var child = Children[i];
+            if (child.PaneId == paneId)
+            {
+                Children.RemoveAt(i);
+            }
+            else if (!child.Remove(paneId))
+            {
+                continue;
+            }
+
+            if (Children.Count == 1)
+            {
+                var remaining = Children[0];
+                PaneId = remaining.PaneId;
+                Direction = remaining.Direction;
+                Children = remaining.Children;
+            }
+            return true;
+        }
+
+        return false;
+    }
+}
+
+/// <summary>
+/// A terminal tab holding one or more panes.
+/// </summary>
+public class TerminalTab
+{
+    /// <summary>
+    /// Unique identifier for this tab.
+    /// </summary>
+    public string Id { get; init; } = Guid.NewGuid().ToString("N");
+
+    /// <summary>
+    /// Title shown on the tab.
+    /// </summary>
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Root of the tab's pane layout.
+    /// </summary>
+    public required TerminalLayoutNode Layout { get; init; }
+
+    /// <summary>
+    /// Pane that last had focus within this tab.
+    /// </summary>
+    public string? ActivePaneId { get; set; }
+}
+
+/// <summary>
+/// State of a tabbed, splittable terminal workspace. Each pane is bound to its own backend process
+/// by the UI; this class only tracks tabs, layout and focus.
+/// </summary>
+public class TerminalWorkspace
+{
+    private readonly List<TerminalTab> _tabs = new();
+    private int _tabCounter;
+
+    /// <summary>
+    /// Tabs in display order.
+    /// </summary>
+    public IReadOnlyList<TerminalTab> Tabs => _tabs;
+
+    /// <summary>
+    /// The tab currently shown, if any.
+    /// </summary>
+    public TerminalTab? ActiveTab { get; private set; }
+
+    /// <summary>
+    /// Creates a tab with a single pane and makes it active.
+    /// </summary>
+    /// <param name="title">Tab title. Defaults to "Terminal N".</param>
+    /// <param name="paneId">Id for the tab's pane, e.g. to reattach an existing session. Defaults to a new id.</param>
+    /// <returns>The new tab</returns>
+    public TerminalTab AddTab(string? title = null, string? paneId = null)
+    {
+        _tabCounter++;
+        paneId ??= NewPaneId();
+        var tab = new TerminalTab
+        {
+            Title = string.IsNullOrWhiteSpace(title) ? $"Terminal {_tabCounter}" : title.Trim(),
+            Layout = TerminalLayoutNode.ForPane(paneId),
+            ActivePaneId = paneId
+        };
+
+        _tabs.Add(tab);
+        ActiveTab = tab;
+        return tab;
+    }
+
+    /// <summary>
+    /// Makes the specified tab active.
+    /// </summary>
+    public bool ActivateTab(string tabId)
+    {
+        var tab = FindTab(tabId);
+        if (tab == null)
+            return false;
+
+        ActiveTab = tab;
+        return true;
+    }
+
+    /// <summary>
+    /// Renames a tab. Blank titles are ignored.
+    /// </summary>
+    public bool RenameTab(string tabId, string title)
+    {
+        var tab = FindTab(tabId);
+        if (tab == null || string.IsNullOrWhiteSpace(title))
+            return false;
+
+        tab.Title = title.Trim();
+        return true;
+    }
+
+    /// <summary>
+    /// Moves a tab to a new position, clamped to the valid range.
+    /// </summary>
+    public bool MoveTab(string tabId, int newIndex)
+    {
+        var tab = FindTab(tabId);
+        if (tab == null)
+            return false;
+
+        _tabs.Remove(tab);
+        _tabs.Insert(Math.Clamp(newIndex, 0, _tabs.Count), tab);
+        return true;
+    }
+
+    /// <summary>
+    /// Closes a tab and returns the ids of the panes it contained, so their processes can be stopped.
+    /// </summary>
+    public IReadOnlyList<string> CloseTab(string tabId)
+    {
+        var tab = FindTab(tabId);
+        if (tab == null)
+            return Array.Empty<string>();
+
+        var index = _tabs.IndexOf(tab);
+        _tabs.RemoveAt(index);
+
+        if (ActiveTab == tab)
+        {
+            ActiveTab = _tabs.Count == 0 ? null : _tabs[Math.Min(index, _tabs.Count - 1)];
+        }
+
+        return tab.Layout.GetPaneIds().ToList();
+    }
+
+    /// <summary>
+    /// Splits a pane and focuses the new pane.
+    /// </summary>
+    /// <returns>The id of the new pane, or null if the pane was not found</returns>
+    public string? SplitPane(string paneId, TerminalSplitDirection direction)
+    {
+        var tab = FindTabByPane(paneId);
+        if (tab == null)
+            return null;
+
+        var newPaneId = NewPaneId();
+        tab.Layout.Split(paneId, newPaneId, direction);
+        tab.ActivePaneId = newPaneId;
+        return newPaneId;
+    }
+
+    /// <summary>
+    /// Closes a pane. Closing the last pane of a tab closes the tab.
+    /// </summary>
+    public bool ClosePane(string paneId)
+    {
+        var tab = FindTabByPane(paneId);
+        if (tab == null)
+            return false;
+
+        if (tab.Layout.PaneId == paneId)
+        {
+            CloseTab(tab.Id);
+            return true;
+        }
+
+        tab.Layout.Remove(paneId);
+        if (tab.ActivePaneId == paneId)
+        {
+            tab.ActivePaneId = tab.Layout.GetPaneIds().First();
+        }
+        return true;
+    }
+
+    /// <summary>
+    /// Records that a pane received focus, activating its tab.
+    /// </summary>
+    public void FocusPane(string paneId)
+    {
+        var tab = FindTabByPane(paneId);
+        if (tab == null)
+            return;
+
+        tab.ActivePaneId = paneId;
+        ActiveTab = tab;
+    }
+
+    /// <summary>
+    /// Finds the tab containing the specified pane.
+    /// </summary>
+    public TerminalTab? FindTabByPane(string paneId)
+    {
+        return _tabs.FirstOrDefault(tab => tab.Layout.GetPaneIds().Contains(paneId));
+    }
+
+    private TerminalTab? FindTab(string tabId) => _tabs.FirstOrDefault(tab => tab.Id == tabId);
+
+    private static string NewPaneId() => Guid.NewGuid().ToString("N");
+}
@@ -0,0 +1,10 @@
+namespace CodeUI.Core.Services;
+
+/// <summary>
+/// Default factory creating <see cref="CliExecutor"/> instances.
+/// </summary>
+public class CliExecutorFactory : ICliExecutorFactory
+{
+    /// <inheritdoc />
+    public ICliExecutor Create() => new CliExecutor();
+}
@@ -1,4 +1,5 @@
 using CodeUI.Core.Models;
+using System.Text;
 using System.Text.RegularExpressions;
 
 namespace CodeUI.Core.Services;
@@ -10,6 +11,9 @@ public class DiffService : IDiffService
 {
     private static readonly Regex ChunkHeaderRegex = new(@"^@@\s*-(\d+)(?:,(\d+))?\s*\+(\d+)(?:,(\d+))?\s*@@", RegexOptions.Compiled);
     
+    // Largest subsequence table DiffLines allocates (16 MB), e.g. 2000 changed lines against 2000
+    private const long MaxLineDiffCells = 4_000_000;
+    
     /// <summary>
     /// Converts a basic GitFileDiff into an enhanced diff with line-by-line details
     /// </summary>
@@ -93,6 +97,285 @@ public class DiffService : IDiffService
         }, cancellationToken);
     }
     
+    /// <summary>
+    /// Recomputes a diff after its modified side was edited
+    /// </summary>
+    public async Task<EnhancedGitFileDiff> UpdateModifiedContentAsync(EnhancedGitFileDiff enhancedDiff, string modifiedContent, CancellationToken cancellationToken = default)
+    {
+        return await Task.Run(() =>
+        {
+            var originalLines = enhancedDiff.Chunks
+                .SelectMany((chunk, index) => chunk.Lines
+                    .Where(l => l.Type != DiffLineType.Added)
+                    .Select(line => (Line: line, Chunk: index)))
+                .ToList();
+            var modifiedLines = modifiedContent.Split('\n').Select(l => l.TrimEnd('\r')).ToList();
+
+            // An empty modified side is one empty line in the editor, but no lines in the diff
+            if (modifiedLines.Count == 1 && modifiedLines[0].Length == 0)
+            {
+                modifiedLines.Clear();
+            }
+
+            var sourceChunks = enhancedDiff.Chunks.Count > 0
+                ? enhancedDiff.Chunks
+                : new List<DiffChunk> { new() { OldStartLine = 0, NewStartLine = 1 } };
+            var chunkLines = sourceChunks.Select(_ => new List<DiffLine>()).ToList();
+
+            // Added lines belong to the chunk of the original line before them
+            var currentChunk = 0;
+            foreach (var (type, originalIndex, modifiedIndex) in DiffLines(originalLines.Select(l => l.Line.Content).ToList(), modifiedLines))
+            {
+                if (type == DiffLineType.Added)
+                {
+                    chunkLines[currentChunk].Add(new DiffLine { Type = DiffLineType.Added, Content = modifiedLines[modifiedIndex] });
+                    continue;
+                }
+
+                var (original, chunk) = originalLines[originalIndex];
+                currentChunk = chunk;
+                chunkLines[chunk].Add(new DiffLine
+                {
+                    Type = type,
+                    Content = original.Content,
+                    OldLineNumber = original.OldLineNumber,
+                    IsAccepted = type == DiffLineType.Deleted && original.IsAccepted,
+                    IsRejected = type == DiffLineType.Deleted && original.IsRejected
+                });
+            }
+
+            var updated = EnhancedGitFileDiff.FromGitFileDiff(enhancedDiff);
+            updated.Language = enhancedDiff.Language;
+            updated.OldContent = enhancedDiff.OldContent;
+            updated.IsInteractive = enhancedDiff.IsInteractive;
+            updated.CommentThreads = enhancedDiff.CommentThreads;
+
+            // Chunks start as many lines later in the new file as were added before them
+            var shift = 0;
+            for (var i = 0; i < sourceChunks.Count; i++)
+            {
+                var source = sourceChunks[i];
+                var chunk = new DiffChunk
+                {
+                    OldStartLine = source.OldStartLine,
+                    OldLineCount = chunkLines[i].Count(l => l.Type != DiffLineType.Added),
+                    NewStartLine = source.NewStartLine + shift,
+                    Lines = chunkLines[i]
+                };
+
+                var newLineNumber = chunk.NewStartLine;
+                foreach (var line in chunk.Lines.Where(l => l.Type != DiffLineType.Deleted))
+                {
+                    line.NewLineNumber = newLineNumber++;
+                }
+
+                chunk.NewLineCount = newLineNumber - chunk.NewStartLine;
+                shift += chunk.NewLineCount - source.Lines.Count(l => l.Type != DiffLineType.Deleted);
+
+                var range = $"@@ -{chunk.OldStartLine},{chunk.OldLineCount} +{chunk.NewStartLine},{chunk.NewLineCount} @@";
+                chunk.Header = ChunkHeaderRegex.IsMatch(source.Header) ? ChunkHeaderRegex.Replace(source.Header, range, 1) : range;
+
+                if (chunk.Lines.Count > 0)
+                {
+                    updated.Chunks.Add(chunk);
+                }
+            }
+
+            updated.LinesAdded = updated.Chunks.Sum(c => c.Lines.Count(l => l.Type == DiffLineType.Added));
+            updated.LinesDeleted = updated.Chunks.Sum(c => c.Lines.Count(l => l.Type == DiffLineType.Deleted));
+            updated.Patch = BuildPatch(enhancedDiff.Patch, updated.Chunks);
+            return updated;
+        }, cancellationToken);
+    }
+    
+    /// <summary>
+    /// Creates a Markdown summary of the review decisions and comment threads of the diffs
+    /// </summary>
+    public string CreateReviewSummary(IEnumerable<EnhancedGitFileDiff> enhancedDiffs)
+    {
+        var summary = new StringBuilder("# Review summary\n");
+        foreach (var diff in enhancedDiffs)
+        {
+            var changed = diff.Chunks.SelectMany(c => c.Lines).Where(l => l.Type != DiffLineType.Unchanged).ToList();
+            var accepted = changed.Count(l => l.IsAccepted);
+            var rejected = changed.Count(l => l.IsRejected);
+
+            summary.Append($"\n## {diff.Path}\n\n");
+            summary.Append($"{accepted} accepted, {rejected} rejected, {changed.Count - accepted - rejected} pending of {changed.Count} changed lines\n");
+
+            foreach (var thread in diff.CommentThreads.OrderBy(t => t.Side).ThenBy(t => t.StartLine))
+            {
+                summary.Append($"\n- **{FormatRange(thread)}**{(thread.IsResolved ? " (resolved)" : string.Empty)}\n");
+                foreach (var comment in thread.Comments)
+                {
+                    summary.Append($"  - {comment.Text.ReplaceLineEndings("\n    ")}\n");
+                }
+            }
+        }
+
+        return summary.ToString();
+    }
+    
+    /// <summary>
+    /// Creates a prompt asking the CLI agent to address the unresolved comment threads of the diffs
+    /// </summary>
+    public string CreateFollowUpPrompt(IEnumerable<EnhancedGitFileDiff> enhancedDiffs)
+    {
+        var requests = new StringBuilder();
+        var count = 0;
+        foreach (var diff in enhancedDiffs)
+        {
+            foreach (var thread in diff.CommentThreads.Where(t => !t.IsResolved && t.Comments.Count > 0).OrderBy(t => t.Side).ThenBy(t => t.StartLine))
+            {
+                requests.Append($"\n{++count}. {diff.Path}, {FormatRange(thread)}:\n");
+
+                var code = GetThreadLines(diff, thread);
+                if (code.Count > 0)
+                {
+                    requests.Append("```\n").AppendJoin('\n', code).Append("\n```\n");
+                }
+
+                foreach (var comment in thread.Comments)
+                {
+                    requests.Append(comment.Text.Trim()).Append('\n');
+                }
+            }
+        }
+
+        return count == 0
+            ? string.Empty
+            : "Please address these review comments on your changes:\n" + requests;
+    }
+    
+    private static string FormatRange(DiffCommentThread thread)
+    {
+        var lines = thread.StartLine == thread.EndLine ? $"line {thread.StartLine}" : $"lines {thread.StartLine}-{thread.EndLine}";
+        return thread.Side == DiffSide.Original ? $"{lines} of the old version" : lines;
+    }
+    
+    /// <summary>
+    /// Content of the lines a thread is anchored to, as far as the diff shows them
+    /// </summary>
+    private static List<string> GetThreadLines(EnhancedGitFileDiff diff, DiffCommentThread thread)
+    {
+        return diff.Chunks
+            .SelectMany(c => c.Lines)
+            .Where(l =>
+            {
+                var lineNumber = thread.Side == DiffSide.Original
+                    ? (l.Type == DiffLineType.Added ? null : l.OldLineNumber)
+                    : (l.Type == DiffLineType.Deleted ? null : l.NewLineNumber);
+                return lineNumber >= thread.StartLine && lineNumber <= thread.EndLine;
+            })
+            .Select(l => l.Content)
+            .ToList();
+    }
+    
+    /// <summary>
+    /// Line diff of two texts from their longest common subsequence. Yields each line's type
+    /// with its index in the original and modified lines; deletions come before additions.
+    /// Lines the texts start and end with are matched directly; if the rest is too large for
+    /// the subsequence table, it is reported as replaced as a whole.
+    /// </summary>
+    private static IEnumerable<(DiffLineType Type, int OriginalIndex, int ModifiedIndex)> DiffLines(List<string> original, List<string> modified)
+    {
+        var prefix = 0;
+        while (prefix < original.Count && prefix < modified.Count && original[prefix] == modified[prefix])
+        {
+            prefix++;
+        }
+
+        var suffix = 0;
+        while (suffix < original.Count - prefix && suffix < modified.Count - prefix
+               && original[original.Count - 1 - suffix] == modified[modified.Count - 1 - suffix])
+        {
+            suffix++;
+        }
+
+        for (var i = 0; i < prefix; i++)
+        {
+            yield return (DiffLineType.Unchanged, i, i);
+        }
+
+        var originalEnd = original.Count - suffix;
+        var modifiedEnd = modified.Count - suffix;
+        var rows = originalEnd - prefix;
+        var columns = modifiedEnd - prefix;
+
+        if ((long)(rows + 1) * (columns + 1) > MaxLineDiffCells)
+        {
+            for (var o = prefix; o < originalEnd; o++)
+            {
+                yield return (DiffLineType.Deleted, o, -1);
+            }
+            for (var m = prefix; m < modifiedEnd; m++)
+            {
+                yield return (DiffLineType.Added, -1, m);
+            }
+        }
+        else
+        {
+            // common[i, j] is the length of the longest common subsequence of the remaining
+            // original lines from prefix + i and modified lines from prefix + j
+            var common = new int[rows + 1, columns + 1];
+            for (var i = rows - 1; i >= 0; i--)
+            {
+                for (var j = columns - 1; j >= 0; j--)
+                {
+                    common[i, j] = original[prefix + i] == modified[prefix + j]
+                        ? common[i + 1, j + 1] + 1
+                        : Math.Max(common[i + 1, j], common[i, j + 1]);
+                }
+            }
+
+            int r = 0, c = 0;
+            while (r < rows || c < columns)
+            {
+                if (r < rows && c < columns && original[prefix + r] == modified[prefix + c])
+                {
+                    yield return (DiffLineType.Unchanged, prefix + r++, prefix + c++);
+                }
+                else if (r < rows && (c == columns || common[r + 1, c] >= common[r, c + 1]))
+                {
+                    yield return (DiffLineType.Deleted, prefix + r++, -1);
+                }
+                else
+                {
+                    yield return (DiffLineType.Added, -1, prefix + c++);
+                }
+            }
+        }
+
+        for (var i = 0; i < suffix; i++)
+        {
+            yield return (DiffLineType.Unchanged, originalEnd + i, modifiedEnd + i);
+        }
+    }
+    
+    /// <summary>
+    /// Unified diff of the chunks, keeping the file headers of the original patch
+    /// </summary>
+    private static string BuildPatch(string originalPatch, List<DiffChunk> chunks)
+    {
+        var lines = originalPatch.Split('\n')
+            .TakeWhile(line => !ChunkHeaderRegex.IsMatch(line))
+            .Where(line => line.Length > 0)
+            .ToList();
+
+        foreach (var chunk in chunks)
+        {
+            lines.Add(chunk.Header);
+            lines.AddRange(chunk.Lines.Select(line => line.Type switch
+            {
+                DiffLineType.Added => "+" + line.Content,
+                DiffLineType.Deleted => "-" + line.Content,
+                _ => " " + line.Content
+            }));
+        }
+
+        return string.Join("\n", lines);
+    }
+    
     /// <summary>
     /// Parses unified diff format into chunks and lines
     /// </summary>
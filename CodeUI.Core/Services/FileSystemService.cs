@@ -224,6 +224,32 @@ public class FileSystemService : IFileSystemService, IDisposable
         }
     }
     
+    public async Task<string?> ReadTextFileAsync(string path, long maxBytes)
+    {
+        string resolvedPath;
+        try
+        {
+            if (!_sandboxedProvider.IsPathAllowed(path))
+                return null;
+            
+            // Links pointing outside the workspace are refused too
+            resolvedPath = _sandboxedProvider.ResolveSymbolicLink(path);
+        }
+        catch (UnauthorizedAccessException)
+        {
+            return null;
+        }
+        
+        if (!File.Exists(resolvedPath))
+            return null;
+        
+        var fileInfo = new FileInfo(resolvedPath);
+        if (fileInfo.Length > maxBytes)
+            throw new InvalidOperationException($"{fileInfo.Name} is larger than {maxBytes / 1024} KB");
+        
+        return await File.ReadAllTextAsync(resolvedPath);
+    }
+    
     public string GetWorkingDirectory()
     {
         return _workingDirectory;
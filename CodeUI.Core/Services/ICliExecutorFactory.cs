@@ -0,0 +1,13 @@
+namespace CodeUI.Core.Services;
+
+/// <summary>
+/// Creates independent CLI executors, so that several terminals can each run their own process.
+/// </summary>
+public interface ICliExecutorFactory
+{
+    /// <summary>
+    /// Creates a new executor. The caller owns the executor and must dispose it.
+    /// </summary>
+    /// <returns>A new, idle CLI executor.</returns>
+    ICliExecutor Create();
+}
@@ -31,4 +31,28 @@ public interface IDiffService
     /// <param name="cancellationToken">Cancellation token</param>
     /// <returns>Modified patch content</returns>
     Task<DiffOperationResult> ApplyLineChangesAsync(EnhancedGitFileDiff enhancedDiff, CancellationToken cancellationToken = default);
+    
+    /// <summary>
+    /// Recomputes a diff after its modified side was edited. The original side is unchanged;
+    /// decisions on deleted lines are kept and every other line starts undecided.
+    /// </summary>
+    /// <param name="enhancedDiff">Diff whose modified side was edited</param>
+    /// <param name="modifiedContent">Edited modified side, holding the lines of every chunk</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Diff between the original side and the edited content</returns>
+    Task<EnhancedGitFileDiff> UpdateModifiedContentAsync(EnhancedGitFileDiff enhancedDiff, string modifiedContent, CancellationToken cancellationToken = default);
+    
+    /// <summary>
+    /// Creates a Markdown summary of the review decisions and comment threads of the diffs
+    /// </summary>
+    /// <param name="enhancedDiffs">Reviewed diffs</param>
+    /// <returns>Markdown review summary</returns>
+    string CreateReviewSummary(IEnumerable<EnhancedGitFileDiff> enhancedDiffs);
+    
+    /// <summary>
+    /// Creates a prompt asking the CLI agent to address the unresolved comment threads of the diffs
+    /// </summary>
+    /// <param name="enhancedDiffs">Reviewed diffs</param>
+    /// <returns>Follow-up prompt, or an empty string when no thread is unresolved</returns>
+    string CreateFollowUpPrompt(IEnumerable<EnhancedGitFileDiff> enhancedDiffs);
 }
\ No newline at end of file
@@ -52,6 +52,12 @@ public interface IFileSystemService : IDisposable
     /// </summary>
     Task<bool> ExistsAsync(string path);
     
+    /// <summary>
+    /// Reads a text file within the workspace, or returns null if it is outside the workspace or not a file.
+    /// Files larger than maxBytes are refused with an <see cref="InvalidOperationException"/>.
+    /// </summary>
+    Task<string?> ReadTextFileAsync(string path, long maxBytes);
+    
     /// <summary>
     /// Gets the working directory for file operations
     /// </summary>
@@ -143,4 +143,31 @@ public interface IGitService : IDisposable
     /// <param name="cancellationToken">Cancellation token</param>
     /// <returns>Path to the Git repository root or null if not found</returns>
     Task<string?> FindRepositoryRootAsync(string? startPath = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets the files with unresolved merge conflicts, e.g. after a merge or stash apply
+    /// </summary>
+    /// <param name="repositoryPath">Path to the repository. If null, uses current working directory.</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Paths of the conflicted files relative to the repository root</returns>
+    Task<List<string>> GetConflictedFilesAsync(string? repositoryPath = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets the base, ours and theirs versions of a conflicted file
+    /// </summary>
+    /// <param name="filePath">Path of the file relative to the repository root</param>
+    /// <param name="repositoryPath">Path to the repository. If null, uses current working directory.</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>The conflict, or null if the file has no conflict</returns>
+    Task<GitMergeConflict?> GetMergeConflictAsync(string filePath, string? repositoryPath = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Writes the resolved content of a conflicted file and stages it, marking the conflict resolved
+    /// </summary>
+    /// <param name="filePath">Path of the file relative to the repository root</param>
+    /// <param name="resolvedContent">Content of the file with every conflict resolved</param>
+    /// <param name="repositoryPath">Path to the repository. If null, uses current working directory.</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Result of the operation; fails if the content still has conflict markers</returns>
+    Task<GitOperationResult> ResolveConflictAsync(string filePath, string resolvedContent, string? repositoryPath = null, CancellationToken cancellationToken = default);
 }
\ No newline at end of file
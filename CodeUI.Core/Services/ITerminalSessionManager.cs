@@ -0,0 +1,52 @@
+namespace CodeUI.Core.Services;
+
+/// <summary>
+/// Keeps terminal sessions and their processes alive independently of the UI circuit that shows them,
+/// so a terminal can be reattached after the browser reconnects or reloads.
+/// </summary>
+public interface ITerminalSessionManager
+{
+    /// <summary>
+    /// How long a session with no attached UI is kept before its process is stopped.
+    /// </summary>
+    TimeSpan DetachedSessionTimeout { get; }
+
+    /// <summary>
+    /// Attaches to the session with the specified id, creating it for the owner if it does not exist.
+    /// Every call must be balanced by a call to <see cref="Detach"/>.
+    /// </summary>
+    /// <param name="sessionId">Identifier of the session.</param>
+    /// <param name="ownerId">Identifies who may use the session, such as a user or a secret kept by one browser.</param>
+    /// <returns>The attached session.</returns>
+    /// <exception cref="UnauthorizedAccessException">The session belongs to another owner.</exception>
+    TerminalSession Attach(string sessionId, string ownerId);
+
+    /// <summary>
+    /// Detaches from a session. The session keeps running for <see cref="DetachedSessionTimeout"/>
+    /// after the last UI detaches.
+    /// </summary>
+    /// <param name="sessionId">Identifier of the session.</param>
+    void Detach(string sessionId);
+
+    /// <summary>
+    /// Gets a running session without attaching to it.
+    /// </summary>
+    /// <param name="sessionId">Identifier of the session.</param>
+    /// <param name="ownerId">Owner the session was created for.</param>
+    /// <returns>The session, or null if there is no such session for the owner.</returns>
+    TerminalSession? GetSession(string sessionId, string ownerId);
+
+    /// <summary>
+    /// Stops a session's process and discards its output.
+    /// </summary>
+    /// <param name="sessionId">Identifier of the session.</param>
+    /// <param name="ownerId">Owner the session was created for.</param>
+    /// <returns>True if the session existed for the owner.</returns>
+    bool Close(string sessionId, string ownerId);
+
+    /// <summary>
+    /// Closes sessions that have been detached for longer than <see cref="DetachedSessionTimeout"/>.
+    /// </summary>
+    /// <returns>The number of sessions closed.</returns>
+    int RemoveExpiredSessions();
+}
@@ -0,0 +1,187 @@
+using System.Reactive.Disposables;
+using System.Reactive.Linq;
+using System.Reactive.Subjects;
+using CodeUI.Core.Models;
+
+namespace CodeUI.Core.Services;
+
+/// <summary>
+/// A terminal's backend process together with a sequenced log of everything written to the terminal.
+/// The session outlives the UI that displays it, so a reconnecting client can resume from the last
+/// sequence number it has seen.
+/// </summary>
+public sealed class TerminalSession : IDisposable
+{
+    /// <summary>
+    /// Default number of characters of output retained for resynchronization.
+    /// </summary>
+    public const int DefaultMaxBufferedCharacters = 2 * 1024 * 1024;
+
+    private readonly object _lock = new();
+    private readonly LinkedList<TerminalOutputChunk> _buffer = new();
+    private readonly Subject<TerminalOutputChunk> _outputSubject = new();
+    private readonly IDisposable _executorSubscription;
+    private readonly int _maxBufferedCharacters;
+    private long _bufferedCharacters;
+    private long _lastSequence;
+    private bool _disposed;
+
+    /// <summary>
+    /// Creates a session around an executor. The session takes ownership of the executor.
+    /// </summary>
+    /// <param name="id">Identifier of the session.</param>
+    /// <param name="ownerId">Identifies who may use the session.</param>
+    /// <param name="executor">Executor running the session's processes.</param>
+    /// <param name="maxBufferedCharacters">Number of characters of output to retain for resynchronization.</param>
+    public TerminalSession(string id, string ownerId, ICliExecutor executor, int maxBufferedCharacters = DefaultMaxBufferedCharacters)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(id);
+        ArgumentException.ThrowIfNullOrWhiteSpace(ownerId);
+        ArgumentNullException.ThrowIfNull(executor);
+
+        Id = id;
+        OwnerId = ownerId;
+        Executor = executor;
+        _maxBufferedCharacters = maxBufferedCharacters;
+        _executorSubscription = executor.Output.Subscribe(line => Append(line.Text, fromProcess: true));
+    }
+
+    /// <summary>
+    /// Identifier of the session.
+    /// </summary>
+    public string Id { get; }
+
+    /// <summary>
+    /// Identifies who may use the session; only this owner can attach to it.
+    /// </summary>
+    public string OwnerId { get; }
+
+    /// <summary>
+    /// Executor running the session's processes.
+    /// </summary>
+    public ICliExecutor Executor { get; }
+
+    /// <summary>
+    /// Text typed at the prompt that has not been submitted yet.
+    /// </summary>
+    public string InputLine { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Sequence number of the most recent chunk, or 0 if nothing has been written yet.
+    /// </summary>
+    public long LastSequence
+    {
+        get { lock (_lock) return _lastSequence; }
+    }
+
+    /// <summary>
+    /// Sequence number of the oldest chunk still retained. A client can resume without gaps
+    /// from any sequence number from one less than this up to <see cref="LastSequence"/>.
+    /// </summary>
+    public long OldestSequence
+    {
+        get { lock (_lock) return _buffer.First?.Value.Sequence ?? _lastSequence + 1; }
+    }
+
+    /// <summary>
+    /// Whether output after the specified sequence number was already dropped, so resuming
+    /// from it with <see cref="GetOutput"/> leaves a gap.
+    /// </summary>
+    /// <param name="afterSequence">Last sequence number the client has seen.</param>
+    public bool HasDroppedOutputAfter(long afterSequence) => OldestSequence > afterSequence + 1;
+
+    /// <summary>
+    /// Number of UI instances currently displaying the session.
+    /// </summary>
+    public int AttachCount { get; internal set; }
+
+    /// <summary>
+    /// When the last UI instance detached, or null while attached.
+    /// </summary>
+    public DateTime? DetachedAt { get; internal set; }
+
+    /// <summary>
+    /// Whether the session has been closed.
+    /// </summary>
+    public bool IsDisposed => _disposed;
+
+    /// <summary>
+    /// Writes terminal-generated text such as prompts and echoed input to the session's output.
+    /// </summary>
+    /// <param name="text">The text to write.</param>
+    public void Write(string text) => Append(text, fromProcess: false);
+
+    /// <summary>
+    /// Returns the retained output after the specified sequence number followed by all new output.
+    /// No chunk is missed or repeated between the replayed and live parts.
+    /// </summary>
+    /// <param name="afterSequence">Last sequence number the client has already seen; 0 for all retained output.</param>
+    public IObservable<TerminalOutputChunk> GetOutput(long afterSequence)
+    {
+        return Observable.Create<TerminalOutputChunk>(observer =>
+        {
+            lock (_lock)
+            {
+                if (_disposed)
+                {
+                    observer.OnCompleted();
+                    return Disposable.Empty;
+                }
+
+                foreach (var chunk in _buffer.Where(chunk => chunk.Sequence > afterSequence))
+                {
+                    observer.OnNext(chunk);
+                }
+
+                return _outputSubject.Subscribe(observer);
+            }
+        });
+    }
+
+    private void Append(string text, bool fromProcess)
+    {
+        if (string.IsNullOrEmpty(text))
+            return;
+
+        lock (_lock)
+        {
+            if (_disposed)
+                return;
+
+            var chunk = new TerminalOutputChunk(++_lastSequence, text, fromProcess);
+            _buffer.AddLast(chunk);
+            _bufferedCharacters += text.Length;
+
+            // Drop the oldest output, but always keep the newest chunk
+            while (_bufferedCharacters > _maxBufferedCharacters && _buffer.Count > 1)
+            {
+                _bufferedCharacters -= _buffer.First!.Value.Text.Length;
+                _buffer.RemoveFirst();
+            }
+
+            // Published under the lock so subscribers see chunks in sequence order
+            _outputSubject.OnNext(chunk);
+        }
+    }
+
+    /// <summary>
+    /// Stops the session's process and releases its output.
+    /// </summary>
+    public void Dispose()
+    {
+        lock (_lock)
+        {
+            if (_disposed)
+                return;
+
+            _disposed = true;
+            _buffer.Clear();
+            _bufferedCharacters = 0;
+        }
+
+        _executorSubscription.Dispose();
+        Executor.Dispose();
+        _outputSubject.OnCompleted();
+        _outputSubject.Dispose();
+    }
+}
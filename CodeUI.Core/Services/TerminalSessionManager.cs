@@ -0,0 +1,145 @@
+using System.Collections.Concurrent;
+
+namespace CodeUI.Core.Services;
+
+/// <summary>
+/// In-memory <see cref="ITerminalSessionManager"/> that periodically closes sessions left detached.
+/// </summary>
+public sealed class TerminalSessionManager : ITerminalSessionManager, IDisposable
+{
+    private static readonly TimeSpan CleanupInterval = TimeSpan.FromMinutes(1);
+
+    private readonly ConcurrentDictionary<string, TerminalSession> _sessions = new();
+    private readonly ICliExecutorFactory _executorFactory;
+    private readonly Timer _cleanupTimer;
+    private readonly object _lock = new();
+    private bool _disposed;
+
+    /// <summary>
+    /// Creates a session manager using the specified factory for each session's executor.
+    /// </summary>
+    public TerminalSessionManager(ICliExecutorFactory executorFactory)
+    {
+        _executorFactory = executorFactory;
+        _cleanupTimer = new Timer(_ => RemoveExpiredSessions(), null, CleanupInterval, CleanupInterval);
+    }
+
+    /// <inheritdoc />
+    public TimeSpan DetachedSessionTimeout { get; init; } = TimeSpan.FromMinutes(10);
+
+    /// <summary>
+    /// Number of characters of output each session retains for resynchronization.
+    /// </summary>
+    public int MaxBufferedCharacters { get; init; } = TerminalSession.DefaultMaxBufferedCharacters;
+
+    /// <inheritdoc />
+    public TerminalSession Attach(string sessionId, string ownerId)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(sessionId);
+        ArgumentException.ThrowIfNullOrWhiteSpace(ownerId);
+
+        lock (_lock)
+        {
+            if (_disposed)
+                throw new ObjectDisposedException(nameof(TerminalSessionManager));
+
+            if (!_sessions.TryGetValue(sessionId, out var session))
+            {
+                session = new TerminalSession(sessionId, ownerId, _executorFactory.Create(), MaxBufferedCharacters);
+                _sessions[sessionId] = session;
+            }
+            else if (session.OwnerId != ownerId)
+            {
+                throw new UnauthorizedAccessException($"Terminal session {sessionId} belongs to another owner.");
+            }
+
+            session.AttachCount++;
+            session.DetachedAt = null;
+            return session;
+        }
+    }
+
+    /// <inheritdoc />
+    public void Detach(string sessionId)
+    {
+        lock (_lock)
+        {
+            if (!_sessions.TryGetValue(sessionId, out var session) || session.AttachCount == 0)
+                return;
+
+            session.AttachCount--;
+            if (session.AttachCount == 0)
+            {
+                session.DetachedAt = DateTime.UtcNow;
+            }
+        }
+    }
+
+    /// <inheritdoc />
+    public TerminalSession? GetSession(string sessionId, string ownerId)
+    {
+        return _sessions.TryGetValue(sessionId, out var session) && session.OwnerId == ownerId ? session : null;
+    }
+
+    /// <inheritdoc />
+    public bool Close(string sessionId, string ownerId)
+    {
+        TerminalSession? session;
+        lock (_lock)
+        {
+            if (!_sessions.TryGetValue(sessionId, out session) || session.OwnerId != ownerId)
+                return false;
+
+            _sessions.TryRemove(sessionId, out _);
+        }
+
+        session.Dispose();
+        return true;
+    }
+
+    /// <inheritdoc />
+    public int RemoveExpiredSessions()
+    {
+        List<TerminalSession> expired;
+        lock (_lock)
+        {
+            var cutoff = DateTime.UtcNow - DetachedSessionTimeout;
+            expired = _sessions.Values
+                .Where(session => session.AttachCount == 0 && session.DetachedAt <= cutoff)
+                .ToList();
+
+            foreach (var session in expired)
+            {
+                _sessions.TryRemove(session.Id, out _);
+            }
+        }
+
+        foreach (var session in expired)
+        {
+            session.Dispose();
+        }
+
+        return expired.Count;
+    }
+
+    /// <summary>
+    /// Stops all sessions.
+    /// </summary>
+    public void Dispose()
+    {
+        lock (_lock)
+        {
+            if (_disposed)
+                return;
+
+            _disposed = true;
+        }
+
+        _cleanupTimer.Dispose();
+        foreach (var session in _sessions.Values)
+        {
+            session.Dispose();
+        }
+        _sessions.Clear();
+    }
+}
@@ -57,6 +57,82 @@ public class TerminalComponentTests(TestWebApplicationFactory<CodeUI.Web.Program
         // Verify XTerm.js resources are included in the layout
         Assert.Contains("xterm@5.3.0", content);
         Assert.Contains("xterm-addon-fit@0.8.0", content);
+        Assert.Contains("xterm-addon-image@0.5.0", content);
         Assert.Contains("terminal.js", content);
     }
+
+    [Fact]
+    public async Task App_ShouldServeClientAssetsLocally()
+    {
+        // Arrange
+        var client = factory.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/");
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        var content = await response.Content.ReadAsStringAsync();
+        
+        Assert.Contains("<meta name=\"codeui-asset-base\" content=\"lib\"", content);
+        Assert.Contains("lib/xterm@5.3.0/lib/xterm.js", content);
+        Assert.Contains("lib/monaco-editor@0.45.0/min/vs/loader.js", content);
+        Assert.DoesNotContain("cdn.jsdelivr.net", content);
+        Assert.DoesNotContain("cdnjs.cloudflare.com", content);
+    }
+
+    [Fact]
+    public async Task App_ShouldPreloadInteropModulesWithConfiguredLogLevel()
+    {
+        // Arrange
+        var client = factory.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/");
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        var content = await response.Content.ReadAsStringAsync();
+
+        // Components import the modules themselves; nothing attaches them as window globals
+        Assert.Contains("<link rel=\"modulepreload\" href=\"js/terminal.js\"", content);
+        Assert.Contains("<link rel=\"modulepreload\" href=\"js/monaco-diff.js\"", content);
+        Assert.DoesNotContain("<script src=\"js/terminal.js\"", content);
+        Assert.Contains("<meta name=\"codeui-log-level\" content=\"warn\"", content);
+    }
+
+    [Fact]
+    public async Task App_ShouldLoadCommandPaletteOnEveryPage()
+    {
+        // Arrange
+        var client = factory.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/");
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        var content = await response.Content.ReadAsStringAsync();
+
+        // Pages without a terminal or diff editor still get the shortcuts and the palette
+        Assert.Contains("<script type=\"module\" src=\"js/commands.js\"></script>", content);
+    }
+
+    [Fact]
+    public async Task App_ShouldOfferAccessibilityModeOnEveryPage()
+    {
+        // Arrange
+        var client = factory.CreateClient();
+
+        // Act
+        var response = await client.GetAsync("/");
+
+        // Assert
+        response.EnsureSuccessStatusCode();
+        var content = await response.Content.ReadAsStringAsync();
+
+        // The mode, its shortcut and the live regions are set up before any terminal or editor loads
+        Assert.Contains("<script type=\"module\" src=\"js/accessibility.js\"></script>", content);
+        Assert.Contains("Accessibility mode", content);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,74 @@
+using CodeUI.Core.Models;
+
+namespace CodeUI.Tests.Models;
+
+/// <summary>
+/// Tests for grouping diff lines into hunks and reviewing them as a unit.
+/// </summary>
+public class DiffHunkTests
+{
+    [Fact]
+    public void GetHunks_ShouldGroupConsecutiveChangedLines()
+    {
+        // Arrange
+        var diff = new EnhancedGitFileDiff
+        {
+            Chunks =
+            {
+                CreateChunk(DiffLineType.Unchanged, DiffLineType.Deleted, DiffLineType.Added,
+                    DiffLineType.Unchanged, DiffLineType.Added),
+                CreateChunk(DiffLineType.Deleted, DiffLineType.Unchanged)
+            }
+        };
+
+        // Act
+        var hunks = diff.GetHunks();
+
+        // Assert
+        Assert.Equal(3, hunks.Count);
+        Assert.Equal(new[] { 0, 1, 2 }, hunks.Select(h => h.Index));
+        Assert.Equal(new[] { DiffLineType.Deleted, DiffLineType.Added }, hunks[0].Lines.Select(l => l.Type));
+        Assert.Single(hunks[1].Lines);
+        Assert.Same(diff.Chunks[1].Lines[0], hunks[2].Lines[0]);
+    }
+
+    [Fact]
+    public void Accept_ShouldAcceptEveryLineOfHunk()
+    {
+        // Arrange
+        var diff = new EnhancedGitFileDiff { Chunks = { CreateChunk(DiffLineType.Deleted, DiffLineType.Added) } };
+        var hunk = diff.GetHunks()[0];
+        hunk.Lines[0].IsRejected = true;
+
+        // Act
+        hunk.Accept();
+
+        // Assert
+        Assert.Equal(DiffHunkState.Accepted, hunk.State);
+        Assert.All(hunk.Lines, l => Assert.False(l.IsRejected));
+    }
+
+    [Fact]
+    public void State_ShouldBeMixedWhenLinesDiffer()
+    {
+        // Arrange
+        var diff = new EnhancedGitFileDiff { Chunks = { CreateChunk(DiffLineType.Deleted, DiffLineType.Added) } };
+        var hunk = diff.GetHunks()[0];
+
+        // Act
+        var pending = hunk.State;
+        hunk.Lines[1].IsAccepted = true;
+
+        // Assert
+        Assert.Equal(DiffHunkState.Pending, pending);
+        Assert.Equal(DiffHunkState.Mixed, hunk.State);
+    }
+
+    private static DiffChunk CreateChunk(params DiffLineType[] types)
+    {
+        return new DiffChunk
+        {
+            Lines = types.Select((type, i) => new DiffLine { Type = type, Content = $"line {i}" }).ToList()
+        };
+    }
+}
@@ -0,0 +1,145 @@
+using CodeUI.Core.Models;
+
+namespace CodeUI.Tests.Models;
+
+/// <summary>
+/// Tests for the terminal workspace tab and split pane layout.
+/// </summary>
+public class TerminalWorkspaceTests
+{
+    [Fact]
+    public void AddTab_ShouldCreateActiveTabWithSinglePane()
+    {
+        // Arrange
+        var workspace = new TerminalWorkspace();
+
+        // Act
+        var tab = workspace.AddTab();
+
+        // Assert
+        Assert.Same(tab, workspace.ActiveTab);
+        Assert.Equal("Terminal 1", tab.Title);
+        Assert.True(tab.Layout.IsPane);
+        Assert.Equal(tab.Layout.PaneId, tab.ActivePaneId);
+    }
+
+    [Fact]
+    public void AddTab_ShouldUseProvidedPaneId()
+    {
+        // Arrange
+        var workspace = new TerminalWorkspace();
+
+        // Act
+        var tab = workspace.AddTab(paneId: "restored-session");
+
+        // Assert
+        Assert.Equal("restored-session", tab.Layout.PaneId);
+        Assert.Same(tab, workspace.FindTabByPane("restored-session"));
+    }
+
+    [Fact]
+    public void RenameTab_ShouldIgnoreBlankTitles()
+    {
+        // Arrange
+        var workspace = new TerminalWorkspace();
+        var tab = workspace.AddTab();
+
+        // Act & Assert
+        Assert.True(workspace.RenameTab(tab.Id, "  tests  "));
+        Assert.Equal("tests", tab.Title);
+        Assert.False(workspace.RenameTab(tab.Id, " "));
+        Assert.Equal("tests", tab.Title);
+    }
+
+    [Fact]
+    public void MoveTab_ShouldReorderAndClampIndex()
+    {
+        // Arrange
+        var workspace = new TerminalWorkspace();
+        var first = workspace.AddTab();
+        var second = workspace.AddTab();
+        var third = workspace.AddTab();
+
+        // Act
+        workspace.MoveTab(third.Id, 0);
+        workspace.MoveTab(first.Id, 10);
+
+        // Assert
+        Assert.Equal(new[] { third.Id, second.Id, first.Id }, workspace.Tabs.Select(t => t.Id));
+    }
+
+    [Fact]
+    public void SplitPane_ShouldAddSiblingForSameDirectionAndNestForOther()
+    {
+        // Arrange
+        var workspace = new TerminalWorkspace();
+        var tab = workspace.AddTab();
+        var firstPane = tab.Layout.PaneId!;
+
+        // Act
+        var secondPane = workspace.SplitPane(firstPane, TerminalSplitDirection.Horizontal)!;
+        var thirdPane = workspace.SplitPane(secondPane, TerminalSplitDirection.Horizontal)!;
+        var fourthPane = workspace.SplitPane(thirdPane, TerminalSplitDirection.Vertical)!;
+
+        // Assert
+        Assert.False(tab.Layout.IsPane);
+        Assert.Equal(TerminalSplitDirection.Horizontal, tab.Layout.Direction);
+        Assert.Equal(3, tab.Layout.Children.Count);
+        Assert.Equal(TerminalSplitDirection.Vertical, tab.Layout.Children[2].Direction);
+        Assert.Equal(new[] { firstPane, secondPane, thirdPane, fourthPane }, tab.Layout.GetPaneIds());
+        Assert.Equal(fourthPane, tab.ActivePaneId);
+    }
+
+    [Fact]
+    public void ClosePane_ShouldCollapseSplitWithSingleChild()
+    {
+        // Arrange
+        var workspace = new TerminalWorkspace();
+        var tab = workspace.AddTab();
+        var firstPane = tab.Layout.PaneId!;
+        var secondPane = workspace.SplitPane(firstPane, TerminalSplitDirection.Vertical)!;
+
+        // Act
+        var closed = workspace.ClosePane(secondPane);
+
+        // Assert
+        Assert.True(closed);
+        Assert.True(tab.Layout.IsPane);
+        Assert.Equal(firstPane, tab.Layout.PaneId);
+        Assert.Equal(firstPane, tab.ActivePaneId);
+    }
+
+    [Fact]
+    public void ClosePane_ShouldCloseTabWhenLastPaneIsClosed()
+    {
+        // Arrange
+        var workspace = new TerminalWorkspace();
+        var first = workspace.AddTab();
+        var second = workspace.AddTab();
+
+        // Act
+        workspace.ClosePane(second.Layout.PaneId!);
+
+        // Assert
+        Assert.Single(workspace.Tabs);
+        Assert.Same(first, workspace.ActiveTab);
+    }
+
+    [Fact]
+    public void CloseTab_ShouldReturnAllPaneIds()
+    {
+        // Arrange
+        var workspace = new TerminalWorkspace();
+        var tab = workspace.AddTab();
+        var firstPane = tab.Layout.PaneId!;
+        var secondPane = workspace.SplitPane(firstPane, TerminalSplitDirection.Horizontal)!;
+
+        // Act
+        var closedPanes = workspace.CloseTab(tab.Id);
+
+        // Assert
+        Assert.Equal(new[] { firstPane, secondPane }, closedPanes);
+        Assert.Empty(workspace.Tabs);
+        Assert.Null(workspace.ActiveTab);
+    }
+}
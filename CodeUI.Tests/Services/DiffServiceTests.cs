@@ -183,6 +183,144 @@ public class DiffServiceTests
         Assert.DoesNotContain("line 4", result.ProcessedLines); // deleted line not explicitly accepted
     }
 
+    [Fact]
+    public async Task UpdateModifiedContentAsync_ShouldRecomputeDiff_FromEditedContent()
+    {
+        // Arrange
+        var enhancedDiff = await _diffService.ProcessDiffAsync(new GitFileDiff
+        {
+            Path = "test.txt",
+            Patch = "@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n@@ -10,2 +10,3 @@\n x\n+y\n z"
+        });
+
+        // Act: undo the first change and add a line to the second chunk
+        var updated = await _diffService.UpdateModifiedContentAsync(enhancedDiff, "a\nb\nc\nx\nw\ny\nz");
+
+        // Assert
+        Assert.Equal(2, updated.Chunks.Count);
+        Assert.All(updated.Chunks[0].Lines, l => Assert.Equal(DiffLineType.Unchanged, l.Type));
+        Assert.Equal(new[] { "x", "w", "y", "z" }, updated.Chunks[1].Lines.Select(l => l.Content));
+        Assert.Equal(new int?[] { 10, 11, 12, 13 }, updated.Chunks[1].Lines.Select(l => l.NewLineNumber));
+        Assert.Equal(11, updated.Chunks[1].Lines[3].OldLineNumber);
+        Assert.Equal(2, updated.LinesAdded);
+        Assert.Equal(0, updated.LinesDeleted);
+        Assert.Contains("@@ -10,2 +10,4 @@", updated.Patch);
+    }
+
+    [Fact]
+    public async Task UpdateModifiedContentAsync_ShouldShiftLaterChunks_AndKeepDeletedLineDecisions()
+    {
+        // Arrange
+        var enhancedDiff = await _diffService.ProcessDiffAsync(new GitFileDiff
+        {
+            Path = "test.txt",
+            Patch = "@@ -1,2 +1,2 @@\n-old\n+new\n keep\n@@ -20,1 +20,1 @@\n-gone\n+here"
+        });
+        enhancedDiff.Chunks[0].Lines[0].IsRejected = true;
+
+        // Act
+        var updated = await _diffService.UpdateModifiedContentAsync(enhancedDiff, "new\nextra\nkeep\nhere");
+
+        // Assert
+        var deleted = updated.Chunks[0].Lines[0];
+        Assert.Equal(DiffLineType.Deleted, deleted.Type);
+        Assert.True(deleted.IsRejected);
+        Assert.Equal(3, updated.Chunks[0].NewLineCount);
+        Assert.Equal(21, updated.Chunks[1].NewStartLine);
+        Assert.Contains("@@ -20,1 +21,1 @@", updated.Patch);
+    }
+
+    [Fact]
+    public async Task UpdateModifiedContentAsync_ShouldReplaceLargeEdits_AsAWhole()
+    {
+        // Arrange: 3000 lines of context, of which all but the first and last are rewritten
+        var middle = Enumerable.Range(1, 2998).ToList();
+        var enhancedDiff = await _diffService.ProcessDiffAsync(new GitFileDiff
+        {
+            Path = "test.txt",
+            Patch = "@@ -1,3000 +1,3000 @@\n first\n" + string.Join("\n", middle.Select(i => $" line {i}")) + "\n last"
+        });
+
+        // Act
+        var edited = "first\n" + string.Join("\n", middle.Select(i => $"edited {i}")) + "\nlast";
+        var updated = await _diffService.UpdateModifiedContentAsync(enhancedDiff, edited);
+
+        // Assert
+        var lines = updated.Chunks.Single().Lines;
+        Assert.Equal(2 + 2 * middle.Count, lines.Count);
+        Assert.Equal(DiffLineType.Unchanged, lines[0].Type);
+        Assert.All(lines.Skip(1).Take(middle.Count), l => Assert.Equal(DiffLineType.Deleted, l.Type));
+        Assert.All(lines.Skip(1 + middle.Count).Take(middle.Count), l => Assert.Equal(DiffLineType.Added, l.Type));
+        Assert.Equal("last", lines[^1].Content);
+        Assert.Equal(3000, lines[^1].NewLineNumber);
+        Assert.Equal(middle.Count, updated.LinesAdded);
+        Assert.Equal(middle.Count, updated.LinesDeleted);
+    }
+
+    [Fact]
+    public async Task CreateReviewSummary_ShouldListDecisionsAndThreads()
+    {
+        // Arrange
+        var enhancedDiff = await _diffService.ProcessDiffAsync(new GitFileDiff
+        {
+            Path = "src/app.js",
+            Patch = "@@ -1,2 +1,2 @@\n-old\n+new\n keep"
+        });
+        enhancedDiff.Chunks[0].Lines[1].IsAccepted = true;
+        enhancedDiff.CommentThreads.Add(new DiffCommentThread
+        {
+            StartLine = 1,
+            EndLine = 2,
+            IsResolved = true,
+            Comments = { new DiffComment { Text = "needs a test" } }
+        });
+
+        // Act
+        var summary = _diffService.CreateReviewSummary(new[] { enhancedDiff });
+
+        // Assert
+        Assert.Contains("## src/app.js", summary);
+        Assert.Contains("1 accepted, 0 rejected, 1 pending of 2 changed lines", summary);
+        Assert.Contains("- **lines 1-2** (resolved)", summary);
+        Assert.Contains("  - needs a test", summary);
+    }
+
+    [Fact]
+    public async Task CreateFollowUpPrompt_ShouldIncludeUnresolvedThreadsWithCode()
+    {
+        // Arrange
+        var enhancedDiff = await _diffService.ProcessDiffAsync(new GitFileDiff
+        {
+            Path = "src/app.js",
+            Patch = "@@ -1,2 +1,2 @@\n-old\n+new\n keep"
+        });
+        enhancedDiff.CommentThreads.Add(new DiffCommentThread
+        {
+            Side = DiffSide.Original,
+            StartLine = 1,
+            EndLine = 1,
+            Comments = { new DiffComment { Text = "keep the old name" } }
+        });
+        enhancedDiff.CommentThreads.Add(new DiffCommentThread
+        {
+            StartLine = 2,
+            EndLine = 2,
+            IsResolved = true,
+            Comments = { new DiffComment { Text = "already done" } }
+        });
+
+        // Act
+        var prompt = _diffService.CreateFollowUpPrompt(new[] { enhancedDiff });
+        var empty = _diffService.CreateFollowUpPrompt(Array.Empty<EnhancedGitFileDiff>());
+
+        // Assert
+        Assert.Contains("1. src/app.js, line 1 of the old version:", prompt);
+        Assert.Contains("```\nold\n```", prompt);
+        Assert.Contains("keep the old name", prompt);
+        Assert.DoesNotContain("already done", prompt);
+        Assert.Equal(string.Empty, empty);
+    }
+
     [Fact]
     public async Task ProcessDiffsAsync_ShouldProcessMultipleDiffs_InParallel()
     {
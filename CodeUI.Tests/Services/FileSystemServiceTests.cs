@@ -218,6 +218,47 @@ public class FileSystemServiceTests
         }
     }
 
+    [Fact]
+    public async Task FileSystemService_ReadTextFileAsync_ShouldReadFilesInWorkspace()
+    {
+        // Arrange
+        using var service = new FileSystemService();
+        var tempDir = Path.Combine(Path.GetTempPath(), Guid.NewGuid().ToString());
+        Directory.CreateDirectory(tempDir);
+        var filePath = Path.Combine(tempDir, "notes.txt");
+        await File.WriteAllTextAsync(filePath, "first\nsecond\n");
+
+        try
+        {
+            await service.SetWorkingDirectoryAsync(tempDir);
+
+            // Act & Assert
+            Assert.Equal("first\nsecond\n", await service.ReadTextFileAsync(filePath, 1024));
+            Assert.Null(await service.ReadTextFileAsync(Path.Combine(tempDir, "missing.txt"), 1024));
+            Assert.Null(await service.ReadTextFileAsync(tempDir, 1024));
+            await Assert.ThrowsAsync<InvalidOperationException>(() => service.ReadTextFileAsync(filePath, 4));
+        }
+        finally
+        {
+            if (Directory.Exists(tempDir))
+                Directory.Delete(tempDir, true);
+        }
+    }
+
+    [Fact]
+    public async Task FileSystemService_ReadTextFileAsync_ShouldNotReadOutsideWorkspace()
+    {
+        // Arrange
+        using var service = new FileSystemService();
+        var traversalPath = Path.Combine(service.GetWorkingDirectory(), "..", "..", "etc", "passwd");
+
+        // Act
+        var content = await service.ReadTextFileAsync(traversalPath, 1024 * 1024);
+
+        // Assert
+        Assert.Null(content);
+    }
+
     [Fact]
     public async Task FileSystemService_ShouldHandleSymbolicLinksSafely()
     {
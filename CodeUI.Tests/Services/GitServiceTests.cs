@@ -444,6 +444,88 @@ public class GitServiceTests : IDisposable
         }
     }
 
+    [Fact]
+    public async Task GetMergeConflictAsync_ShouldReturnAllVersions_AfterConflictingMerge()
+    {
+        // Arrange
+        CreateMergeConflict("conflict.txt");
+
+        try
+        {
+            // Act
+            var conflictedFiles = await _gitService.GetConflictedFilesAsync(_testRepoPath);
+            var conflict = await _gitService.GetMergeConflictAsync("conflict.txt", _testRepoPath);
+
+            // Assert
+            Assert.Equal(new[] { "conflict.txt" }, conflictedFiles);
+            Assert.NotNull(conflict);
+            Assert.Contains("base", conflict.BaseContent);
+            Assert.Contains("ours", conflict.OursContent);
+            Assert.Contains("theirs", conflict.TheirsContent);
+            Assert.Contains("<<<<<<<", conflict.MergedContent);
+        }
+        finally
+        {
+            CleanupTestRepository();
+        }
+    }
+
+    [Fact]
+    public async Task ResolveConflictAsync_ShouldStageResolvedContent_AndRejectConflictMarkers()
+    {
+        // Arrange
+        CreateMergeConflict("conflict.txt");
+        var conflict = await _gitService.GetMergeConflictAsync("conflict.txt", _testRepoPath);
+
+        try
+        {
+            // Act
+            var withMarkers = await _gitService.ResolveConflictAsync("conflict.txt", conflict!.MergedContent, _testRepoPath);
+            var withBareMarker = await _gitService.ResolveConflictAsync("conflict.txt", "line 1\n<<<<<<<\nours\nline 3\n", _testRepoPath);
+            var withStrayEnd = await _gitService.ResolveConflictAsync("conflict.txt", "line 1\nours\n>>>>>>> theirs\nline 3\n", _testRepoPath);
+            var withSetextHeading = await _gitService.ResolveConflictAsync("conflict.txt", "Line 1\n=======\nours\ntheirs\nline 3\n", _testRepoPath);
+
+            // Assert
+            Assert.False(withMarkers.IsSuccess);
+            Assert.False(withBareMarker.IsSuccess);
+            Assert.False(withStrayEnd.IsSuccess);
+            Assert.True(withSetextHeading.IsSuccess);
+            Assert.Empty(await _gitService.GetConflictedFilesAsync(_testRepoPath));
+            Assert.Equal("Line 1\n=======\nours\ntheirs\nline 3\n", await File.ReadAllTextAsync(Path.Combine(_testRepoPath, "conflict.txt")));
+        }
+        finally
+        {
+            CleanupTestRepository();
+        }
+    }
+
+    private void CreateMergeConflict(string fileName)
+    {
+        CreateTestRepository();
+
+        using var repo = new Repository(_testRepoPath);
+        var signature = new Signature("Test User", "test@example.com", DateTimeOffset.Now);
+        var filePath = Path.Combine(_testRepoPath, fileName);
+        var mainBranch = repo.Head.FriendlyName;
+
+        void CommitContent(string content)
+        {
+            File.WriteAllText(filePath, content);
+            Commands.Stage(repo, fileName);
+            repo.Commit($"Update {fileName}", signature, signature);
+        }
+
+        CommitContent("line 1\nbase\nline 3\n");
+
+        Commands.Checkout(repo, repo.CreateBranch("feature"));
+        CommitContent("line 1\ntheirs\nline 3\n");
+
+        Commands.Checkout(repo, repo.Branches[mainBranch]);
+        CommitContent("line 1\nours\nline 3\n");
+
+        repo.Merge(repo.Branches["feature"], signature);
+    }
+
     private void CreateTestRepository()
     {
         CleanupTestRepository(); // Ensure clean state
@@ -0,0 +1,154 @@
+using CodeUI.Core.Models;
+using CodeUI.Core.Services;
+
+namespace CodeUI.Tests.Services;
+
+/// <summary>
+/// Tests for terminal sessions that survive circuit loss and resynchronize by sequence number.
+/// </summary>
+public class TerminalSessionManagerTests : IDisposable
+{
+    private const string Owner = "owner-1";
+    private readonly TerminalSessionManager _manager = new(new CliExecutorFactory());
+
+    [Fact]
+    public void Attach_ShouldReturnSameSessionForSameId()
+    {
+        // Act
+        var first = _manager.Attach("session-1", Owner);
+        var second = _manager.Attach("session-1", Owner);
+
+        // Assert
+        Assert.Same(first, second);
+        Assert.Equal(2, first.AttachCount);
+    }
+
+    [Fact]
+    public void Write_ShouldAssignIncreasingSequenceNumbers()
+    {
+        // Arrange
+        var session = _manager.Attach("session-1", Owner);
+        var chunks = new List<TerminalOutputChunk>();
+        using var subscription = session.GetOutput(0).Subscribe(chunks.Add);
+
+        // Act
+        session.Write("one");
+        session.Write("two");
+
+        // Assert
+        Assert.Equal(new long[] { 1, 2 }, chunks.Select(c => c.Sequence));
+        Assert.All(chunks, c => Assert.False(c.FromProcess));
+        Assert.Equal(2, session.LastSequence);
+    }
+
+    [Fact]
+    public void GetOutput_ShouldReplayOutputAfterSequenceThenContinueLive()
+    {
+        // Arrange
+        var session = _manager.Attach("session-1", Owner);
+        session.Write("one");
+        session.Write("two");
+        session.Write("three");
+        var texts = new List<string>();
+
+        // Act
+        using var subscription = session.GetOutput(1).Subscribe(c => texts.Add(c.Text));
+        session.Write("four");
+
+        // Assert
+        Assert.Equal(new[] { "two", "three", "four" }, texts);
+    }
+
+    [Fact]
+    public void Write_ShouldDropOldestOutputBeyondBufferLimit()
+    {
+        // Arrange
+        using var manager = new TerminalSessionManager(new CliExecutorFactory()) { MaxBufferedCharacters = 10 };
+        var session = manager.Attach("session-1", Owner);
+
+        // Act
+        session.Write("aaaaa");
+        session.Write("bbbbb");
+        session.Write("ccccc");
+
+        // Assert
+        Assert.Equal(2, session.OldestSequence);
+        Assert.Equal(3, session.LastSequence);
+    }
+
+    [Fact]
+    public void HasDroppedOutputAfter_ShouldReportGapsLeftByTheBufferLimit()
+    {
+        // Arrange
+        using var manager = new TerminalSessionManager(new CliExecutorFactory()) { MaxBufferedCharacters = 10 };
+        var session = manager.Attach("session-1", Owner);
+
+        // Act
+        session.Write("aaaaa");
+        session.Write("bbbbb");
+        session.Write("ccccc");
+
+        // Assert
+        Assert.True(session.HasDroppedOutputAfter(0));
+        Assert.False(session.HasDroppedOutputAfter(1));
+        Assert.False(session.HasDroppedOutputAfter(3));
+    }
+
+    [Fact]
+    public void RemoveExpiredSessions_ShouldOnlyCloseDetachedSessions()
+    {
+        // Arrange
+        using var manager = new TerminalSessionManager(new CliExecutorFactory()) { DetachedSessionTimeout = TimeSpan.Zero };
+        var detached = manager.Attach("detached", Owner);
+        manager.Attach("attached", Owner);
+        manager.Detach("detached");
+
+        // Act
+        var removed = manager.RemoveExpiredSessions();
+
+        // Assert
+        Assert.Equal(1, removed);
+        Assert.True(detached.IsDisposed);
+        Assert.Null(manager.GetSession("detached", Owner));
+        Assert.NotNull(manager.GetSession("attached", Owner));
+    }
+
+    [Fact]
+    public void Close_ShouldDisposeSessionAndCompleteOutput()
+    {
+        // Arrange
+        var session = _manager.Attach("session-1", Owner);
+        var completed = false;
+        using var subscription = session.GetOutput(0).Subscribe(_ => { }, () => completed = true);
+
+        // Act
+        var closed = _manager.Close("session-1", Owner);
+
+        // Assert
+        Assert.True(closed);
+        Assert.True(completed);
+        Assert.True(session.IsDisposed);
+        Assert.False(_manager.Close("session-1", Owner));
+    }
+
+    [Fact]
+    public void Attach_ShouldRejectSessionOfAnotherOwner()
+    {
+        // Arrange
+        var session = _manager.Attach("session-1", Owner);
+        session.Write("secret");
+
+        // Act & Assert
+        Assert.Throws<UnauthorizedAccessException>(() => _manager.Attach("session-1", "owner-2"));
+        Assert.Null(_manager.GetSession("session-1", "owner-2"));
+        Assert.False(_manager.Close("session-1", "owner-2"));
+        Assert.Equal(1, session.AttachCount);
+        Assert.False(session.IsDisposed);
+        Assert.Same(session, _manager.GetSession("session-1", Owner));
+    }
+
+    public void Dispose()
+    {
+        _manager.Dispose();
+    }
+}
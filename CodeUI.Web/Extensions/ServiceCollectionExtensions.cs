@@ -9,6 +9,8 @@ public static class ServiceCollectionExtensions
     {
         // CLI execution services
         services.AddScoped<ICliExecutor, CliExecutor>();
+        services.AddSingleton<ICliExecutorFactory, CliExecutorFactory>();
+        services.AddSingleton<ITerminalSessionManager, TerminalSessionManager>();
 
         // File system services
         services.AddScoped<IFileSystemService, FileSystemService>();
@@ -0,0 +1,21 @@
+namespace CodeUI.Web.Interop;
+
+/// <summary>
+/// Command registered with the command palette of wwwroot/js/commands.js. The palette calls
+/// back the OnCommand method of the registering component with the command id and the
+/// element id of the target instance.
+/// </summary>
+/// <param name="Id">Unique id, e.g. terminal.new</param>
+/// <param name="Title">Title shown in the palette</param>
+/// <param name="Category">Group shown before the title, e.g. Terminal</param>
+/// <param name="Keybinding">Default shortcut, e.g. Ctrl+Shift+K; users can change it in the palette</param>
+/// <param name="When">Module whose focused instance the command acts on (terminal or diffEditor), or null for a command available everywhere</param>
+public record CommandDefinition(string Id, string Title, string? Category = null, string? Keybinding = null, string? When = null);
+
+/// <summary>
+/// Item offered by the quick pick of the command palette.
+/// </summary>
+/// <param name="Label">Text shown and searched</param>
+/// <param name="Detail">Secondary text, e.g. the directory of a file</param>
+/// <param name="Value">Value returned when the item is picked</param>
+public record QuickPickItem(string Label, string? Detail, string Value);
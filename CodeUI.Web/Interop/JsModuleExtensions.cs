@@ -0,0 +1,66 @@
+using Microsoft.JSInterop;
+
+namespace CodeUI.Web.Interop;
+
+/// <summary>
+/// Paths of the JS interop modules, relative to the document base.
+/// </summary>
+public static class JsModules
+{
+    public const string Terminal = "./js/terminal.js";
+    public const string TerminalReplay = "./js/terminal-replay.js";
+    public const string DiffEditor = "./js/monaco-diff.js";
+    public const string Commands = "./js/commands.js";
+    public const string Accessibility = "./js/accessibility.js";
+}
+
+/// <summary>
+/// Loading of the JS interop modules and calls to the functions they export, which
+/// return their value or failure as a <see cref="JsResult{T}"/>.
+/// </summary>
+public static class JsModuleExtensions
+{
+    /// <summary>
+    /// Import one of the <see cref="JsModules"/>
+    /// </summary>
+    public static ValueTask<IJSObjectReference> ImportModuleAsync(this IJSRuntime jsRuntime, string path) =>
+        jsRuntime.InvokeAsync<IJSObjectReference>("import", path);
+
+    /// <summary>
+    /// Call a module function and return its value.
+    /// </summary>
+    /// <exception cref="JsModuleException">The function reported a failure</exception>
+    public static async ValueTask<T> CallAsync<T>(this IJSObjectReference module, string identifier, params object?[]? args)
+    {
+        return GetValue(identifier, await module.InvokeAsync<JsResult<T>>(identifier, args));
+    }
+
+    /// <summary>
+    /// Call a module function that waits for the user, e.g. a quick pick. The call is not
+    /// limited by the default interop timeout, only by <paramref name="cancellationToken"/>.
+    /// </summary>
+    /// <exception cref="JsModuleException">The function reported a failure</exception>
+    public static async ValueTask<T> CallAsync<T>(this IJSObjectReference module, string identifier,
+        CancellationToken cancellationToken, params object?[]? args)
+    {
+        return GetValue(identifier, await module.InvokeAsync<JsResult<T>>(identifier, cancellationToken, args));
+    }
+
+    /// <summary>
+    /// Call a module function whose value is not needed.
+    /// </summary>
+    /// <exception cref="JsModuleException">The function reported a failure</exception>
+    public static async ValueTask CallVoidAsync(this IJSObjectReference module, string identifier, params object?[]? args)
+    {
+        await module.CallAsync<object?>(identifier, args);
+    }
+
+    private static T GetValue<T>(string identifier, JsResult<T> result)
+    {
+        if (!result.Ok)
+        {
+            throw new JsModuleException(result.Error ?? new JsError("error", $"{identifier} failed"));
+        }
+        return result.Value!;
+    }
+}
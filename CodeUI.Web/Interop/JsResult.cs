@@ -0,0 +1,33 @@
+namespace CodeUI.Web.Interop;
+
+/// <summary>
+/// Result of a function exported by one of the JS interop modules under wwwroot/js.
+/// </summary>
+/// <typeparam name="T">Type of the value the function returns</typeparam>
+/// <param name="Ok">Whether the function succeeded</param>
+/// <param name="Value">The returned value; null for functions without one</param>
+/// <param name="Error">Why the function failed, when <paramref name="Ok"/> is false</param>
+public record JsResult<T>(bool Ok, T? Value, JsError? Error);
+
+/// <summary>
+/// Failure reported by a JS interop module.
+/// </summary>
+/// <param name="Code">Kind of failure, e.g. not-found, unavailable, assets-missing or error for unexpected ones</param>
+/// <param name="Message">Description of the failure</param>
+public record JsError(string Code, string Message);
+
+/// <summary>
+/// Thrown when a JS interop module function reports a failure.
+/// </summary>
+public class JsModuleException(JsError error) : Exception(error.Message)
+{
+    /// <summary>
+    /// Kind of failure reported by the module
+    /// </summary>
+    public string Code { get; } = error.Code;
+
+    /// <summary>
+    /// Whether the instance the call was meant for no longer exists
+    /// </summary>
+    public bool IsNotFound => Code == "not-found";
+}
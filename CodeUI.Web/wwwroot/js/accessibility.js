@@ -0,0 +1,177 @@
+// Accessibility mode, shared by the terminal and diff editor modules and the .NET components.
+// While it is on, xterm and Monaco run their screen reader support, and changes such as a
+// decided hunk are announced through live regions. The mode is kept per browser and can be
+// toggled from the page header or with Alt+Shift+F1.
+import { createLogger, exportResults, InteropError } from './interop.js';
+import { registerCommand } from './commands.js';
+
+const log = createLogger('accessibility');
+
+const accessibilityMode = {
+    storageKey: 'codeui.accessibility',
+    enabled: false,
+
+    // Class on <html> while the mode is on, for the stronger focus outlines of app.css
+    rootClass: 'codeui-accessible',
+
+    // Listeners of the JS modules, and .NET components by owner, told when the mode changes
+    listeners: new Set(),
+    watchers: new Map(),
+
+    // Live regions: polite for results of the user's own actions, assertive for failures
+    regions: null,
+    announceDelay: 100,
+
+    load: function () {
+        try {
+            this.enabled = localStorage.getItem(this.storageKey) === 'on';
+        } catch {
+            // Storage can be unavailable, e.g. in a sandboxed frame
+        }
+        this.applyRootClass();
+
+        // Enhanced navigation replaces the document's attributes with the server's
+        if (window.Blazor && typeof window.Blazor.addEventListener === 'function') {
+            window.Blazor.addEventListener('enhancedload', () => this.applyRootClass());
+        }
+    },
+
+    applyRootClass: function () {
+        document.documentElement.classList.toggle(this.rootClass, this.enabled);
+    },
+
+    isEnabled: function () {
+        return this.enabled;
+    },
+
+    setEnabled: function (enabled) {
+        enabled = Boolean(enabled);
+        if (enabled === this.enabled) {
+            return enabled;
+        }
+
+        this.enabled = enabled;
+        try {
+            localStorage.setItem(this.storageKey, enabled ? 'on' : 'off');
+        } catch {
+            // Keep the mode for this page only
+        }
+        this.applyRootClass();
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(enabled);
+            } catch (error) {
+                log.error('Error applying accessibility mode:', error);
+            }
+        });
+        this.watchers.forEach((dotNetRef, owner) => {
+            dotNetRef.invokeMethodAsync('OnAccessibilityChanged', enabled)
+                .catch(error => log.warn('Error notifying accessibility watcher:', owner, error));
+        });
+
+        // Announced even when turning the mode off, so the change is confirmed
+        this.speak(enabled ? 'Accessibility mode on' : 'Accessibility mode off', false);
+        return enabled;
+    },
+
+    toggle: function () {
+        return this.setEnabled(!this.enabled);
+    },
+
+    // Let a .NET component hear about the mode through OnAccessibilityChanged(bool).
+    // Returns whether the mode is on now.
+    watch: function (owner, dotNetObjectRef) {
+        if (!owner || !dotNetObjectRef) {
+            throw new InteropError('invalid-argument', 'A watcher needs an owner and a .NET reference');
+        }
+        this.watchers.set(owner, dotNetObjectRef);
+        return this.enabled;
+    },
+
+    unwatch: function (owner) {
+        return this.watchers.delete(owner);
+    },
+
+    // Read a message to screen reader users. Nothing is said while the mode is off.
+    // Returns whether the message was queued.
+    announce: function (message, assertive) {
+        if (!this.enabled || !message) {
+            return false;
+        }
+        this.speak(String(message), Boolean(assertive));
+        return true;
+    },
+
+    speak: function (message, assertive) {
+        const region = this.getRegions()[assertive ? 'assertive' : 'polite'];
+
+        // Emptying the region first makes screen readers repeat an identical message
+        region.textContent = '';
+        clearTimeout(region.codeUiTimer);
+        region.codeUiTimer = setTimeout(() => {
+            region.textContent = message;
+        }, this.announceDelay);
+    },
+
+    getRegions: function () {
+        if (this.regions && this.regions.polite.isConnected) {
+            return this.regions;
+        }
+
+        const create = (politeness, role) => {
+            const region = document.createElement('div');
+            region.className = 'codeui-live-region';
+            region.setAttribute('role', role);
+            region.setAttribute('aria-live', politeness);
+            region.setAttribute('aria-atomic', 'true');
+            document.body.appendChild(region);
+            return region;
+        };
+
+        this.regions = { polite: create('polite', 'status'), assertive: create('assertive', 'alert') };
+        return this.regions;
+    },
+
+    // The last message of each live region
+    getAnnouncements: function () {
+        const regions = this.regions;
+        return {
+            polite: regions ? regions.polite.textContent : '',
+            assertive: regions ? regions.assertive.textContent : ''
+        };
+    }
+};
+
+accessibilityMode.load();
+registerCommand(
+    { id: 'accessibility.toggle', title: 'Toggle Accessibility Mode', category: 'View', keybinding: 'Alt+Shift+F1' },
+    () => { accessibilityMode.toggle(); });
+
+// Called from .NET through IJSObjectReference; each returns { ok, value, error }
+export const {
+    isEnabled, setEnabled, toggle, watch, unwatch, announce
+} = exportResults(log, accessibilityMode, [
+    'isEnabled', 'setEnabled', 'toggle', 'watch', 'unwatch', 'announce'
+]);
+
+// For the terminal and diff editor modules: whether the mode is on, a listener called with
+// the new state whenever it changes (returns a function removing the listener), and
+// announcements as announce makes them for .NET
+export function isAccessibilityEnabled() {
+    return accessibilityMode.isEnabled();
+}
+
+export function onAccessibilityChange(listener) {
+    accessibilityMode.listeners.add(listener);
+    return () => accessibilityMode.listeners.delete(listener);
+}
+
+export function announceMessage(message, assertive) {
+    return accessibilityMode.announce(message, assertive);
+}
+
+// Test hooks for the end-to-end tests; these return plain values
+export function getAnnouncements() {
+    return accessibilityMode.getAnnouncements();
+}
@@ -0,0 +1,101 @@
+// Third-party client assets (xterm, Monaco, Font Awesome) served from a configurable base path.
+// The base path comes from the codeui-asset-base meta tag, which App.razor fills from the
+// ClientAssets:BasePath setting. It defaults to the copies restored into wwwroot/lib.
+// App.razor loads this module on every page so failures are recorded from the start; the
+// terminal and diff editor modules import it to check their assets before using them.
+import { createLogger } from './interop.js';
+
+const log = createLogger('assets');
+
+const clientAssets = {
+    // URLs of scripts and stylesheets that failed to load
+    failures: [],
+
+    get basePath() {
+        const meta = document.querySelector('meta[name="codeui-asset-base"]');
+        const base = (meta && meta.content) || 'lib';
+        return new URL(base.endsWith('/') ? base : base + '/', document.baseURI).href;
+    },
+
+    // Absolute URL of a file below the base path, e.g. 'xterm@5.3.0/lib/xterm.js'
+    url: function (path) {
+        return new URL(path, this.basePath).href;
+    },
+
+    // Asset tags that failed before this module ran are marked by their onerror attribute;
+    // later failures, such as a slow stylesheet, are caught as they happen
+    watchFailures: function () {
+        document.querySelectorAll('[data-load-failed]').forEach(element => this.reportFailure(element));
+        window.addEventListener('error', event => {
+            const element = event.target;
+            if (element instanceof HTMLScriptElement || element instanceof HTMLLinkElement) {
+                const url = element.src || element.href;
+                if (url && url.startsWith(this.basePath)) {
+                    this.reportFailure(element);
+                }
+            }
+        }, true);
+    },
+
+    reportFailure: function (element) {
+        const url = element.src || element.href;
+        if (url && !this.failures.includes(url)) {
+            log.error('Failed to load client asset:', url);
+            this.failures.push(url);
+        }
+    },
+
+    // Check that the globals a feature needs were loaded; otherwise show an error in its
+    // container instead of failing later with an undefined reference
+    ensure: function (container, feature, globals) {
+        const missing = globals.filter(name => typeof window[name] === 'undefined');
+        if (missing.length === 0) {
+            return true;
+        }
+
+        this.showLoadError(container, feature, `${missing.join(', ')} did not load`);
+        return false;
+    },
+
+    showLoadError: function (container, feature, reason) {
+        log.error(`Could not start the ${feature}:`, reason);
+        if (!container) {
+            return;
+        }
+
+        let error = container.querySelector(':scope > .asset-load-error');
+        if (!error) {
+            error = document.createElement('div');
+            error.className = 'asset-load-error';
+            error.setAttribute('role', 'alert');
+            container.appendChild(error);
+        }
+
+        const title = document.createElement('strong');
+        title.textContent = `The ${feature} could not be loaded.`;
+
+        const details = document.createElement('div');
+        details.textContent = `${reason}. Assets are loaded from ${this.basePath}; ` +
+            'check that they were restored with the build or that ClientAssets:BasePath points to a reachable copy.';
+
+        error.replaceChildren(title, details);
+        this.failures.forEach(url => {
+            const item = document.createElement('code');
+            item.textContent = url;
+            error.appendChild(item);
+        });
+    }
+};
+
+clientAssets.watchFailures();
+
+// For the terminal, replay and diff editor modules: the URL of an asset below the base
+// path, and a check that a feature's globals loaded, which shows an error in its
+// container otherwise
+export function assetUrl(path) {
+    return clientAssets.url(path);
+}
+
+export function ensureAssets(container, feature, globals) {
+    return clientAssets.ensure(container, feature, globals);
+}
@@ -0,0 +1,654 @@
+// Command registry and command palette. The terminal and diff editor modules and .NET
+// components register commands with a title, an optional default shortcut and the kind of
+// instance they act on; shortcuts are handled for the whole page, before xterm or Monaco
+// see the key, and Ctrl+Shift+P opens the palette. Users can change any shortcut there.
+import { createLogger, exportResults, findInstance, hasInstance, InteropError } from './interop.js';
+
+const log = createLogger('commands');
+
+const commandRegistry = {
+    // Commands by id: { id, title, category, keybinding, when, handlers }. when names the
+    // module whose focused instance the command acts on ('terminal', 'diffEditor'), or is
+    // null for commands available everywhere. Handlers are kept per owner, so several
+    // components can register the same command and each runs it for its own instance.
+    commands: new Map(),
+
+    // Shortcuts the user changed, by command id; an empty string removes the shortcut
+    keybindingStorageKey: 'codeui.keybindings',
+    keybindings: null,
+
+    // Listeners of the modules that show shortcuts, told when the user changes one
+    keybindingListeners: new Set(),
+
+    modifiers: ['Ctrl', 'Alt', 'Shift', 'Meta'],
+    modifierAliases: {
+        ctrl: 'Ctrl', control: 'Ctrl', alt: 'Alt', option: 'Alt',
+        shift: 'Shift', meta: 'Meta', cmd: 'Meta', command: 'Meta'
+    },
+
+    // Named keys, so a shortcut such as 'alt+pagedown' matches the key press
+    namedKeys: ['Up', 'Down', 'Left', 'Right', 'PageUp', 'PageDown', 'Home', 'End', 'Insert',
+        'Delete', 'Backspace', 'Enter', 'Escape', 'Space', 'Tab'],
+
+    // Key names for KeyboardEvent.code values not named after the key itself
+    keyNames: {
+        Backquote: '`', Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']',
+        Backslash: '\\', Semicolon: ';', Quote: '\'', Comma: ',', Period: '.', Slash: '/',
+        ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right'
+    },
+
+    // Instance that last had focus, as { module, id }: the target of commands run from
+    // the palette or a toolbar while focus is elsewhere
+    focused: null,
+
+    // Open palette: its elements, items and the promise it resolves when closed
+    palette: null,
+
+    listen: function () {
+        // Capture phase, so shortcuts win over the key handling of xterm and Monaco
+        window.addEventListener('keydown', event => this.handleKeyDown(event), true);
+        document.addEventListener('focusin', event => {
+            const instance = findInstance(event.target);
+            if (instance) {
+                this.focused = instance;
+            }
+        });
+    },
+
+    // Register a command run by a JS function, which receives the target instance
+    register: function (definition, run, owner) {
+        if (!definition || !definition.id || !definition.title) {
+            throw new InteropError('invalid-argument', 'A command needs an id and a title');
+        }
+
+        const command = this.commands.get(definition.id) || { id: definition.id, handlers: new Map() };
+        command.title = definition.title;
+        command.category = definition.category || '';
+        command.keybinding = definition.keybinding ? this.normalizeShortcut(definition.keybinding) || '' : '';
+        command.when = definition.when || null;
+        command.handlers.set(owner || '*', run);
+        this.commands.set(command.id, command);
+        return command.id;
+    },
+
+    // Register the commands of a .NET component, which are run through its OnCommand method
+    // with the command id and the element id of the target instance. Registering again
+    // replaces the owner's commands.
+    registerCommands: function (owner, commands, dotNetObjectRef) {
+        if (!owner || !Array.isArray(commands)) {
+            throw new InteropError('invalid-argument', 'Commands need an owner and a list of commands');
+        }
+
+        this.unregisterCommands(owner);
+        commands.forEach(definition => {
+            this.register(definition, target =>
+                dotNetObjectRef.invokeMethodAsync('OnCommand', definition.id, target ? target.id : null), owner);
+        });
+        return commands.length;
+    },
+
+    // Remove the commands of an owner; commands no one else registered are gone
+    unregisterCommands: function (owner) {
+        let removed = false;
+        this.commands.forEach((command, id) => {
+            if (command.handlers.delete(owner)) {
+                removed = true;
+                if (command.handlers.size === 0) {
+                    this.commands.delete(id);
+                }
+            }
+        });
+        return removed;
+    },
+
+    // Canonical form of a shortcut such as 'ctrl+shift+p': modifiers in the order Ctrl, Alt,
+    // Shift, Meta, then the key. Returns null for text that is not a shortcut.
+    normalizeShortcut: function (text) {
+        const modifiers = new Set();
+        let key = null;
+        for (const part of String(text || '').split('+').map(p => p.trim()).filter(Boolean)) {
+            const modifier = this.modifierAliases[part.toLowerCase()];
+            if (modifier) {
+                modifiers.add(modifier);
+            } else if (key === null) {
+                key = this.namedKeys.find(name => name.toLowerCase() === part.toLowerCase()) ||
+                    part.charAt(0).toUpperCase() + part.slice(1);
+            } else {
+                return null;
+            }
+        }
+        if (!key) {
+            return null;
+        }
+        return this.modifiers.filter(m => modifiers.has(m)).concat(key).join('+');
+    },
+
+    // The shortcut of a key press, or null while only modifiers are held. Keys are named by
+    // their position (KeyboardEvent.code), so shortcuts work the same in every layout.
+    eventToShortcut: function (event) {
+        const code = event.code || '';
+        let key;
+        if (/^Key[A-Z]$/.test(code)) {
+            key = code.slice(3);
+        } else if (/^Digit\d$/.test(code)) {
+            key = code.slice(5);
+        } else if (!code || /^(Control|Shift|Alt|Meta|OS)(Left|Right)?$/.test(code)) {
+            return null;
+        } else {
+            key = this.keyNames[code] || code;
+        }
+
+        const pressed = [event.ctrlKey, event.altKey, event.shiftKey, event.metaKey];
+        return this.modifiers.filter((m, i) => pressed[i]).concat(key).join('+');
+    },
+
+    // Without Ctrl, Alt or Meta a shortcut would take a key from typing, so only function
+    // keys may go without
+    isBindable: function (shortcut) {
+        return /(^|\+)(Ctrl|Alt|Meta)\+/.test(shortcut) || /^(Shift\+)?F\d+$/.test(shortcut);
+    },
+
+    loadKeybindings: function () {
+        if (!this.keybindings) {
+            this.keybindings = {};
+            try {
+                const stored = JSON.parse(localStorage.getItem(this.keybindingStorageKey) || '{}');
+                if (stored && typeof stored === 'object') {
+                    this.keybindings = stored;
+                }
+            } catch (error) {
+                log.warn('Ignoring stored keybindings:', error);
+            }
+        }
+        return this.keybindings;
+    },
+
+    saveKeybindings: function () {
+        try {
+            localStorage.setItem(this.keybindingStorageKey, JSON.stringify(this.keybindings));
+        } catch {
+            // Keep the shortcuts for this page only
+        }
+
+        this.keybindingListeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                log.error('Error applying changed shortcuts:', error);
+            }
+        });
+    },
+
+    getKeybinding: function (command) {
+        const keybindings = this.loadKeybindings();
+        return command.id in keybindings ? keybindings[command.id] : command.keybinding;
+    },
+
+    // Change the shortcut of a command for this browser; an empty shortcut removes it
+    setKeybinding: function (id, shortcut) {
+        const command = this.requireCommand(id);
+        const normalized = shortcut ? this.normalizeShortcut(shortcut) : '';
+        if (normalized === null) {
+            throw new InteropError('invalid-argument', `Not a shortcut: ${shortcut}`);
+        }
+        if (normalized && !this.isBindable(normalized)) {
+            throw new InteropError('invalid-argument', `${normalized} needs Ctrl, Alt or Meta, or a function key`);
+        }
+
+        const keybindings = this.loadKeybindings();
+        if (normalized === command.keybinding) {
+            delete keybindings[id];
+        } else {
+            keybindings[id] = normalized;
+        }
+        this.saveKeybindings();
+        log.info(`Shortcut of ${id}:`, normalized || '(none)');
+        return normalized;
+    },
+
+    // Restore the default shortcut of a command
+    resetKeybinding: function (id) {
+        const command = this.requireCommand(id);
+        delete this.loadKeybindings()[id];
+        this.saveKeybindings();
+        return command.keybinding;
+    },
+
+    requireCommand: function (id) {
+        const command = this.commands.get(id);
+        if (!command) {
+            throw new InteropError('not-found', `Command not found: ${id}`);
+        }
+        return command;
+    },
+
+    isAvailable: function (command, target) {
+        return !command.when ||
+            Boolean(target && target.module === command.when && hasInstance(target.module, target.id));
+    },
+
+    // The instance a command from the palette acts on: the one with focus, or else the
+    // one that had it last
+    getTarget: function () {
+        const active = findInstance(document.activeElement);
+        if (active) {
+            return active;
+        }
+        if (this.focused && hasInstance(this.focused.module, this.focused.id)) {
+            return this.focused;
+        }
+        return null;
+    },
+
+    // Commands available for a target, by category and title
+    listAvailable: function (target) {
+        return Array.from(this.commands.values())
+            .filter(command => this.isAvailable(command, target))
+            .sort((a, b) => a.category.localeCompare(b.category) || a.title.localeCompare(b.title));
+    },
+
+    // Run a command for a target. The handler registered by the target itself wins, then
+    // one registered for every instance, then the most recent one.
+    invoke: function (command, target) {
+        const handler = (target && command.handlers.get(target.id)) ||
+            command.handlers.get('*') ||
+            Array.from(command.handlers.values()).pop();
+
+        log.debug('Running command:', command.id, target ? target.id : '');
+        return Promise.resolve()
+            .then(() => handler(target))
+            .then(() => true, error => {
+                log.error(`Command ${command.id} failed:`, error);
+                return false;
+            });
+    },
+
+    // Run a command for the focused instance; resolves to whether it succeeded
+    executeCommand: function (id) {
+        const command = this.requireCommand(id);
+        const target = this.getTarget();
+        if (!this.isAvailable(command, target)) {
+            throw new InteropError('unavailable', `${command.id} needs a focused ${command.when} instance`);
+        }
+        return this.invoke(command, target);
+    },
+
+    handleKeyDown: function (event) {
+        // The open palette handles its own keys
+        if (this.palette || event.defaultPrevented) {
+            return;
+        }
+
+        const shortcut = this.eventToShortcut(event);
+        if (!shortcut) {
+            return;
+        }
+
+        // Commands for the focused instance win over commands available everywhere
+        const target = findInstance(event.target);
+        let match = null;
+        for (const command of this.commands.values()) {
+            if (this.getKeybinding(command) === shortcut && this.isAvailable(command, target) &&
+                (!match || (command.when && !match.when))) {
+                match = command;
+            }
+        }
+        if (!match) {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+        this.invoke(match, target);
+    },
+
+    // Open the palette with the commands available for the focused instance
+    showPalette: function () {
+        const target = this.getTarget();
+        const items = this.listAvailable(target).map(command => ({
+            label: command.category ? `${command.category}: ${command.title}` : command.title,
+            command: command
+        }));
+
+        return this.showPicker('Type the name of a command', items).then(item => {
+            if (item) {
+                this.invoke(item.command, target);
+            }
+            return Boolean(item);
+        });
+    },
+
+    // Let the user pick one of a list of items in the palette, e.g. a file to open. Items are
+    // strings or { label, detail, value }; resolves to the picked value, or null.
+    showQuickPick: function (placeholder, items) {
+        if (!Array.isArray(items)) {
+            throw new InteropError('invalid-argument', 'Quick pick items must be a list');
+        }
+
+        const choices = items.map(item => typeof item === 'string'
+            ? { label: item, value: item }
+            : { label: String(item.label), detail: item.detail || '', value: 'value' in item ? item.value : item.label });
+        return this.showPicker(placeholder || 'Select an item', choices)
+            .then(item => item ? item.value : null);
+    },
+
+    showPicker: function (placeholder, items) {
+        this.closePalette(null);
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'command-palette-backdrop';
+
+        const dialog = document.createElement('div');
+        dialog.className = 'command-palette';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-label', placeholder);
+        backdrop.appendChild(dialog);
+
+        const input = document.createElement('input');
+        input.className = 'command-palette-input';
+        input.type = 'text';
+        input.placeholder = placeholder;
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-expanded', 'true');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', 'command-palette-list');
+        dialog.appendChild(input);
+
+        const list = document.createElement('div');
+        list.className = 'command-palette-list';
+        list.id = 'command-palette-list';
+        list.setAttribute('role', 'listbox');
+        dialog.appendChild(list);
+
+        const isCommandList = items.some(item => item.command);
+        const hint = document.createElement('div');
+        hint.className = 'command-palette-hint';
+        hint.textContent = isCommandList
+            ? 'Enter runs the command, Ctrl+Enter changes its shortcut, Esc closes'
+            : 'Enter picks the item, Esc closes';
+        dialog.appendChild(hint);
+
+        const palette = {
+            element: backdrop,
+            input: input,
+            list: list,
+            hint: hint,
+            hintText: hint.textContent,
+            items: items,
+            filtered: items,
+            active: 0,
+            // Command whose new shortcut is being recorded
+            recording: null,
+            restoreFocus: document.activeElement,
+            resolve: null
+        };
+        const promise = new Promise(resolve => { palette.resolve = resolve; });
+        this.palette = palette;
+
+        input.addEventListener('input', () => this.filterPalette());
+        input.addEventListener('keydown', event => this.handlePaletteKey(event));
+        backdrop.addEventListener('mousedown', event => {
+            if (event.target === backdrop) {
+                event.preventDefault();
+                this.closePalette(null);
+            }
+        });
+
+        document.body.appendChild(backdrop);
+        this.renderPalette();
+        input.focus();
+        return promise;
+    },
+
+    filterPalette: function () {
+        const palette = this.palette;
+        const terms = palette.input.value.toLowerCase().split(/\s+/).filter(Boolean);
+        palette.filtered = palette.items.filter(item => {
+            const text = `${item.label} ${item.detail || ''}`.toLowerCase();
+            return terms.every(term => text.includes(term));
+        });
+        palette.active = 0;
+        palette.recording = null;
+        this.renderPalette();
+    },
+
+    renderPalette: function () {
+        const palette = this.palette;
+        palette.list.replaceChildren();
+        palette.hint.textContent = palette.recording
+            ? `New shortcut for ${palette.recording.title}: press it, or Backspace to remove, Delete to restore the default, Esc to cancel`
+            : palette.hintText;
+
+        if (palette.filtered.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'command-palette-empty';
+            empty.textContent = palette.items.length === 0 ? 'Nothing to pick from' : 'No matches';
+            palette.list.appendChild(empty);
+            palette.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        palette.filtered.forEach((item, index) => {
+            const row = document.createElement('div');
+            row.className = 'command-palette-item' + (index === palette.active ? ' active' : '');
+            row.id = `command-palette-item-${index}`;
+            row.setAttribute('role', 'option');
+            row.setAttribute('aria-selected', String(index === palette.active));
+
+            const label = document.createElement('span');
+            label.className = 'command-palette-label';
+            label.textContent = item.label;
+            row.appendChild(label);
+
+            if (item.detail) {
+                const detail = document.createElement('span');
+                detail.className = 'command-palette-detail';
+                detail.textContent = item.detail;
+                row.appendChild(detail);
+            }
+
+            if (item.command) {
+                this.renderKeybinding(row, item.command, index);
+            }
+
+            // Keep focus in the input while clicking
+            row.addEventListener('mousedown', event => event.preventDefault());
+            row.addEventListener('click', () => this.closePalette(item));
+            palette.list.appendChild(row);
+        });
+
+        const active = palette.list.children[palette.active];
+        palette.input.setAttribute('aria-activedescendant', active.id);
+        active.scrollIntoView({ block: 'nearest' });
+    },
+
+    renderKeybinding: function (row, command, index) {
+        const palette = this.palette;
+        const keybinding = this.getKeybinding(command);
+        const changed = command.id in this.loadKeybindings();
+
+        const shortcut = document.createElement('kbd');
+        shortcut.className = 'command-palette-keybinding';
+        if (palette.recording === command) {
+            shortcut.classList.add('recording');
+            shortcut.textContent = 'Press a shortcut';
+        } else {
+            shortcut.textContent = keybinding;
+        }
+        row.appendChild(shortcut);
+
+        const button = (text, title, onClick) => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.className = 'command-palette-button';
+            element.tabIndex = -1;
+            element.textContent = text;
+            element.title = title;
+            element.setAttribute('aria-label', `${title}: ${command.title}`);
+            element.addEventListener('click', event => {
+                event.stopPropagation();
+                onClick();
+            });
+            return element;
+        };
+
+        row.appendChild(button('Change', 'Change shortcut', () => {
+            palette.active = index;
+            palette.recording = command;
+            this.renderPalette();
+        }));
+        if (changed) {
+            row.appendChild(button('Reset', 'Restore default shortcut', () => {
+                this.resetKeybinding(command.id);
+                this.renderPalette();
+            }));
+        }
+    },
+
+    handlePaletteKey: function (event) {
+        const palette = this.palette;
+        if (palette.recording) {
+            event.preventDefault();
+            this.recordKeybinding(event);
+            return;
+        }
+
+        const count = palette.filtered.length;
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                event.preventDefault();
+                if (count > 0) {
+                    palette.active = (palette.active + (event.key === 'ArrowDown' ? 1 : count - 1)) % count;
+                    this.renderPalette();
+                }
+                break;
+            case 'Enter': {
+                event.preventDefault();
+                const item = palette.filtered[palette.active];
+                if (item && item.command && (event.ctrlKey || event.metaKey)) {
+                    palette.recording = item.command;
+                    this.renderPalette();
+                } else if (item) {
+                    this.closePalette(item);
+                }
+                break;
+            }
+            case 'Escape':
+                event.preventDefault();
+                this.closePalette(null);
+                break;
+            case 'Tab':
+                // The input is the only stop in the dialog
+                event.preventDefault();
+                break;
+        }
+    },
+
+    recordKeybinding: function (event) {
+        const palette = this.palette;
+        const command = palette.recording;
+        const plain = !event.ctrlKey && !event.altKey && !event.shiftKey && !event.metaKey;
+
+        if (plain && event.key === 'Escape') {
+            palette.recording = null;
+        } else if (plain && event.key === 'Backspace') {
+            this.setKeybinding(command.id, '');
+            palette.recording = null;
+        } else if (plain && event.key === 'Delete') {
+            this.resetKeybinding(command.id);
+            palette.recording = null;
+        } else {
+            const shortcut = this.eventToShortcut(event);
+            if (!shortcut) {
+                return;
+            }
+            if (!this.isBindable(shortcut)) {
+                palette.hint.textContent = `${shortcut} would take a key from typing; use Ctrl, Alt or Meta, or a function key`;
+                return;
+            }
+            this.setKeybinding(command.id, shortcut);
+            palette.recording = null;
+        }
+        this.renderPalette();
+    },
+
+    // Close the palette, giving focus back to where it was, and resolve it with the picked item
+    closePalette: function (item) {
+        const palette = this.palette;
+        if (!palette) {
+            return false;
+        }
+
+        this.palette = null;
+        palette.element.remove();
+        if (palette.restoreFocus && palette.restoreFocus.isConnected && typeof palette.restoreFocus.focus === 'function') {
+            palette.restoreFocus.focus();
+        }
+        palette.resolve(item);
+        return true;
+    },
+
+    // Commands with their current shortcut, whether it was changed and whether the command
+    // is available for the focused instance
+    getCommands: function () {
+        const target = this.getTarget();
+        return Array.from(this.commands.values()).map(command => ({
+            id: command.id,
+            title: command.title,
+            category: command.category,
+            when: command.when,
+            keybinding: this.getKeybinding(command),
+            defaultKeybinding: command.keybinding,
+            changed: command.id in this.loadKeybindings(),
+            available: this.isAvailable(command, target)
+        }));
+    }
+};
+
+commandRegistry.register(
+    { id: 'workbench.showCommands', title: 'Show All Commands', category: 'View', keybinding: 'Ctrl+Shift+P' },
+    () => { commandRegistry.showPalette(); });
+commandRegistry.listen();
+
+// Called from .NET through IJSObjectReference; each returns { ok, value, error }
+export const {
+    registerCommands, unregisterCommands, executeCommand, showQuickPick,
+    getCommands, setKeybinding, resetKeybinding
+} = exportResults(log, commandRegistry, [
+    'registerCommands', 'unregisterCommands', 'executeCommand', 'showQuickPick',
+    'getCommands', 'setKeybinding', 'resetKeybinding'
+]);
+
+// Register a command for the terminal and diff editor modules. run receives the target
+// instance as { module, id }; owner defaults to every instance.
+export function registerCommand(definition, run, owner) {
+    return commandRegistry.register(definition, run, owner);
+}
+
+// Let the user pick one of a list of items, as showQuickPick does for .NET
+export function quickPick(placeholder, items) {
+    return commandRegistry.showQuickPick(placeholder, items);
+}
+
+export function normalizeShortcut(text) {
+    return commandRegistry.normalizeShortcut(text);
+}
+
+// The current shortcut of a command, or '' if it has none or is not registered, and a
+// listener called whenever the user changes a shortcut (returns a function removing it)
+export function getCommandKeybinding(id) {
+    const command = commandRegistry.commands.get(id);
+    return command ? commandRegistry.getKeybinding(command) : '';
+}
+
+export function onKeybindingsChange(listener) {
+    commandRegistry.keybindingListeners.add(listener);
+    return () => commandRegistry.keybindingListeners.delete(listener);
+}
+
+// Test hooks for the end-to-end tests; these return plain values
+export function isPaletteOpen() {
+    return commandRegistry.palette !== null;
+}
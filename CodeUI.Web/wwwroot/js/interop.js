@@ -0,0 +1,179 @@
+// Shared layer of the JS interop modules (terminal, diff editor, replay player):
+// instance registries, structured results for .NET and a logger with a configurable level.
+// Modules throw InteropError for expected failures such as an unknown instance; the
+// functions they export to .NET turn return values and errors into { ok, value, error }.
+
+const logLevels = { debug: 0, info: 1, warn: 2, error: 3, none: 4 };
+const logLevelStorageKey = 'codeui.logLevel';
+const registries = new Map();
+
+// The level comes from localStorage (set with setLogLevel, e.g. from the browser console),
+// then from the codeui-log-level meta tag App.razor fills from ClientLogging:Level
+let logLevel = readLogLevel();
+
+function readLogLevel() {
+    let level = null;
+    try {
+        level = localStorage.getItem(logLevelStorageKey);
+    } catch {
+        // Storage can be unavailable, e.g. in a sandboxed frame
+    }
+
+    if (!(level in logLevels)) {
+        const meta = document.querySelector('meta[name="codeui-log-level"]');
+        level = meta ? meta.content : 'warn';
+    }
+    return level in logLevels ? level : 'warn';
+}
+
+export function getLogLevel() {
+    return logLevel;
+}
+
+// Set the level for this browser: debug, info, warn, error or none. Without a level the
+// override is removed and the configured level applies again.
+export function setLogLevel(level) {
+    try {
+        if (level in logLevels) {
+            localStorage.setItem(logLevelStorageKey, level);
+        } else {
+            localStorage.removeItem(logLevelStorageKey);
+        }
+    } catch {
+        // Keep the level for this page only
+    }
+
+    logLevel = level in logLevels ? level : readLogLevel();
+    return logLevel;
+}
+
+// Logger whose messages are prefixed with the module name and dropped below the level
+export function createLogger(module) {
+    const write = level => (...args) => {
+        if (logLevels[level] >= logLevels[logLevel]) {
+            console[level](`[${module}]`, ...args);
+        }
+    };
+
+    return {
+        debug: write('debug'),
+        info: write('info'),
+        warn: write('warn'),
+        error: write('error')
+    };
+}
+
+// An expected failure, reported to .NET with its code instead of being logged as an error
+export class InteropError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'InteropError';
+        this.code = code;
+    }
+}
+
+export function ok(value) {
+    return { ok: true, value: value === undefined ? null : value, error: null };
+}
+
+export function fail(error) {
+    return {
+        ok: false,
+        value: null,
+        error: {
+            code: error instanceof InteropError ? error.code : 'error',
+            message: error && error.message ? error.message : String(error)
+        }
+    };
+}
+
+// Run an action and return its result, or the error it threw, as { ok, value, error }.
+// Promises resolve to a result as well.
+export function run(log, action, callback) {
+    const report = error => {
+        if (error instanceof InteropError) {
+            log.warn(`${action}: ${error.message}`);
+        } else {
+            log.error(`Error in ${action}:`, error);
+        }
+        return fail(error);
+    };
+
+    try {
+        const value = callback();
+        return value && typeof value.then === 'function'
+            ? value.then(ok, report)
+            : ok(value);
+    } catch (error) {
+        return report(error);
+    }
+}
+
+// Wrap methods of a module object as the functions it exports to .NET
+export function exportResults(log, target, names) {
+    const exported = {};
+    names.forEach(name => {
+        exported[name] = (...args) => run(log, name, () => target[name](...args));
+    });
+    return exported;
+}
+
+// Live instances of a module by element id. Registries are shared through this module,
+// so diagnostics can count the instances of every module.
+export function createRegistry(module, noun) {
+    const instances = new Map();
+    const registry = {
+        module: module,
+
+        get: id => instances.get(id),
+        has: id => instances.has(id),
+        set: (id, instance) => instances.set(id, instance),
+        delete: id => instances.delete(id),
+        forEach: callback => instances.forEach(callback),
+        values: () => instances.values(),
+        get size() { return instances.size; },
+
+        // The instance with this id, or an InteropError .NET receives as code 'not-found'
+        require: function (id) {
+            const instance = instances.get(id);
+            if (!instance) {
+                throw new InteropError('not-found', `${noun || module} not found: ${id}`);
+            }
+            return instance;
+        }
+    };
+
+    registries.set(module, registry);
+    return registry;
+}
+
+// Number of live instances per module
+export function getInstanceCounts() {
+    const counts = {};
+    registries.forEach((registry, module) => {
+        counts[module] = registry.size;
+    });
+    return counts;
+}
+
+// Whether a module still has a live instance with this id
+export function hasInstance(module, id) {
+    const registry = registries.get(module);
+    return Boolean(registry && registry.has(id));
+}
+
+// The instance an element belongs to, e.g. the terminal whose text area has focus:
+// the nearest ancestor whose id is registered with a module, as { module, id }
+export function findInstance(element) {
+    for (let node = element; node && node !== document; node = node.parentNode) {
+        if (!node.id) {
+            continue;
+        }
+        for (const [module, registry] of registries) {
+            if (registry.has(node.id)) {
+                return { module: module, id: node.id };
+            }
+        }
+    }
+    return null;
+}
@@ -0,0 +1,152 @@
+// Lifecycle scopes shared by the terminal and diff editor modules.
+// Every instance gets a scope that tracks the listeners, observers, disposables and
+// Monaco models it creates, so disposing the instance releases all of them.
+import { createLogger } from './interop.js';
+
+const log = createLogger('lifecycle');
+const scopes = new Map();
+
+// Create the scope for an instance, releasing any previous scope with the same id
+export function createScope(module, id) {
+    const key = `${module}:${id}`;
+    disposeScope(module, id);
+
+    const scope = newScope(module, id);
+    scopes.set(key, scope);
+    return scope;
+}
+
+export function getScope(module, id) {
+    return scopes.get(`${module}:${id}`) || null;
+}
+
+export function disposeScope(module, id) {
+    const key = `${module}:${id}`;
+    const scope = scopes.get(key);
+    if (!scope) {
+        return false;
+    }
+
+    scopes.delete(key);
+    scope.dispose();
+    return true;
+}
+
+function newScope(module, id) {
+    // Cleanup callbacks, run last-registered-first on dispose
+    const cleanups = [];
+    const counts = { listeners: 0, observers: 0, disposables: 0 };
+    const models = new Set();
+    let disposed = false;
+
+    const register = (kind, cleanup) => {
+        if (disposed) {
+            cleanup();
+            return;
+        }
+        counts[kind]++;
+        cleanups.push({ kind: kind, cleanup: cleanup });
+    };
+
+    return {
+        module: module,
+        id: id,
+        get isDisposed() { return disposed; },
+
+        addEventListener: function (target, type, handler, options) {
+            target.addEventListener(type, handler, options);
+            register('listeners', () => target.removeEventListener(type, handler, options));
+            return handler;
+        },
+
+        observeResize: function (element, callback) {
+            const observer = new ResizeObserver(callback);
+            observer.observe(element);
+            register('observers', () => observer.disconnect());
+            return observer;
+        },
+
+        // Track anything with a dispose() method (xterm and Monaco IDisposable, event subscriptions)
+        track: function (disposable) {
+            if (disposable && typeof disposable.dispose === 'function') {
+                register('disposables', () => disposable.dispose());
+            }
+            return disposable;
+        },
+
+        // Run a callback on dispose, e.g. to clear a timer
+        onDispose: function (callback) {
+            register('disposables', callback);
+        },
+
+        trackModel: function (model) {
+            models.add(model);
+            return model;
+        },
+
+        // Dispose a model the instance no longer uses
+        releaseModel: function (model) {
+            if (model && models.delete(model) && !model.isDisposed()) {
+                model.dispose();
+            }
+        },
+
+        getCounts: function () {
+            return {
+                listeners: counts.listeners,
+                observers: counts.observers,
+                disposables: counts.disposables,
+                models: models.size
+            };
+        },
+
+        dispose: function () {
+            if (disposed) {
+                return;
+            }
+            disposed = true;
+
+            while (cleanups.length > 0) {
+                const entry = cleanups.pop();
+                counts[entry.kind]--;
+                try {
+                    entry.cleanup();
+                } catch (error) {
+                    log.error(`Error releasing ${module} ${id} resource:`, error);
+                }
+            }
+
+            models.forEach(model => {
+                try {
+                    if (!model.isDisposed()) {
+                        model.dispose();
+                    }
+                } catch (error) {
+                    log.error(`Error disposing ${module} ${id} model:`, error);
+                }
+            });
+            models.clear();
+        }
+    };
+}
+
+// Live instance and resource counts, optionally for one module
+export function getDiagnostics(module) {
+    const diagnostics = { instances: {}, listeners: 0, observers: 0, disposables: 0, models: 0 };
+    scopes.forEach(scope => {
+        if (module && scope.module !== module) {
+            return;
+        }
+
+        diagnostics.instances[scope.module] = (diagnostics.instances[scope.module] || 0) + 1;
+        const counts = scope.getCounts();
+        diagnostics.listeners += counts.listeners;
+        diagnostics.observers += counts.observers;
+        diagnostics.disposables += counts.disposables;
+        diagnostics.models += counts.models;
+    });
+
+    // Models Monaco itself still holds, including any created outside a scope
+    diagnostics.monacoModels = typeof monaco !== 'undefined' ? monaco.editor.getModels().length : 0;
+    return diagnostics;
+}
@@ -1,19 +1,92 @@
-// Monaco Diff Editor Integration for Blazor
-window.monacoDiffEditor = {
-    editors: new Map(),
+// Monaco diff editor module for Blazor, imported by the diff components through IJSObjectReference
+import { createLogger, createRegistry, exportResults, InteropError } from './interop.js';
+import { getCommandKeybinding, onKeybindingsChange, registerCommand } from './commands.js';
+import { announceMessage, isAccessibilityEnabled, onAccessibilityChange } from './accessibility.js';
+import { assetUrl, ensureAssets } from './assets.js';
+import { createScope, disposeScope, getDiagnostics as getScopeDiagnostics } from './lifecycle.js';
+
+const log = createLogger('diff');
+
+const monacoDiffEditor = {
+    editors: createRegistry('diffEditor', 'Diff editor'),
+    mergeEditors: createRegistry('mergeEditor', 'Merge editor'),
+    reviews: createRegistry('review', 'Diff review'),
+    compareEditors: createRegistry('compareEditor', 'Compare editor'),
+    // localStorage key of the viewed files of multi-file reviews, by path and version
+    reviewStorageKey: 'codeui.diffReview.viewed',
+    // Fires when hunks change so the shared CodeLens provider refreshes
+    reviewLensesChanged: null,
+    // Hunk decisions made within this window are reported to .NET as one batch
+    reportDelay: 100,
+    // Edits of the modified pane are reported once typing pauses for this long
+    contentChangeDelay: 300,
+
+    // Pending or completed load of Monaco, shared by every caller
+    initializePromise: null,
+
+    // View options of every diff editor, persisted in localStorage. sideBySide is null
+    // until the user picks a view mode, so the caller's mode applies.
+    viewOptionsStorageKey: 'codeui.diffEditorOptions',
+    defaultViewOptions: {
+        sideBySide: null,
+        wordWrap: false,
+        minimap: false,
+        renderWhitespace: false,
+        ignoreTrimWhitespace: false
+    },
+    viewOptions: null,
+
+    // Ad-hoc comparison: text dropped as a file is refused above maxDropSize bytes, and
+    // patches show patchContext unchanged lines around each change. The line diff runs on
+    // the main thread, so one that needs more than maxPatchEdits edits, or more than
+    // maxPatchSteps comparisons, is written as one hunk replacing everything instead.
+    compareOptions: {
+        maxDropSize: 5 * 1024 * 1024,
+        patchContext: 3,
+        maxPatchEdits: 1000,
+        maxPatchSteps: 10000000
+    },
+
+    // Interpreters named in a shebang line, for files without a known name or extension
+    shebangLanguages: {
+        node: 'javascript',
+        deno: 'typescript',
+        python: 'python',
+        python2: 'python',
+        python3: 'python',
+        bash: 'shell',
+        sh: 'shell',
+        zsh: 'shell',
+        ksh: 'shell',
+        dash: 'shell',
+        pwsh: 'powershell',
+        ruby: 'ruby',
+        perl: 'perl',
+        php: 'php',
+        lua: 'lua',
+        Rscript: 'r'
+    },
 
     // Initialize Monaco Editor environment
     initialize: function () {
-        return new Promise((resolve, reject) => {
+        if (this.initializePromise) {
+            return this.initializePromise;
+        }
+
+        this.initializePromise = new Promise((resolve, reject) => {
             try {
                 if (typeof monaco !== 'undefined') {
                     resolve(true);
                     return;
                 }
 
+                if (typeof require === 'undefined' || typeof require.config !== 'function') {
+                    throw new Error('The Monaco loader did not load from ' + assetUrl('monaco-editor@0.45.0/min/vs/loader.js'));
+                }
+
                 require.config({ 
                     paths: { 
-                        'vs': 'https://cdn.jsdelivr.net/npm/monaco-editor@0.45.0/min/vs' 
+                        'vs': assetUrl('monaco-editor@0.45.0/min/vs')
                     } 
                 });
 
@@ -32,196 +105,2250 @@ window.monacoDiffEditor = {
                         }
                     });
 
-                    console.log('Monaco Editor initialized successfully');
+                    log.debug('Monaco Editor initialized');
                     resolve(true);
+                }, function (error) {
+                    reject(new Error('Monaco Editor failed to load from ' + assetUrl('monaco-editor@0.45.0/min/vs') +
+                        ': ' + (error && error.message ? error.message : error)));
                 });
             } catch (error) {
-                console.error('Error initializing Monaco Editor:', error);
                 reject(error);
             }
+        }).catch(error => {
+            log.error('Error initializing Monaco Editor:', error);
+            // Allow a later attempt, e.g. after the assets become reachable
+            this.initializePromise = null;
+            throw error;
         });
+
+        return this.initializePromise;
     },
 
     // Create a diff editor instance
     createDiffEditor: function (elementId, options, dotNetObjectRef) {
-        try {
-            const element = document.getElementById(elementId);
-            if (!element) {
-                console.error('Diff editor element not found:', elementId);
-                return false;
-            }
-
-            const defaultOptions = {
-                theme: 'custom-dark',
-                readOnly: options.readOnly || false,
-                renderSideBySide: options.renderSideBySide !== false,
-                ignoreTrimWhitespace: false,
-                renderIndicators: true,
-                originalEditable: false,
-                modifiedEditable: !options.readOnly,
-                automaticLayout: true,
-                scrollBeyondLastLine: false,
-                minimap: { enabled: false },
-                lineNumbers: 'on',
-                glyphMargin: true,
-                folding: true,
-                selectOnLineNumbers: true,
-                scrollbar: {
-                    verticalScrollbarSize: 10,
-                    horizontalScrollbarSize: 10
-                }
-            };
-
-            const mergedOptions = Object.assign({}, defaultOptions, options);
-            
-            const diffEditor = monaco.editor.createDiffEditor(element, mergedOptions);
-
-            // Store editor reference
-            this.editors.set(elementId, {
-                editor: diffEditor,
-                dotNetRef: dotNetObjectRef,
-                options: mergedOptions
-            });
+        const element = document.getElementById(elementId);
+        if (!element) {
+            throw new InteropError('not-found', `Diff editor element not found: ${elementId}`);
+        }
 
-            // Handle resize
-            const resizeObserver = new ResizeObserver(() => {
-                diffEditor.layout();
-            });
-            resizeObserver.observe(element);
+        if (!ensureAssets(element, 'diff editor', ['monaco'])) {
+            throw new InteropError('assets-missing', 'The Monaco editor did not load');
+        }
+
+        const defaultOptions = {
+            theme: 'custom-dark',
+            readOnly: options.readOnly || false,
+            renderSideBySide: options.renderSideBySide !== false,
+            ignoreTrimWhitespace: false,
+            renderIndicators: true,
+            originalEditable: false,
+            modifiedEditable: !options.readOnly,
+            automaticLayout: true,
+            scrollBeyondLastLine: false,
+            minimap: { enabled: false },
+            lineNumbers: 'on',
+            glyphMargin: true,
+            folding: true,
+            selectOnLineNumbers: true,
+            scrollbar: {
+                verticalScrollbarSize: 10,
+                horizontalScrollbarSize: 10
+            }
+        };
+
+        // The user's saved view options win over the caller's defaults
+        const mergedOptions = Object.assign({}, defaultOptions, options,
+            this.viewOptionsToEditorOptions(this.getViewOptions()));
+
+        const previous = this.editors.get(elementId);
+        if (previous) {
+            log.warn('Diff editor already exists, disposing previous instance:', elementId);
+            this.dispose(elementId);
+        }
 
-            // Handle line click events for accept/reject functionality
-            const modifiedEditor = diffEditor.getModifiedEditor();
-            modifiedEditor.onMouseDown((e) => {
+        // The editor, its listeners and its models are registered with the scope and released on dispose
+        const scope = createScope('diffEditor', elementId);
+        const diffEditor = scope.track(monaco.editor.createDiffEditor(element, mergedOptions));
+
+        // Store editor reference
+        const editorData = {
+            elementId: elementId,
+            editor: diffEditor,
+            dotNetRef: dotNetObjectRef,
+            options: mergedOptions,
+            scope: scope,
+            // Decorations of each side, replaced as a whole on every update
+            decorations: {
+                original: diffEditor.getOriginalEditor().createDecorationsCollection(),
+                modified: diffEditor.getModifiedEditor().createDecorationsCollection()
+            },
+            // File line shown on each editor line, and the reverse lookup
+            lineNumbers: { original: null, modified: null },
+            editorLines: { original: null, modified: null },
+            hunks: [],
+            pendingActions: [],
+            reportTimer: null,
+            // Modified content as last set or saved; the pane is dirty while it differs
+            savedContent: '',
+            savedVersionId: null,
+            isDirty: false,
+            changeTimer: null,
+            // Review comment threads, the new thread being written and the comment being edited
+            commentThreads: [],
+            commentDraft: null,
+            commentEditing: null,
+            commentZones: { original: [], modified: [] },
+            // Side the review commands act on
+            focusedSide: 'modified'
+        };
+        this.editors.set(elementId, editorData);
+        scope.onDispose(() => {
+            clearTimeout(editorData.reportTimer);
+            clearTimeout(editorData.changeTimer);
+        });
+
+        // Handle resize
+        scope.observeResize(element, () => {
+            diffEditor.layout();
+        });
+
+        // Handle line click events for accept/reject functionality on either side
+        const modifiedEditor = diffEditor.getModifiedEditor();
+        ['original', 'modified'].forEach(side => {
+            const editor = side === 'original' ? diffEditor.getOriginalEditor() : modifiedEditor;
+            scope.track(editor.onDidFocusEditorText(() => {
+                editorData.focusedSide = side;
+            }));
+            scope.track(editor.onMouseDown((e) => {
                 try {
-                    if (e.target.type === monaco.editor.MouseTargetType.GUTTER_LINE_NUMBERS) {
-                        const lineNumber = e.target.position.lineNumber;
-                        dotNetObjectRef.invokeMethodAsync('OnLineClicked', lineNumber);
+                    // Gutter lines no longer match the diff lines while there are unsaved edits
+                    if (e.target.type === monaco.editor.MouseTargetType.GUTTER_LINE_NUMBERS && editorData.dotNetRef && !editorData.isDirty) {
+                        const lineNumber = this.toFileLine(editorData, side, e.target.position.lineNumber);
+                        editorData.dotNetRef.invokeMethodAsync('OnLineClicked', side, lineNumber)
+                            .catch(error => log.error('Error reporting line click:', error));
                     }
                 } catch (error) {
-                    console.error('Error handling line click:', error);
+                    log.error('Error handling line click:', error);
                 }
-            });
+            }));
+        });
 
-            console.log('Diff editor created successfully:', elementId);
-            return true;
-        } catch (error) {
-            console.error('Error creating diff editor:', error);
-            return false;
+        // Hunk navigation and accept/reject shortcuts in both panes
+        this.ensureReviewLenses();
+        this.addReviewActions(elementId, diffEditor.getOriginalEditor(), 'original', scope);
+        this.addReviewActions(elementId, modifiedEditor, 'modified', scope);
+
+        // Edits of the modified pane: Monaco recomputes the diff as the user types, .NET
+        // hears about the content once typing pauses and rebuilds its diff on save
+        scope.track(modifiedEditor.onDidChangeModelContent(() => {
+            clearTimeout(editorData.changeTimer);
+            editorData.changeTimer = setTimeout(() => this.reportContentChange(editorData), this.contentChangeDelay);
+        }));
+        if (mergedOptions.modifiedEditable) {
+            this.addEditActions(elementId, modifiedEditor, scope);
+        }
+
+        log.debug('Diff editor created:', elementId);
+    },
+
+    // Set the content for both original and modified editors. lineNumbers optionally gives
+    // the file line of each editor line ({ original: [...], modified: [...] }) for content
+    // that only holds parts of the files; the gutters then show those numbers. Without a
+    // specific language, it is detected from fileName and the content.
+    setContent: function (elementId, originalContent, modifiedContent, language, lineNumbers, fileName) {
+        const editorData = this.editors.require(elementId);
+
+        const resolvedLanguage = language && language !== 'plaintext'
+            ? language
+            : this.detectLanguage(fileName, modifiedContent || originalContent);
+
+        const scope = editorData.scope;
+        const previousModel = editorData.editor.getModel();
+        const originalModel = scope.trackModel(monaco.editor.createModel(originalContent || '', resolvedLanguage));
+        const modifiedModel = scope.trackModel(monaco.editor.createModel(modifiedContent || '', resolvedLanguage));
+
+        editorData.editor.setModel({
+            original: originalModel,
+            modified: modifiedModel
+        });
+
+        // The replaced models are no longer shown anywhere
+        if (previousModel) {
+            scope.releaseModel(previousModel.original);
+            scope.releaseModel(previousModel.modified);
         }
+
+        clearTimeout(editorData.changeTimer);
+        editorData.savedContent = modifiedContent || '';
+        editorData.savedVersionId = modifiedModel.getAlternativeVersionId();
+        editorData.isDirty = false;
+
+        // Threads belong to the previous content; the caller sets those of the new content
+        editorData.commentThreads = [];
+        editorData.commentDraft = null;
+        editorData.commentEditing = null;
+        this.renderCommentThreads(editorData);
+
+        this.setLineNumbers(editorData, 'original', lineNumbers && lineNumbers.original);
+        this.setLineNumbers(editorData, 'modified', lineNumbers && lineNumbers.modified);
     },
 
-    // Set the content for both original and modified editors
-    setContent: function (elementId, originalContent, modifiedContent, language) {
+    // Language id for a file: Monaco's registered file names and extensions first, then
+    // the interpreter of a shebang line and the languages' first-line patterns
+    detectLanguage: function (fileName, content) {
         try {
-            const editorData = this.editors.get(elementId);
-            if (!editorData || !editorData.editor) {
-                console.warn('Diff editor not found:', elementId);
-                return false;
+            const languages = typeof monaco !== 'undefined' ? monaco.languages.getLanguages() : [];
+            const name = (fileName || '').split(/[\\/]/).pop().toLowerCase();
+
+            if (name) {
+                const byName = languages.find(language =>
+                    (language.filenames || []).some(candidate => candidate.toLowerCase() === name));
+                if (byName) {
+                    return byName.id;
+                }
+
+                // The longest matching extension wins, e.g. .d.ts over .ts
+                let best = null;
+                languages.forEach(language => (language.extensions || []).forEach(extension => {
+                    const candidate = extension.toLowerCase();
+                    if (name.endsWith(candidate) && (!best || candidate.length > best.extension.length)) {
+                        best = { id: language.id, extension: candidate };
+                    }
+                }));
+                if (best) {
+                    return best.id;
+                }
             }
 
-            const originalModel = monaco.editor.createModel(originalContent || '', language || 'plaintext');
-            const modifiedModel = monaco.editor.createModel(modifiedContent || '', language || 'plaintext');
+            const firstLine = (content || '').split('\n', 1)[0];
+            const shebang = /^#!\s*(?:\S*\/)?(?:env\s+(?:-\S+\s+)*)?([\w.-]+)/.exec(firstLine);
+            if (shebang) {
+                const interpreter = shebang[1].replace(/[\d.]+$/, '');
+                const language = this.shebangLanguages[shebang[1]] || this.shebangLanguages[interpreter];
+                if (language) {
+                    return language;
+                }
+            }
 
-            editorData.editor.setModel({
-                original: originalModel,
-                modified: modifiedModel
+            const byFirstLine = languages.find(language => {
+                if (!language.firstLine) {
+                    return false;
+                }
+                try {
+                    return new RegExp(language.firstLine).test(firstLine);
+                } catch (error) {
+                    return false;
+                }
             });
-
-            return true;
+            return byFirstLine ? byFirstLine.id : 'plaintext';
         } catch (error) {
-            console.error('Error setting diff editor content:', error);
-            return false;
+            log.error('Error detecting language:', error);
+            return 'plaintext';
         }
     },
 
-    // Update view mode (side-by-side vs inline)
+    // Update view mode (side-by-side vs inline); the choice is saved with the other view options
     setViewMode: function (elementId, sideBySide) {
-        try {
-            const editorData = this.editors.get(elementId);
-            if (!editorData || !editorData.editor) {
-                console.warn('Diff editor not found:', elementId);
-                return false;
+        this.editors.require(elementId);
+        this.applyViewOptions({ sideBySide: sideBySide });
+    },
+
+    // View options as saved, with defaults for missing values
+    getViewOptions: function () {
+        if (!this.viewOptions) {
+            let stored = null;
+            try {
+                stored = JSON.parse(localStorage.getItem(this.viewOptionsStorageKey) || 'null');
+            } catch (error) {
+                log.error('Error reading diff editor options:', error);
             }
+            this.viewOptions = this.normalizeViewOptions(stored);
+        }
+        return Object.assign({}, this.viewOptions);
+    },
 
-            editorData.editor.updateOptions({
-                renderSideBySide: sideBySide
-            });
+    normalizeViewOptions: function (options) {
+        const merged = Object.assign({}, this.defaultViewOptions, options || {});
+        const normalized = {};
+        Object.keys(this.defaultViewOptions).forEach(key => {
+            normalized[key] = typeof merged[key] === 'boolean' ? merged[key] : this.defaultViewOptions[key];
+        });
+        return normalized;
+    },
 
-            return true;
+    viewOptionsToEditorOptions: function (options) {
+        const editorOptions = {
+            wordWrap: options.wordWrap ? 'on' : 'off',
+            diffWordWrap: options.wordWrap ? 'on' : 'off',
+            minimap: { enabled: options.minimap },
+            renderWhitespace: options.renderWhitespace ? 'all' : 'selection',
+            ignoreTrimWhitespace: options.ignoreTrimWhitespace,
+            accessibilitySupport: this.getAccessibilitySupport()
+        };
+        if (options.sideBySide !== null) {
+            editorOptions.renderSideBySide = options.sideBySide;
+        }
+        return editorOptions;
+    },
+
+    // Monaco detects screen readers poorly in browsers, so the accessibility mode forces its
+    // screen reader support on
+    getAccessibilitySupport: function () {
+        return isAccessibilityEnabled() ? 'on' : 'auto';
+    },
+
+    applyAccessibility: function () {
+        const options = { accessibilitySupport: this.getAccessibilitySupport() };
+        [this.editors, this.compareEditors].forEach(registry => registry.forEach((editorData, elementId) => {
+            try {
+                editorData.editor.updateOptions(options);
+            } catch (error) {
+                log.error('Error applying accessibility mode to diff editor:', elementId, error);
+            }
+        }));
+        this.mergeEditors.forEach(mergeData =>
+            Object.values(mergeData.editors).forEach(editor => editor.updateOptions(options)));
+    },
+
+    // Update the view options, save them and apply them to every diff editor. Accepts any
+    // subset of { sideBySide, wordWrap, minimap, renderWhitespace, ignoreTrimWhitespace }.
+    applyViewOptions: function (options) {
+        this.viewOptions = this.normalizeViewOptions(Object.assign(this.getViewOptions(), options || {}));
+        try {
+            localStorage.setItem(this.viewOptionsStorageKey, JSON.stringify(this.viewOptions));
         } catch (error) {
-            console.error('Error setting view mode:', error);
-            return false;
+            log.error('Error saving diff editor options:', error);
         }
+
+        const editorOptions = this.viewOptionsToEditorOptions(this.viewOptions);
+        [this.editors, this.compareEditors].forEach(registry => registry.forEach((editorData, elementId) => {
+            try {
+                editorData.editor.updateOptions(editorOptions);
+            } catch (error) {
+                log.error('Error applying options to diff editor:', elementId, error);
+            }
+        }));
+        return this.getViewOptions();
     },
 
     // Add decorations to highlight accepted/rejected lines
     setLineDecorations: function (elementId, decorations) {
-        try {
-            const editorData = this.editors.get(elementId);
-            if (!editorData || !editorData.editor) {
-                console.warn('Diff editor not found:', elementId);
-                return false;
+        const editorData = this.editors.require(elementId);
+
+        const bySide = { original: [], modified: [] };
+        decorations.forEach(decoration => {
+            const side = decoration.side === 'original' ? 'original' : 'modified';
+            const lineNumber = this.toEditorLine(editorData, side, decoration.lineNumber);
+            if (!lineNumber) {
+                return;
             }
 
-            const modifiedEditor = editorData.editor.getModifiedEditor();
-            
-            const monacoDecorations = decorations.map(decoration => ({
-                range: new monaco.Range(decoration.lineNumber, 1, decoration.lineNumber, 1),
+            bySide[side].push({
+                range: new monaco.Range(lineNumber, 1, lineNumber, 1),
                 options: {
                     isWholeLine: true,
                     className: decoration.className,
                     glyphMarginClassName: decoration.glyphMarginClassName,
                     glyphMarginHoverMessage: { value: decoration.hoverMessage || '' }
                 }
-            }));
+            });
+        });
 
-            modifiedEditor.deltaDecorations([], monacoDecorations);
-            return true;
-        } catch (error) {
-            console.error('Error setting line decorations:', error);
-            return false;
+        // Replace, rather than add to, the decorations of each side
+        editorData.decorations.original.set(bySide.original);
+        editorData.decorations.modified.set(bySide.modified);
+    },
+
+    setLineNumbers: function (editorData, side, lineNumbers) {
+        const editor = side === 'original'
+            ? editorData.editor.getOriginalEditor()
+            : editorData.editor.getModifiedEditor();
+
+        if (!lineNumbers || lineNumbers.length === 0) {
+            editorData.lineNumbers[side] = null;
+            editorData.editorLines[side] = null;
+            editor.updateOptions({ lineNumbers: 'on' });
+            return;
         }
+
+        const editorLines = new Map();
+        lineNumbers.forEach((fileLine, index) => editorLines.set(fileLine, index + 1));
+        editorData.lineNumbers[side] = lineNumbers;
+        editorData.editorLines[side] = editorLines;
+        editor.updateOptions({
+            lineNumbers: editorLine => String(lineNumbers[editorLine - 1] || '')
+        });
     },
 
-    // Resize the editor to fit its container
-    layout: function (elementId) {
-        try {
+    // File line shown on an editor line
+    toFileLine: function (editorData, side, editorLine) {
+        const lineNumbers = editorData.lineNumbers[side];
+        return lineNumbers ? lineNumbers[editorLine - 1] || 0 : editorLine;
+    },
+
+    // Editor line showing a file line, or 0 when that line is not shown
+    toEditorLine: function (editorData, side, fileLine) {
+        const editorLines = editorData.editorLines[side];
+        return editorLines ? editorLines.get(fileLine) || 0 : fileLine;
+    },
+
+    // Set the hunks shown with accept/reject controls. Each hunk has its index, state and
+    // line range in both editors; a side without lines has end = start - 1 and start is
+    // the line the hunk sits above.
+    setHunks: function (elementId, hunks) {
+        const editorData = this.editors.require(elementId);
+        editorData.hunks = hunks || [];
+        if (this.reviewLensesChanged) {
+            this.reviewLensesChanged.fire();
+        }
+        this.revealPendingHunk(editorData);
+    },
+
+    // Register the CodeLens provider and commands shared by all diff editors. Lenses are
+    // only returned for the modified model of an editor that has hunks or unsaved edits.
+    ensureReviewLenses: function () {
+        if (this.reviewLensesChanged) {
+            return;
+        }
+
+        this.reviewLensesChanged = new monaco.Emitter();
+
+        monaco.editor.registerCommand('codeui.diff.reviewHunk', (accessor, elementId, index, decision) => {
+            this.reportAction(elementId, { decision: decision, hunk: index });
+        });
+
+        monaco.editor.registerCommand('codeui.diff.saveEdits', (accessor, elementId) => this.save(elementId));
+        monaco.editor.registerCommand('codeui.diff.revertEdits', (accessor, elementId) => this.revert(elementId));
+
+        monaco.editor.registerCommand('codeui.merge.resolveConflict', (accessor, elementId, startLine, choice) => {
+            this.resolveConflict(elementId, startLine, choice);
+        });
+
+        monaco.languages.registerCodeLensProvider('*', {
+            onDidChange: this.reviewLensesChanged.event,
+            provideCodeLenses: (model) => ({
+                lenses: this.getHunkLenses(model).concat(this.getConflictLenses(model)),
+                dispose: () => { }
+            })
+        });
+    },
+
+    getHunkLenses: function (model) {
+        const editorData = this.findEditorByModel(model);
+        if (!editorData) {
+            return [];
+        }
+
+        // Hunks are recomputed when the edits are saved
+        if (editorData.isDirty) {
+            return [{
+                range: new monaco.Range(1, 1, 1, 1),
+                command: { id: 'codeui.diff.saveEdits', title: 'Unsaved edits: save (Ctrl+S) to review them', arguments: [editorData.elementId] }
+            }, {
+                range: new monaco.Range(1, 1, 1, 1),
+                command: { id: 'codeui.diff.revertEdits', title: 'Revert', arguments: [editorData.elementId] }
+            }];
+        }
+
+        if (editorData.hunks.length === 0) {
+            return [];
+        }
+
+        // The shortcuts of the review commands, which the user may have changed
+        const accept = this.withShortcut('✓ Accept hunk', 'diff.acceptHunk');
+        const reject = this.withShortcut('✗ Reject hunk', 'diff.rejectHunk');
+
+        const lenses = [];
+        editorData.hunks.forEach(hunk => {
+            const lineNumber = Math.min(Math.max(hunk.modifiedStart, 1), model.getLineCount());
+            const range = new monaco.Range(lineNumber, 1, lineNumber, 1);
+            const elementId = editorData.elementId;
+
+            lenses.push({
+                range: range,
+                command: { id: 'codeui.diff.reviewHunk', title: accept, arguments: [elementId, hunk.index, 'accept'] }
+            });
+            lenses.push({
+                range: range,
+                command: { id: 'codeui.diff.reviewHunk', title: reject, arguments: [elementId, hunk.index, 'reject'] }
+            });
+
+            const status = this.hunkStatusText[hunk.state];
+            if (status) {
+                lenses.push({ range: range, command: { id: '', title: status } });
+            }
+        });
+        return lenses;
+    },
+
+    withShortcut: function (title, commandId) {
+        const keybinding = getCommandKeybinding(commandId);
+        return keybinding ? `${title} (${keybinding})` : title;
+    },
+
+    hunkStatusText: {
+        accepted: 'Accepted',
+        rejected: 'Rejected',
+        mixed: 'Partially reviewed'
+    },
+
+    // The diff editor showing the model on its modified side, whether or not it has hunks left,
+    // so unsaved edits of a diff without changes still get their save and revert lenses
+    findEditorByModel: function (model) {
+        for (const editorData of this.editors.values()) {
+            const diffModel = editorData.editor.getModel();
+            if (diffModel && diffModel.modified === model) {
+                return editorData;
+            }
+        }
+        return null;
+    },
+
+    addReviewActions: function (elementId, editor, side, scope) {
+        const decide = (decision) => {
+            // Decisions refer to the diff .NET knows, which unsaved edits have changed
             const editorData = this.editors.get(elementId);
-            if (editorData && editorData.editor) {
-                editorData.editor.layout();
-                return true;
+            if (editorData && editorData.isDirty) {
+                return;
+            }
+
+            const selection = editor.getSelection();
+            if (selection) {
+                // A selection ending at the start of a line does not include that line
+                const endLine = selection.endColumn === 1 && selection.endLineNumber > selection.startLineNumber
+                    ? selection.endLineNumber - 1
+                    : selection.endLineNumber;
+
+                // A multi-line selection decides exactly the selected lines
+                if (endLine > selection.startLineNumber) {
+                    this.reportAction(elementId, {
+                        decision: decision,
+                        side: side,
+                        startLine: selection.startLineNumber,
+                        endLine: endLine
+                    });
+                    return;
+                }
+            }
+
+            const position = editor.getPosition();
+            const hunk = position ? this.findHunk(elementId, side, position.lineNumber) : null;
+            if (hunk) {
+                this.reportAction(elementId, { decision: decision, hunk: hunk.index });
+            }
+        };
+
+        const actions = [
+            {
+                id: 'codeui.diff.nextHunk',
+                label: 'Go to Next Hunk',
+                run: () => this.goToHunk(elementId, editor, side, 1)
+            },
+            {
+                id: 'codeui.diff.previousHunk',
+                label: 'Go to Previous Hunk',
+                run: () => this.goToHunk(elementId, editor, side, -1)
+            },
+            {
+                id: 'codeui.diff.acceptHunk',
+                label: 'Accept Hunk or Selected Lines',
+                contextMenuGroupId: 'codeui-review',
+                contextMenuOrder: 1,
+                run: () => decide('accept')
+            },
+            {
+                id: 'codeui.diff.rejectHunk',
+                label: 'Reject Hunk or Selected Lines',
+                contextMenuGroupId: 'codeui-review',
+                contextMenuOrder: 2,
+                run: () => decide('reject')
+            },
+            {
+                id: 'codeui.diff.addComment',
+                label: 'Add Comment on Selected Lines',
+                contextMenuGroupId: 'codeui-review',
+                contextMenuOrder: 4,
+                run: () => this.addCommentDraft(elementId, editor, side)
             }
+        ];
+
+        // Their shortcuts belong to the commands registered in registerCommands, so users can change them
+        actions.forEach(action => scope.track(editor.addAction(action)));
+    },
+
+    // Review commands of the focused diff editor, shown in the command palette. Each runs
+    // the editor action of the side that last had focus.
+    registerCommands: function () {
+        [
+            { id: 'diff.nextChange', title: 'Go to Next Change', keybinding: 'Alt+F5', action: 'codeui.diff.nextHunk' },
+            { id: 'diff.previousChange', title: 'Go to Previous Change', keybinding: 'Shift+Alt+F5', action: 'codeui.diff.previousHunk' },
+            { id: 'diff.acceptHunk', title: 'Accept Hunk or Selected Lines', keybinding: 'Alt+Y', action: 'codeui.diff.acceptHunk' },
+            { id: 'diff.rejectHunk', title: 'Reject Hunk or Selected Lines', keybinding: 'Alt+N', action: 'codeui.diff.rejectHunk' },
+            { id: 'diff.addComment', title: 'Add Comment on Selected Lines', keybinding: 'Alt+C', action: 'codeui.diff.addComment' }
+        ].forEach(command => registerCommand(
+            { id: command.id, title: command.title, category: 'Diff', keybinding: command.keybinding, when: 'diffEditor' },
+            target => this.runEditorAction(target.id, command.action)));
+        registerCommand(
+            { id: 'diff.accessibleViewer', title: 'Open Accessible Diff Viewer', category: 'Diff', when: 'diffEditor' },
+            target => this.openAccessibleViewer(target.id));
+
+        registerCommand(
+            { id: 'compare.swapSides', title: 'Swap Sides', category: 'Compare', when: 'compareEditor' },
+            target => this.swapCompareSides(target.id));
+        registerCommand(
+            { id: 'compare.copyPatch', title: 'Copy as Unified Patch', category: 'Compare', when: 'compareEditor' },
+            target => navigator.clipboard.writeText(this.createPatch(target.id)));
+    },
+
+    runEditorAction: function (elementId, actionId) {
+        const editorData = this.editors.require(elementId);
+        const editor = editorData.focusedSide === 'original'
+            ? editorData.editor.getOriginalEditor()
+            : editorData.editor.getModifiedEditor();
+        const action = editor.getAction(actionId);
+        if (!action) {
+            throw new InteropError('unavailable', `Editor action not found: ${actionId}`);
+        }
+        return action.run();
+    },
+
+    // Monaco's accessible diff viewer lists the changed lines one by one for screen readers;
+    // inside the editor F7 and Shift+F7 open it as well
+    openAccessibleViewer: function (elementId) {
+        const diffEditor = this.editors.require(elementId).editor;
+        if (typeof diffEditor.accessibleDiffViewerNext !== 'function') {
+            throw new InteropError('unavailable', 'This Monaco version has no accessible diff viewer');
+        }
+        diffEditor.accessibleDiffViewerNext();
+        return true;
+    },
+
+    addEditActions: function (elementId, editor, scope) {
+        const actions = [
+            {
+                id: 'codeui.diff.save',
+                label: 'Save Edits',
+                keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS],
+                contextMenuGroupId: 'codeui-edit',
+                contextMenuOrder: 1,
+                run: () => this.save(elementId)
+            },
+            {
+                id: 'codeui.diff.revert',
+                label: 'Revert Edits',
+                contextMenuGroupId: 'codeui-edit',
+                contextMenuOrder: 2,
+                run: () => this.revert(elementId)
+            }
+        ];
+
+        actions.forEach(action => scope.track(editor.addAction(action)));
+    },
+
+    // Report the modified content and whether it differs from the saved content
+    reportContentChange: function (editorData) {
+        clearTimeout(editorData.changeTimer);
+        editorData.changeTimer = null;
+
+        const model = editorData.editor.getModifiedEditor().getModel();
+        if (!model) {
+            return;
+        }
+
+        const content = model.getValue();
+        const isDirty = model.getAlternativeVersionId() !== editorData.savedVersionId &&
+            content !== editorData.savedContent;
+        if (isDirty !== editorData.isDirty) {
+            editorData.isDirty = isDirty;
+            if (this.reviewLensesChanged) {
+                this.reviewLensesChanged.fire();
+            }
+        }
+
+        if (editorData.dotNetRef) {
+            editorData.dotNetRef.invokeMethodAsync('OnContentChanged', content, isDirty)
+                .catch(error => log.error('Error reporting content change:', error));
+        }
+    },
+
+    // Send the edited modified content to .NET, which rebuilds the diff and calls markSaved
+    save: function (elementId) {
+        const editorData = this.editors.get(elementId);
+        const model = editorData ? editorData.editor.getModifiedEditor().getModel() : null;
+        if (!model || !editorData.dotNetRef) {
             return false;
-        } catch (error) {
-            console.error('Error laying out diff editor:', error);
+        }
+
+        const content = model.getValue();
+        if (content === editorData.savedContent) {
             return false;
         }
+
+        editorData.dotNetRef.invokeMethodAsync('OnSaveRequested', content)
+            .catch(error => log.error('Error saving edits:', error));
+        return true;
     },
 
-    // Dispose of the editor and clean up resources
-    dispose: function (elementId) {
-        try {
-            const editorData = this.editors.get(elementId);
-            if (editorData) {
-                if (editorData.editor) {
-                    editorData.editor.dispose();
+    // Make the current modified content the saved content, with the file line numbers of
+    // the rebuilt diff
+    markSaved: function (elementId, lineNumbers) {
+        const editorData = this.editors.require(elementId);
+        const model = editorData.editor.getModifiedEditor().getModel();
+        if (!model) {
+            return false;
+        }
+
+        clearTimeout(editorData.changeTimer);
+        editorData.savedContent = model.getValue();
+        editorData.savedVersionId = model.getAlternativeVersionId();
+        editorData.isDirty = false;
+
+        this.setLineNumbers(editorData, 'original', lineNumbers && lineNumbers.original);
+        this.setLineNumbers(editorData, 'modified', lineNumbers && lineNumbers.modified);
+        this.renderCommentThreads(editorData);
+        if (this.reviewLensesChanged) {
+            this.reviewLensesChanged.fire();
+        }
+        return true;
+    },
+
+    // Replace the modified content with the saved content; the revert can be undone
+    revert: function (elementId) {
+        const editorData = this.editors.get(elementId);
+        const editor = editorData ? editorData.editor.getModifiedEditor() : null;
+        const model = editor ? editor.getModel() : null;
+        if (!model || model.getValue() === editorData.savedContent) {
+            return false;
+        }
+
+        editor.pushUndoStop();
+        editor.executeEdits('codeui-revert', [{ range: model.getFullModelRange(), text: editorData.savedContent }]);
+        editor.pushUndoStop();
+        return true;
+    },
+
+    // Find the hunk whose lines on the given side include the line, or which sits above it
+    findHunk: function (elementId, side, lineNumber) {
+        const editorData = this.editors.get(elementId);
+        if (!editorData) {
+            return null;
+        }
+
+        return editorData.hunks.find(hunk => {
+            const start = side === 'original' ? hunk.originalStart : hunk.modifiedStart;
+            const end = side === 'original' ? hunk.originalEnd : hunk.modifiedEnd;
+            return lineNumber >= start && lineNumber <= Math.max(start, end);
+        }) || null;
+    },
+
+    // Move the cursor to the next or previous hunk. Past either end it continues in the
+    // next or previous file of an attached review, and otherwise wraps around.
+    goToHunk: function (elementId, editor, side, direction) {
+        const editorData = this.editors.get(elementId);
+        if (!editorData || !editor.getModel()) {
+            return false;
+        }
+
+        const hunks = editorData.hunks;
+        const startOf = hunk => side === 'original' ? hunk.originalStart : hunk.modifiedStart;
+        const position = editor.getPosition();
+        const current = position ? position.lineNumber : 0;
+
+        let target = direction > 0
+            ? hunks.find(hunk => startOf(hunk) > current)
+            : hunks.slice().reverse().find(hunk => startOf(hunk) < current);
+        if (!target && editorData.reviewId &&
+            this.moveReviewFile(editorData.reviewId, direction, direction > 0 ? 'first' : 'last')) {
+            return true;
+        }
+        if (hunks.length === 0) {
+            return false;
+        }
+        if (!target) {
+            target = direction > 0 ? hunks[0] : hunks[hunks.length - 1];
+        }
+
+        const lineNumber = Math.min(Math.max(startOf(target), 1), editor.getModel().getLineCount());
+        editor.setPosition({ lineNumber: lineNumber, column: 1 });
+        editor.revealLineInCenter(lineNumber);
+        editor.focus();
+        announceMessage(`Change ${hunks.indexOf(target) + 1} of ${hunks.length}: ${this.describeHunk(editorData, target)}`);
+        return true;
+    },
+
+    // A hunk as read to screen reader users: its file lines and state, e.g. "lines 9 to 10, pending"
+    describeHunk: function (editorData, hunk) {
+        const deleted = hunk.modifiedEnd < hunk.modifiedStart;
+        const side = deleted ? 'original' : 'modified';
+        const first = this.toFileLine(editorData, side, deleted ? hunk.originalStart : hunk.modifiedStart);
+        const last = this.toFileLine(editorData, side, deleted ? hunk.originalEnd : hunk.modifiedEnd);
+        const lines = first === last ? `line ${first}` : `lines ${first} to ${last}`;
+        return `${deleted ? 'deleted ' : ''}${lines}, ${hunk.state}`;
+    },
+
+    // Show review comment threads as view zones below the last line of their range. Each
+    // thread is { id, side, startLine, endLine, isResolved, comments: [{ id, text }] } with
+    // file line numbers; edits are sent to .NET, which replies with the updated threads.
+    setCommentThreads: function (elementId, threads) {
+        const editorData = this.editors.require(elementId);
+        editorData.commentThreads = threads || [];
+        editorData.commentEditing = null;
+        this.renderCommentThreads(editorData);
+    },
+
+    // Open a form for a new thread on the selected lines of one side
+    addCommentDraft: function (elementId, editor, side) {
+        const editorData = this.editors.get(elementId);
+        const selection = editor.getSelection();
+        if (!editorData || !selection || !editor.getModel()) {
+            return;
+        }
+
+        // Line numbers only match the diff again once unsaved edits are saved
+        if (editorData.isDirty) {
+            return;
+        }
+
+        const endLine = selection.endColumn === 1 && selection.endLineNumber > selection.startLineNumber
+            ? selection.endLineNumber - 1
+            : selection.endLineNumber;
+        editorData.commentDraft = {
+            side: side,
+            startLine: this.toFileLine(editorData, side, selection.startLineNumber),
+            endLine: this.toFileLine(editorData, side, endLine)
+        };
+        this.renderCommentThreads(editorData);
+    },
+
+    renderCommentThreads: function (editorData) {
+        ['original', 'modified'].forEach(side => {
+            const editor = side === 'original'
+                ? editorData.editor.getOriginalEditor()
+                : editorData.editor.getModifiedEditor();
+            const zones = editorData.commentZones[side];
+
+            editor.changeViewZones(accessor => {
+                zones.splice(0).forEach(zoneId => accessor.removeZone(zoneId));
+                if (!editor.getModel()) {
+                    return;
                 }
-                if (editorData.dotNetRef) {
-                    editorData.dotNetRef.dispose();
+
+                const entries = editorData.commentThreads
+                    .filter(thread => thread.side === side)
+                    .map(thread => ({ endLine: thread.endLine, node: () => this.createThreadNode(editorData, thread) }));
+                const draft = editorData.commentDraft;
+                if (draft && draft.side === side) {
+                    entries.push({ endLine: draft.endLine, node: () => this.createDraftNode(editorData, draft) });
                 }
-                this.editors.delete(elementId);
-                console.log('Diff editor disposed:', elementId);
-                return true;
+
+                entries.forEach(entry => {
+                    const afterLine = this.toEditorLine(editorData, side, entry.endLine);
+                    if (!afterLine) {
+                        return;
+                    }
+
+                    const domNode = entry.node();
+                    zones.push(accessor.addZone({
+                        afterLineNumber: Math.min(afterLine, editor.getModel().getLineCount()),
+                        heightInPx: this.measureCommentNode(editor, domNode),
+                        domNode: domNode
+                    }));
+                });
+            });
+        });
+    },
+
+    // View zones need a fixed height: lay the node out at the editor's width to measure it
+    measureCommentNode: function (editor, domNode) {
+        const host = editor.getContainerDomNode();
+        domNode.style.visibility = 'hidden';
+        domNode.style.position = 'absolute';
+        domNode.style.width = `${editor.getLayoutInfo().contentWidth}px`;
+        host.appendChild(domNode);
+        const height = domNode.offsetHeight;
+        host.removeChild(domNode);
+        domNode.style.visibility = '';
+        domNode.style.position = '';
+        domNode.style.width = '';
+        return height + 4;
+    },
+
+    createCommentElement: function (tag, className, text) {
+        const element = document.createElement(tag);
+        element.className = className;
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    },
+
+    createCommentButton: function (label, onClick) {
+        const button = this.createCommentElement('button', 'diff-comment-button', label);
+        button.type = 'button';
+        button.addEventListener('click', onClick);
+        return button;
+    },
+
+    // A text box with submit and optional cancel buttons; Ctrl+Enter submits, Escape cancels
+    createCommentForm: function (value, placeholder, submitLabel, onSubmit, onCancel) {
+        const form = this.createCommentElement('div', 'diff-comment-form');
+        const input = this.createCommentElement('textarea', 'diff-comment-input');
+        input.rows = 3;
+        input.value = value || '';
+        input.placeholder = placeholder;
+        input.setAttribute('aria-label', placeholder);
+
+        const submit = () => {
+            const text = input.value.trim();
+            if (text) {
+                onSubmit(text);
             }
-            return false;
-        } catch (error) {
-            console.error('Error disposing diff editor:', error);
-            return false;
+        };
+        input.addEventListener('keydown', e => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                submit();
+            } else if (e.key === 'Escape' && onCancel) {
+                e.preventDefault();
+                onCancel();
+            }
+        });
+
+        const actions = this.createCommentElement('div', 'diff-comment-actions');
+        actions.appendChild(this.createCommentButton(submitLabel, submit));
+        if (onCancel) {
+            actions.appendChild(this.createCommentButton('Cancel', onCancel));
         }
-    }
+        form.append(input, actions);
+        return form;
+    },
+
+    // Root of a zone; keeps Monaco from handling the keys and clicks meant for the form
+    createCommentZone: function (className) {
+        const zone = this.createCommentElement('div', className);
+        ['mousedown', 'keydown', 'keypress', 'keyup', 'paste', 'copy', 'cut'].forEach(type => {
+            zone.addEventListener(type, e => e.stopPropagation());
+        });
+        return zone;
+    },
+
+    formatCommentRange: function (startLine, endLine) {
+        return startLine === endLine ? `Line ${startLine}` : `Lines ${startLine}-${endLine}`;
+    },
+
+    createThreadNode: function (editorData, thread) {
+        const zone = this.createCommentZone('diff-comment-zone');
+        const node = this.createCommentElement('div', 'diff-comment-thread' + (thread.isResolved ? ' resolved' : ''));
+        zone.appendChild(node);
+
+        const header = this.createCommentElement('div', 'diff-comment-header');
+        const title = this.createCommentElement('span', 'diff-comment-title', this.formatCommentRange(thread.startLine, thread.endLine) +
+            (thread.isResolved ? ` · Resolved · ${thread.comments.length} comment(s)` : ''));
+        const headerActions = this.createCommentElement('div', 'diff-comment-actions');
+        headerActions.append(
+            this.createCommentButton(thread.isResolved ? 'Reopen' : 'Resolve', () =>
+                this.sendCommentAction(editorData, { action: 'resolve', threadId: thread.id, resolved: !thread.isResolved })),
+            this.createCommentButton('Delete thread', () =>
+                this.sendCommentAction(editorData, { action: 'deleteThread', threadId: thread.id })));
+        header.append(title, headerActions);
+        node.appendChild(header);
+
+        if (thread.isResolved) {
+            return zone;
+        }
+
+        const editing = editorData.commentEditing;
+        thread.comments.forEach(comment => {
+            const item = this.createCommentElement('div', 'diff-comment');
+            if (editing && editing.threadId === thread.id && editing.commentId === comment.id) {
+                item.appendChild(this.createCommentForm(comment.text, 'Edit comment', 'Save',
+                    text => this.sendCommentAction(editorData, { action: 'edit', threadId: thread.id, commentId: comment.id, text: text }),
+                    () => {
+                        editorData.commentEditing = null;
+                        this.renderCommentThreads(editorData);
+                    }));
+            } else {
+                const actions = this.createCommentElement('div', 'diff-comment-actions');
+                actions.append(
+                    this.createCommentButton('Edit', () => {
+                        editorData.commentEditing = { threadId: thread.id, commentId: comment.id };
+                        this.renderCommentThreads(editorData);
+                    }),
+                    this.createCommentButton('Delete', () =>
+                        this.sendCommentAction(editorData, { action: 'delete', threadId: thread.id, commentId: comment.id })));
+                item.append(this.createCommentElement('div', 'diff-comment-text', comment.text), actions);
+            }
+            node.appendChild(item);
+        });
+
+        node.appendChild(this.createCommentForm('', 'Reply', 'Reply',
+            text => this.sendCommentAction(editorData, { action: 'reply', threadId: thread.id, text: text })));
+        return zone;
+    },
+
+    createDraftNode: function (editorData, draft) {
+        const zone = this.createCommentZone('diff-comment-zone');
+        const node = this.createCommentElement('div', 'diff-comment-thread');
+        node.append(
+            this.createCommentElement('div', 'diff-comment-header', this.formatCommentRange(draft.startLine, draft.endLine)),
+            this.createCommentForm('', 'Add a review comment', 'Comment',
+                text => {
+                    editorData.commentDraft = null;
+                    this.sendCommentAction(editorData, {
+                        action: 'add',
+                        side: draft.side,
+                        startLine: draft.startLine,
+                        endLine: draft.endLine,
+                        text: text
+                    });
+                },
+                () => {
+                    editorData.commentDraft = null;
+                    this.renderCommentThreads(editorData);
+                }));
+        zone.appendChild(node);
+
+        // Focus the new form once Monaco has placed the zone
+        setTimeout(() => {
+            const input = node.querySelector('textarea');
+            if (input) {
+                input.focus();
+            }
+        });
+        return zone;
+    },
+
+    sendCommentAction: function (editorData, action) {
+        if (!editorData.dotNetRef) {
+            return;
+        }
+
+        editorData.dotNetRef.invokeMethodAsync('OnCommentAction', action)
+            .catch(error => log.error('Error reporting comment action:', error));
+    },
+
+    // Queue a review decision; decisions made in quick succession reach .NET together
+    reportAction: function (elementId, action) {
+        const editorData = this.editors.get(elementId);
+        if (!editorData || !editorData.dotNetRef) {
+            return;
+        }
+
+        editorData.pendingActions.push(action);
+        if (editorData.reportTimer) {
+            return;
+        }
+
+        editorData.reportTimer = setTimeout(() => {
+            editorData.reportTimer = null;
+            const actions = editorData.pendingActions.splice(0);
+            if (actions.length > 0 && editorData.dotNetRef) {
+                editorData.dotNetRef.invokeMethodAsync('OnReviewActions', actions)
+                    .catch(error => log.error('Error reporting review actions:', error));
+            }
+        }, this.reportDelay);
+    },
+
+    // Scroll a line of the modified (or original) editor into view and select it, moving
+    // the focus there when asked to, e.g. from the accessible list of changes
+    revealLine: function (elementId, lineNumber, side, focus) {
+        const editorData = this.editors.require(elementId);
+        if (!editorData.editor.getModel()) {
+            return false;
+        }
+
+        const editor = side === 'original'
+            ? editorData.editor.getOriginalEditor()
+            : editorData.editor.getModifiedEditor();
+        editor.revealLineInCenter(lineNumber);
+        editor.setSelection(new monaco.Range(lineNumber, 1, lineNumber, editor.getModel().getLineMaxColumn(lineNumber)));
+        if (focus) {
+            editor.focus();
+        }
+        return true;
+    },
+
+    // Resize the editor to fit its container
+    layout: function (elementId) {
+        this.editors.require(elementId).editor.layout();
+    },
+
+    // Multi-file review: a keyboard-navigable file list that drives one diff editor.
+    // .NET opens the selected file in the attached editor, so only the models of the
+    // file being shown are ever loaded. Viewed files are remembered per file version.
+    createReview: function (elementId, files, dotNetObjectRef) {
+        const element = document.getElementById(elementId);
+        if (!element) {
+            throw new InteropError('not-found', `Diff review element not found: ${elementId}`);
+        }
+
+        const previous = this.reviews.get(elementId);
+        if (previous) {
+            this.dispose(elementId);
+        }
+
+        const scope = createScope('review', elementId);
+        const viewed = this.loadViewedFiles();
+        const review = {
+            elementId: elementId,
+            files: (files || []).map(file => Object.assign({}, file, {
+                viewed: !!file.version && viewed[file.path] === file.version
+            })),
+            current: -1,
+            // A recreated review keeps the editor attached to the previous one
+            editorId: previous ? previous.editorId : null,
+            // 'first' or 'last' hunk to move to once the next file's hunks arrive
+            pendingReveal: null,
+            dotNetRef: dotNetObjectRef,
+            scope: scope,
+            summary: document.createElement('div'),
+            list: document.createElement('ul')
+        };
+
+        review.summary.className = 'diff-review-summary';
+        review.list.className = 'diff-review-files';
+        review.list.tabIndex = 0;
+        review.list.setAttribute('role', 'listbox');
+        review.list.setAttribute('aria-label', 'Changed files');
+        review.files.forEach((file, index) => review.list.appendChild(this.createReviewItem(elementId, file, index)));
+
+        const container = document.createElement('div');
+        container.className = 'diff-review';
+        container.append(review.summary, review.list);
+        element.replaceChildren(container);
+        scope.onDispose(() => container.remove());
+
+        scope.addEventListener(review.list, 'click', e => {
+            const item = e.target.closest('.diff-review-file');
+            if (!item) {
+                return;
+            }
+
+            const index = Number(item.dataset.index);
+            if (e.target.classList.contains('diff-review-viewed')) {
+                this.setReviewViewed(elementId, index, e.target.checked);
+            } else {
+                this.selectReviewFile(elementId, index);
+            }
+        });
+        scope.addEventListener(review.list, 'keydown', e => this.handleReviewKey(review, e));
+
+        this.reviews.set(elementId, review);
+        this.updateReviewSummary(review);
+
+        if (review.files.length > 0) {
+            this.selectReviewFile(elementId, 0);
+        }
+    },
+
+    createReviewItem: function (elementId, file, index) {
+        const item = document.createElement('li');
+        item.id = `${elementId}-file-${index}`;
+        item.className = 'diff-review-file';
+        item.dataset.index = index;
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', 'false');
+        item.title = file.path;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'diff-review-viewed';
+        checkbox.tabIndex = -1;
+        checkbox.setAttribute('aria-label', `Mark ${file.path} as viewed`);
+
+        const separator = file.path.lastIndexOf('/');
+        const name = document.createElement('span');
+        name.className = 'diff-review-name';
+        name.textContent = file.path.substring(separator + 1);
+
+        const directory = document.createElement('span');
+        directory.className = 'diff-review-directory';
+        directory.textContent = separator > 0 ? file.path.substring(0, separator) : '';
+
+        const counts = document.createElement('span');
+        counts.className = 'diff-review-counts';
+        const added = document.createElement('span');
+        added.className = 'diff-review-added';
+        added.textContent = `+${file.added || 0}`;
+        const deleted = document.createElement('span');
+        deleted.className = 'diff-review-deleted';
+        deleted.textContent = `-${file.deleted || 0}`;
+        counts.append(added, ' ', deleted);
+
+        item.append(checkbox, name, directory, counts);
+        this.updateReviewItem(item, file);
+        return item;
+    },
+
+    updateReviewItem: function (item, file) {
+        item.classList.toggle('viewed', file.viewed);
+        item.querySelector('.diff-review-viewed').checked = file.viewed;
+    },
+
+    updateReviewSummary: function (review) {
+        const viewed = review.files.filter(file => file.viewed).length;
+        review.summary.textContent = `${viewed} of ${review.files.length} files viewed`;
+    },
+
+    handleReviewKey: function (review, e) {
+        const move = offset => {
+            e.preventDefault();
+            this.moveReviewFile(review.elementId, offset);
+        };
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'j':
+                move(1);
+                break;
+            case 'ArrowUp':
+            case 'k':
+                move(-1);
+                break;
+            case 'Home':
+                e.preventDefault();
+                this.selectReviewFile(review.elementId, 0);
+                break;
+            case 'End':
+                e.preventDefault();
+                this.selectReviewFile(review.elementId, review.files.length - 1);
+                break;
+            case ' ':
+            case 'v':
+                e.preventDefault();
+                this.toggleReviewViewed(review.elementId);
+                break;
+            case 'Enter': {
+                e.preventDefault();
+                const editorData = this.editors.get(review.editorId);
+                if (editorData) {
+                    editorData.editor.getModifiedEditor().focus();
+                }
+                break;
+            }
+        }
+    },
+
+    // Show a file of the review; reveal optionally moves to its 'first' or 'last' hunk
+    selectReviewFile: function (elementId, index, reveal) {
+        const review = this.reviews.get(elementId);
+        if (!review || index < 0 || index >= review.files.length) {
+            return false;
+        }
+
+        const items = review.list.children;
+        if (review.current >= 0 && items[review.current]) {
+            items[review.current].classList.remove('selected');
+            items[review.current].setAttribute('aria-selected', 'false');
+        }
+
+        const item = items[index];
+        item.classList.add('selected');
+        item.setAttribute('aria-selected', 'true');
+        item.scrollIntoView({ block: 'nearest' });
+        review.list.setAttribute('aria-activedescendant', item.id);
+
+        if (index === review.current) {
+            return true;
+        }
+
+        review.current = index;
+        review.pendingReveal = reveal || null;
+        if (review.dotNetRef) {
+            review.dotNetRef.invokeMethodAsync('OnReviewFileSelected', index)
+                .catch(error => log.error('Error opening review file:', error));
+        }
+        return true;
+    },
+
+    // Move to the next or previous file, stopping at either end of the list
+    moveReviewFile: function (elementId, direction, reveal) {
+        const review = this.reviews.get(elementId);
+        if (!review) {
+            return false;
+        }
+
+        const index = review.current + direction;
+        if (index < 0 || index >= review.files.length) {
+            return false;
+        }
+        return this.selectReviewFile(elementId, index, reveal);
+    },
+
+    setReviewViewed: function (elementId, index, viewed) {
+        const review = this.reviews.get(elementId);
+        const file = review ? review.files[index] : null;
+        if (!file) {
+            return false;
+        }
+
+        file.viewed = viewed;
+        this.updateReviewItem(review.list.children[index], file);
+        this.updateReviewSummary(review);
+
+        const stored = this.loadViewedFiles();
+        if (viewed && file.version) {
+            stored[file.path] = file.version;
+        } else {
+            delete stored[file.path];
+        }
+        this.saveViewedFiles(stored);
+        return true;
+    },
+
+    // Toggle the current file's viewed flag; marking it viewed moves on to the next unviewed file
+    toggleReviewViewed: function (elementId) {
+        const review = this.reviews.get(elementId);
+        if (!review || review.current < 0) {
+            return false;
+        }
+
+        const viewed = !review.files[review.current].viewed;
+        this.setReviewViewed(elementId, review.current, viewed);
+
+        if (viewed) {
+            const next = review.files.findIndex((file, index) => index > review.current && !file.viewed);
+            if (next >= 0) {
+                this.selectReviewFile(elementId, next);
+            }
+        }
+        return true;
+    },
+
+    loadViewedFiles: function () {
+        try {
+            return JSON.parse(localStorage.getItem(this.reviewStorageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    },
+
+    saveViewedFiles: function (viewed) {
+        try {
+            localStorage.setItem(this.reviewStorageKey, JSON.stringify(viewed));
+        } catch (error) {
+            log.warn('Could not save viewed files:', error);
+        }
+    },
+
+    // Connect the diff editor that shows the review's files: adds file navigation and
+    // viewed shortcuts, and lets hunk navigation continue into the next or previous file
+    attachReview: function (reviewId, editorElementId) {
+        const editorData = this.editors.require(editorElementId);
+        const review = this.reviews.require(reviewId);
+
+        review.editorId = editorElementId;
+        editorData.reviewId = reviewId;
+
+        const actions = [
+            {
+                id: 'codeui.review.nextFile',
+                label: 'Go to Next File',
+                keybindings: [monaco.KeyMod.Alt | monaco.KeyCode.PageDown],
+                run: () => this.moveReviewFile(reviewId, 1)
+            },
+            {
+                id: 'codeui.review.previousFile',
+                label: 'Go to Previous File',
+                keybindings: [monaco.KeyMod.Alt | monaco.KeyCode.PageUp],
+                run: () => this.moveReviewFile(reviewId, -1)
+            },
+            {
+                id: 'codeui.review.toggleViewed',
+                label: 'Toggle File Viewed',
+                keybindings: [monaco.KeyMod.Alt | monaco.KeyCode.KeyV],
+                contextMenuGroupId: 'codeui-review',
+                contextMenuOrder: 3,
+                run: () => this.toggleReviewViewed(reviewId)
+            }
+        ];
+
+        [editorData.editor.getOriginalEditor(), editorData.editor.getModifiedEditor()].forEach(editor => {
+            actions.forEach(action => editorData.scope.track(editor.addAction(action)));
+        });
+    },
+
+    // Called once a newly opened file's hunks are known
+    revealPendingHunk: function (editorData) {
+        const review = editorData.reviewId ? this.reviews.get(editorData.reviewId) : null;
+        if (!review || !review.pendingReveal) {
+            return;
+        }
+
+        const reveal = review.pendingReveal;
+        review.pendingReveal = null;
+
+        const editor = editorData.editor.getModifiedEditor();
+        const hunk = reveal === 'last' ? editorData.hunks[editorData.hunks.length - 1] : editorData.hunks[0];
+        if (hunk && editor.getModel()) {
+            const lineNumber = Math.min(Math.max(hunk.modifiedStart, 1), editor.getModel().getLineCount());
+            editor.setPosition({ lineNumber: lineNumber, column: 1 });
+            editor.revealLineInCenter(lineNumber);
+            editor.focus();
+        }
+    },
+
+    // Create a three-way merge editor: read-only base, ours and theirs panes above an
+    // editable result pane with actions for each conflict marked in the result
+    createMergeEditor: function (elementId, options, dotNetObjectRef) {
+        const element = document.getElementById(elementId);
+        if (!element) {
+            throw new InteropError('not-found', `Merge editor element not found: ${elementId}`);
+        }
+
+        if (!ensureAssets(element, 'merge editor', ['monaco'])) {
+            throw new InteropError('assets-missing', 'The Monaco editor did not load');
+        }
+
+        const previous = this.mergeEditors.get(elementId);
+        if (previous) {
+            log.warn('Merge editor already exists, disposing previous instance:', elementId);
+            this.dispose(elementId);
+        }
+
+        const scope = createScope('mergeEditor', elementId);
+        const hosts = this.createMergeLayout(element, options.titles || {});
+        scope.onDispose(() => element.replaceChildren());
+
+        const editorOptions = {
+            theme: 'custom-dark',
+            automaticLayout: true,
+            scrollBeyondLastLine: false,
+            minimap: { enabled: false },
+            lineNumbers: 'on',
+            folding: true,
+            accessibilitySupport: this.getAccessibilitySupport(),
+            scrollbar: {
+                verticalScrollbarSize: 10,
+                horizontalScrollbarSize: 10
+            }
+        };
+        const createEditor = (host, readOnly) =>
+            scope.track(monaco.editor.create(host, Object.assign({}, editorOptions, { readOnly: readOnly })));
+
+        const mergeData = {
+            elementId: elementId,
+            editors: {
+                base: createEditor(hosts.base, true),
+                ours: createEditor(hosts.ours, true),
+                theirs: createEditor(hosts.theirs, true),
+                result: createEditor(hosts.result, options.readOnly === true)
+            },
+            dotNetRef: dotNetObjectRef,
+            scope: scope,
+            conflicts: [],
+            strayMarkers: [],
+            reportedCount: -1,
+            reportTimer: null
+        };
+        mergeData.decorations = mergeData.editors.result.createDecorationsCollection();
+        this.mergeEditors.set(elementId, mergeData);
+        scope.onDispose(() => clearTimeout(mergeData.reportTimer));
+
+        // Conflicts are re-read from the result text after every edit
+        const result = mergeData.editors.result;
+        scope.track(result.onDidChangeModelContent(() => this.updateConflicts(mergeData)));
+
+        this.ensureReviewLenses();
+        const resolveAtCursor = (choice) => {
+            const position = result.getPosition();
+            const conflict = position ? this.findConflict(mergeData, position.lineNumber) : null;
+            if (conflict) {
+                this.resolveConflict(elementId, conflict.start, choice);
+            }
+        };
+
+        [
+            { id: 'codeui.merge.nextConflict', label: 'Go to Next Conflict', keybindings: [monaco.KeyMod.Alt | monaco.KeyCode.F5], run: () => this.goToConflict(elementId, 1) },
+            { id: 'codeui.merge.previousConflict', label: 'Go to Previous Conflict', keybindings: [monaco.KeyMod.Shift | monaco.KeyMod.Alt | monaco.KeyCode.F5], run: () => this.goToConflict(elementId, -1) },
+            { id: 'codeui.merge.takeOurs', label: 'Take Ours', keybindings: [monaco.KeyMod.Alt | monaco.KeyCode.KeyO], contextMenuGroupId: 'codeui-merge', contextMenuOrder: 1, run: () => resolveAtCursor('ours') },
+            { id: 'codeui.merge.takeTheirs', label: 'Take Theirs', keybindings: [monaco.KeyMod.Alt | monaco.KeyCode.KeyT], contextMenuGroupId: 'codeui-merge', contextMenuOrder: 2, run: () => resolveAtCursor('theirs') },
+            { id: 'codeui.merge.takeBoth', label: 'Take Both', keybindings: [monaco.KeyMod.Alt | monaco.KeyCode.KeyB], contextMenuGroupId: 'codeui-merge', contextMenuOrder: 3, run: () => resolveAtCursor('both') }
+        ].forEach(action => scope.track(result.addAction(action)));
+
+        log.debug('Merge editor created:', elementId);
+    },
+
+    createMergeLayout: function (element, titles) {
+        const createPane = (className, title) => {
+            const pane = document.createElement('div');
+            pane.className = className;
+
+            const heading = document.createElement('div');
+            heading.className = 'merge-editor-title';
+            heading.textContent = title;
+
+            const host = document.createElement('div');
+            host.className = 'merge-editor-host';
+
+            pane.append(heading, host);
+            return { pane: pane, host: host };
+        };
+
+        const base = createPane('merge-editor-pane', titles.base || 'Base');
+        const ours = createPane('merge-editor-pane', titles.ours || 'Ours');
+        const theirs = createPane('merge-editor-pane', titles.theirs || 'Theirs');
+        const result = createPane('merge-editor-pane merge-editor-result', titles.result || 'Result');
+
+        const sources = document.createElement('div');
+        sources.className = 'merge-editor-sources';
+        sources.append(base.pane, ours.pane, theirs.pane);
+
+        const layout = document.createElement('div');
+        layout.className = 'merge-editor';
+        layout.append(sources, result.pane);
+        element.replaceChildren(layout);
+
+        return { base: base.host, ours: ours.host, theirs: theirs.host, result: result.host };
+    },
+
+    // Set the three versions and the result, which starts as the working copy with conflict
+    // markers. Returns the number of conflicts.
+    setMergeContent: function (elementId, content) {
+        const mergeData = this.mergeEditors.require(elementId);
+
+        const scope = mergeData.scope;
+        const language = content.language && content.language !== 'plaintext'
+            ? content.language
+            : this.detectLanguage(content.path, content.result);
+        ['base', 'ours', 'theirs', 'result'].forEach(name => {
+            const editor = mergeData.editors[name];
+            const previousModel = editor.getModel();
+            editor.setModel(scope.trackModel(monaco.editor.createModel(content[name] || '', language)));
+            scope.releaseModel(previousModel);
+        });
+
+        this.updateConflicts(mergeData);
+        mergeData.reportedCount = this.countConflicts(mergeData);
+        this.goToConflict(elementId, 1);
+        return mergeData.reportedCount;
+    },
+
+    // Find the conflict blocks in a model: <<<<<<< ours [||||||| base] ======= theirs >>>>>>>
+    // Markers are recognised in git's form, followed by a space or the end of the line, so a
+    // setext heading or a reStructuredText rule is content. A <<<<<<< or >>>>>>> marker outside
+    // a complete block is stray: it is left over from a conflict and counts as one. GitService
+    // refuses to stage a resolution by the same rule.
+    parseConflicts: function (model) {
+        const conflicts = [];
+        const stray = [];
+        const isMarker = (line, marker) =>
+            line.startsWith(marker) && (line.length === marker.length || line[marker.length] === ' ');
+        let current = null;
+
+        for (let lineNumber = 1; lineNumber <= model.getLineCount(); lineNumber++) {
+            const line = model.getLineContent(lineNumber);
+            if (isMarker(line, '<<<<<<<')) {
+                if (current) {
+                    stray.push(current.start);
+                }
+                current = { start: lineNumber, base: 0, separator: 0, end: 0 };
+            } else if (current && !current.separator && isMarker(line, '|||||||')) {
+                current.base = lineNumber;
+            } else if (current && !current.separator && isMarker(line, '=======')) {
+                current.separator = lineNumber;
+            } else if (isMarker(line, '>>>>>>>')) {
+                if (current && current.separator) {
+                    current.end = lineNumber;
+                    conflicts.push(current);
+                } else {
+                    stray.push(...(current ? [current.start, lineNumber] : [lineNumber]));
+                }
+                current = null;
+            }
+        }
+        if (current) {
+            stray.push(current.start);
+        }
+        return { conflicts: conflicts, strayMarkers: stray };
+    },
+
+    // Conflict blocks and stray markers, of a merge editor's result or of parseConflicts
+    countConflicts: function (parsed) {
+        return parsed.conflicts.length + parsed.strayMarkers.length;
+    },
+
+    updateConflicts: function (mergeData) {
+        const model = mergeData.editors.result.getModel();
+        if (!model) {
+            return;
+        }
+
+        const parsed = this.parseConflicts(model);
+        mergeData.conflicts = parsed.conflicts;
+        mergeData.strayMarkers = parsed.strayMarkers;
+
+        const decorations = [];
+        const addRange = (start, end, className) => {
+            if (end >= start) {
+                decorations.push({ range: new monaco.Range(start, 1, end, 1), options: { isWholeLine: true, className: className } });
+            }
+        };
+        mergeData.conflicts.forEach(conflict => {
+            [conflict.start, conflict.base, conflict.separator, conflict.end]
+                .filter(line => line > 0)
+                .forEach(line => addRange(line, line, 'merge-conflict-marker'));
+            addRange(conflict.start + 1, (conflict.base || conflict.separator) - 1, 'merge-conflict-ours');
+            if (conflict.base) {
+                addRange(conflict.base + 1, conflict.separator - 1, 'merge-conflict-base');
+            }
+            addRange(conflict.separator + 1, conflict.end - 1, 'merge-conflict-theirs');
+        });
+        mergeData.strayMarkers.forEach(line => addRange(line, line, 'merge-conflict-marker'));
+        mergeData.decorations.set(decorations);
+
+        if (this.reviewLensesChanged) {
+            this.reviewLensesChanged.fire();
+        }
+        this.reportConflictCount(mergeData);
+    },
+
+    // Tell .NET how many conflicts are left, once typing settles
+    reportConflictCount: function (mergeData) {
+        clearTimeout(mergeData.reportTimer);
+        mergeData.reportTimer = setTimeout(() => {
+            const count = this.countConflicts(mergeData);
+            if (count === mergeData.reportedCount || !mergeData.dotNetRef) {
+                return;
+            }
+
+            mergeData.reportedCount = count;
+            mergeData.dotNetRef.invokeMethodAsync('OnConflictsChanged', count)
+                .catch(error => log.error('Error reporting conflicts:', error));
+        }, this.reportDelay);
+    },
+
+    findMergeByModel: function (model) {
+        for (const mergeData of this.mergeEditors.values()) {
+            if (mergeData.editors.result.getModel() === model && mergeData.conflicts.length > 0) {
+                return mergeData;
+            }
+        }
+        return null;
+    },
+
+    findConflict: function (mergeData, lineNumber) {
+        return mergeData.conflicts.find(conflict => lineNumber >= conflict.start && lineNumber <= conflict.end) || null;
+    },
+
+    getConflictLenses: function (model) {
+        const mergeData = this.findMergeByModel(model);
+        if (!mergeData) {
+            return [];
+        }
+
+        const lenses = [];
+        const total = mergeData.conflicts.length;
+        mergeData.conflicts.forEach((conflict, index) => {
+            const range = new monaco.Range(conflict.start, 1, conflict.start, 1);
+            const command = (title, choice) => ({
+                range: range,
+                command: { id: 'codeui.merge.resolveConflict', title: title, arguments: [mergeData.elementId, conflict.start, choice] }
+            });
+
+            lenses.push(command('Take ours (Alt+O)', 'ours'));
+            lenses.push(command('Take theirs (Alt+T)', 'theirs'));
+            lenses.push(command('Take both (Alt+B)', 'both'));
+            lenses.push({ range: range, command: { id: '', title: `Conflict ${index + 1} of ${total}` } });
+        });
+        return lenses;
+    },
+
+    // Replace the conflict starting at a line with ours, theirs or both (ours first)
+    resolveConflict: function (elementId, startLine, choice) {
+        const mergeData = this.mergeEditors.get(elementId);
+        if (!mergeData) {
+            return false;
+        }
+
+        const editor = mergeData.editors.result;
+        const model = editor.getModel();
+        const conflict = this.parseConflicts(model).conflicts.find(c => c.start === startLine);
+        if (!conflict) {
+            return false;
+        }
+
+        const linesBetween = (start, end) => {
+            const lines = [];
+            for (let lineNumber = start; lineNumber <= end; lineNumber++) {
+                lines.push(model.getLineContent(lineNumber));
+            }
+            return lines;
+        };
+        const ours = linesBetween(conflict.start + 1, (conflict.base || conflict.separator) - 1);
+        const theirs = linesBetween(conflict.separator + 1, conflict.end - 1);
+        const lines = choice === 'ours' ? ours : choice === 'theirs' ? theirs : ours.concat(theirs);
+
+        // An empty resolution removes the block's lines entirely, including a line break
+        let range;
+        if (lines.length > 0) {
+            range = new monaco.Range(conflict.start, 1, conflict.end, model.getLineMaxColumn(conflict.end));
+        } else if (conflict.end < model.getLineCount()) {
+            range = new monaco.Range(conflict.start, 1, conflict.end + 1, 1);
+        } else if (conflict.start > 1) {
+            range = new monaco.Range(conflict.start - 1, model.getLineMaxColumn(conflict.start - 1), conflict.end, model.getLineMaxColumn(conflict.end));
+        } else {
+            range = new monaco.Range(conflict.start, 1, conflict.end, model.getLineMaxColumn(conflict.end));
+        }
+
+        editor.pushUndoStop();
+        editor.executeEdits('codeui-merge', [{ range: range, text: lines.join(model.getEOL()) }]);
+        editor.pushUndoStop();
+        return true;
+    },
+
+    // Move the result editor's cursor to the next or previous conflict or stray marker,
+    // wrapping around
+    goToConflict: function (elementId, direction) {
+        const mergeData = this.mergeEditors.require(elementId);
+        const starts = mergeData.conflicts.map(conflict => conflict.start)
+            .concat(mergeData.strayMarkers)
+            .sort((a, b) => a - b);
+        if (starts.length === 0) {
+            return false;
+        }
+
+        const editor = mergeData.editors.result;
+        const position = editor.getPosition();
+        const current = position ? position.lineNumber : 0;
+
+        let target = direction > 0
+            ? starts.find(start => start > current)
+            : starts.slice().reverse().find(start => start < current);
+        if (!target) {
+            target = direction > 0 ? starts[0] : starts[starts.length - 1];
+        }
+
+        editor.setPosition({ lineNumber: target, column: 1 });
+        editor.revealLineInCenter(target);
+        editor.focus();
+        return true;
+    },
+
+    // The result text for staging, with the number of conflicts still marked in it
+    getMergeResult: function (elementId) {
+        const mergeData = this.mergeEditors.require(elementId);
+        if (!mergeData.editors.result.getModel()) {
+            throw new InteropError('unavailable', `Merge editor has no content: ${elementId}`);
+        }
+
+        return {
+            content: mergeData.editors.result.getValue(),
+            conflicts: this.countConflicts(this.parseConflicts(mergeData.editors.result.getModel()))
+        };
+    },
+
+    // Ad-hoc comparison of any two texts: both sides are editable, take pasted text and
+    // dropped files, and the diff updates as they change. .NET names the sides, e.g. after
+    // files picked in the File Explorer, and hears about changed sides and diff statistics.
+    createCompareEditor: function (elementId, options, dotNetObjectRef) {
+        const element = document.getElementById(elementId);
+        if (!element) {
+            throw new InteropError('not-found', `Compare editor element not found: ${elementId}`);
+        }
+
+        if (!ensureAssets(element, 'compare editor', ['monaco'])) {
+            throw new InteropError('assets-missing', 'The Monaco editor did not load');
+        }
+
+        const previous = this.compareEditors.get(elementId);
+        if (previous) {
+            log.warn('Compare editor already exists, disposing previous instance:', elementId);
+            this.dispose(elementId);
+        }
+
+        const editorOptions = Object.assign({
+            theme: 'custom-dark',
+            renderSideBySide: true,
+            originalEditable: true,
+            automaticLayout: true,
+            scrollBeyondLastLine: false,
+            lineNumbers: 'on',
+            folding: true,
+            scrollbar: {
+                verticalScrollbarSize: 10,
+                horizontalScrollbarSize: 10
+            }
+        }, options || {}, this.viewOptionsToEditorOptions(this.getViewOptions()));
+
+        const scope = createScope('compareEditor', elementId);
+        const diffEditor = scope.track(monaco.editor.createDiffEditor(element, editorOptions));
+        diffEditor.setModel({
+            original: scope.trackModel(monaco.editor.createModel('', 'plaintext')),
+            modified: scope.trackModel(monaco.editor.createModel('', 'plaintext'))
+        });
+
+        const compareData = {
+            elementId: elementId,
+            editor: diffEditor,
+            dotNetRef: dotNetObjectRef,
+            scope: scope,
+            names: { original: null, modified: null },
+            reportTimer: null
+        };
+        this.compareEditors.set(elementId, compareData);
+        scope.onDispose(() => clearTimeout(compareData.reportTimer));
+
+        // Monaco recomputes the diff after every edit; .NET gets the totals once typing pauses
+        scope.track(diffEditor.onDidUpdateDiff(() => {
+            clearTimeout(compareData.reportTimer);
+            compareData.reportTimer = setTimeout(() => this.reportCompareStats(compareData), this.contentChangeDelay);
+        }));
+
+        ['original', 'modified'].forEach(side => {
+            const editor = this.getCompareEditor(compareData, side);
+
+            // Dropped files replace the side; dropped text is inserted by Monaco itself
+            const domNode = editor.getDomNode();
+            scope.addEventListener(domNode, 'dragover', event => {
+                if (event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files')) {
+                    event.preventDefault();
+                    event.dataTransfer.dropEffect = 'copy';
+                }
+            }, true);
+            scope.addEventListener(domNode, 'drop', event => {
+                const file = event.dataTransfer && event.dataTransfer.files[0];
+                if (file) {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    this.loadDroppedFile(compareData, side, file);
+                }
+            }, true);
+
+            scope.track(editor.addAction({
+                id: 'codeui.compare.replaceWithClipboard',
+                label: 'Replace With Clipboard',
+                contextMenuGroupId: 'codeui-compare',
+                contextMenuOrder: 1,
+                run: () => this.pasteCompareSide(elementId, side)
+            }));
+        });
+
+        log.debug('Compare editor created:', elementId);
+    },
+
+    getCompareEditor: function (compareData, side) {
+        if (side === 'original') {
+            return compareData.editor.getOriginalEditor();
+        }
+        if (side === 'modified') {
+            return compareData.editor.getModifiedEditor();
+        }
+        throw new InteropError('invalid-argument', `Unknown side: ${side}`);
+    },
+
+    // Replace the text of one side; the replacement can be undone. The language follows
+    // the name of either side, preferring the modified one.
+    setCompareSide: function (elementId, side, content, name) {
+        const compareData = this.compareEditors.require(elementId);
+        const editor = this.getCompareEditor(compareData, side);
+        const model = editor.getModel();
+
+        editor.pushUndoStop();
+        editor.executeEdits('codeui-compare', [{ range: model.getFullModelRange(), text: content || '' }]);
+        editor.pushUndoStop();
+
+        compareData.names[side] = name || null;
+        const language = this.detectLanguage(compareData.names.modified || compareData.names.original,
+            this.getCompareEditor(compareData, 'modified').getValue() || this.getCompareEditor(compareData, 'original').getValue());
+        ['original', 'modified'].forEach(s => monaco.editor.setModelLanguage(this.getCompareEditor(compareData, s).getModel(), language));
+        return true;
+    },
+
+    // Replace one side with the text on the clipboard
+    pasteCompareSide: function (elementId, side) {
+        const compareData = this.compareEditors.require(elementId);
+        this.getCompareEditor(compareData, side);
+        return navigator.clipboard.readText().then(text => {
+            this.setCompareSide(elementId, side, text, null);
+            this.reportCompareSide(compareData, side, 'Clipboard');
+            return true;
+        });
+    },
+
+    loadDroppedFile: function (compareData, side, file) {
+        if (file.size > this.compareOptions.maxDropSize) {
+            this.reportCompareSide(compareData, side, null,
+                `${file.name} is larger than ${Math.round(this.compareOptions.maxDropSize / 1024)} KB`);
+            return;
+        }
+
+        file.text().then(text => {
+            if (this.compareEditors.get(compareData.elementId) !== compareData) {
+                return;
+            }
+            this.setCompareSide(compareData.elementId, side, text, file.name);
+            this.reportCompareSide(compareData, side, file.name);
+        }).catch(error => {
+            log.error('Error reading dropped file:', error);
+            this.reportCompareSide(compareData, side, null, `${file.name} could not be read`);
+        });
+    },
+
+    // Tell .NET what a side now shows, or why a drop was refused
+    reportCompareSide: function (compareData, side, name, error) {
+        if (compareData.dotNetRef) {
+            compareData.dotNetRef.invokeMethodAsync('OnCompareSideChanged', side, name, error || null)
+                .catch(err => log.error('Error reporting compare side:', err));
+        }
+    },
+
+    reportCompareStats: function (compareData) {
+        clearTimeout(compareData.reportTimer);
+        compareData.reportTimer = null;
+        if (compareData.dotNetRef) {
+            compareData.dotNetRef.invokeMethodAsync('OnCompareChanged', this.getCompareStats(compareData.elementId))
+                .catch(error => log.error('Error reporting compare statistics:', error));
+        }
+    },
+
+    // Changed regions and lines as Monaco shows them, honouring the whitespace view option
+    getCompareStats: function (elementId) {
+        const compareData = this.compareEditors.require(elementId);
+        const stats = { changes: 0, added: 0, removed: 0, identical: false };
+        (compareData.editor.getLineChanges() || []).forEach(change => {
+            stats.changes++;
+            if (change.originalEndLineNumber > 0) {
+                stats.removed += change.originalEndLineNumber - change.originalStartLineNumber + 1;
+            }
+            if (change.modifiedEndLineNumber > 0) {
+                stats.added += change.modifiedEndLineNumber - change.modifiedStartLineNumber + 1;
+            }
+        });
+        stats.identical = this.getCompareEditor(compareData, 'original').getValue() ===
+            this.getCompareEditor(compareData, 'modified').getValue();
+        return stats;
+    },
+
+    swapCompareSides: function (elementId) {
+        const compareData = this.compareEditors.require(elementId);
+        const original = this.getCompareEditor(compareData, 'original').getValue();
+        const modified = this.getCompareEditor(compareData, 'modified').getValue();
+        const names = Object.assign({}, compareData.names);
+
+        this.setCompareSide(elementId, 'original', modified, names.modified);
+        this.setCompareSide(elementId, 'modified', original, names.original);
+        this.reportCompareSide(compareData, 'original', names.modified);
+        this.reportCompareSide(compareData, 'modified', names.original);
+        return true;
+    },
+
+    // The comparison as a unified patch of the original side into the modified side, with
+    // a/ and b/ prefixes as git writes them. Identical sides give an empty patch.
+    createPatch: function (elementId) {
+        const compareData = this.compareEditors.require(elementId);
+        return this.createUnifiedPatch(
+            this.getCompareEditor(compareData, 'original').getValue(),
+            this.getCompareEditor(compareData, 'modified').getValue(),
+            compareData.names.original || 'original',
+            compareData.names.modified || 'modified');
+    },
+
+    downloadPatch: function (elementId, fileName) {
+        const patch = this.createPatch(elementId);
+        if (!patch) {
+            throw new InteropError('unavailable', 'The two sides are identical');
+        }
+
+        const url = URL.createObjectURL(new Blob([patch], { type: 'text/x-diff' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName || 'compare.patch';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        return true;
+    },
+
+    createUnifiedPatch: function (originalText, modifiedText, originalName, modifiedName) {
+        // Lines keep their line break, so a missing break at the end of a file is a change too
+        const split = text => text ? text.split(/(?<=\n)/) : [];
+        const a = split(originalText);
+        const b = split(modifiedText);
+        const ops = this.diffLines(a, b);
+        if (!ops.some(op => op.type !== ' ')) {
+            return '';
+        }
+
+        // Position of each operation in both files, for the hunk headers
+        const positions = [];
+        let aLine = 0;
+        let bLine = 0;
+        ops.forEach(op => {
+            positions.push({ a: aLine, b: bLine });
+            if (op.type !== '+') {
+                aLine++;
+            }
+            if (op.type !== '-') {
+                bLine++;
+            }
+        });
+
+        // Changes closer than twice the context share a hunk
+        const context = this.compareOptions.patchContext;
+        const ranges = [];
+        ops.forEach((op, index) => {
+            if (op.type === ' ') {
+                return;
+            }
+            const start = Math.max(0, index - context);
+            const end = Math.min(ops.length - 1, index + context);
+            const last = ranges[ranges.length - 1];
+            if (last && start <= last.end + 1) {
+                last.end = end;
+            } else {
+                ranges.push({ start: start, end: end });
+            }
+        });
+
+        const formatRange = (start, count) =>
+            count === 1 ? `${start + 1}` : `${count === 0 ? start : start + 1},${count}`;
+        const lines = [`--- a/${originalName}`, `+++ b/${modifiedName}`];
+        ranges.forEach(range => {
+            const hunkOps = ops.slice(range.start, range.end + 1);
+            const aCount = hunkOps.filter(op => op.type !== '+').length;
+            const bCount = hunkOps.filter(op => op.type !== '-').length;
+            const position = positions[range.start];
+            lines.push(`@@ -${formatRange(position.a, aCount)} +${formatRange(position.b, bCount)} @@`);
+            hunkOps.forEach(op => {
+                if (op.line.endsWith('\n')) {
+                    lines.push(op.type + op.line.slice(0, -1));
+                } else {
+                    lines.push(op.type + op.line, '\\ No newline at end of file');
+                }
+            });
+        });
+        return lines.join('\n') + '\n';
+    },
+
+    // Shortest edit script from lines a to lines b as [{ type: ' ' | '-' | '+', line }],
+    // using Myers' algorithm between the common prefix and suffix
+    diffLines: function (a, b) {
+        let prefix = 0;
+        while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+            prefix++;
+        }
+        let suffix = 0;
+        while (suffix < a.length - prefix && suffix < b.length - prefix &&
+            a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        const middleA = a.slice(prefix, a.length - suffix);
+        const middleB = b.slice(prefix, b.length - suffix);
+        const middle = this.myersDiff(middleA, middleB) || [
+            ...middleA.map(line => ({ type: '-', line: line })),
+            ...middleB.map(line => ({ type: '+', line: line }))
+        ];
+
+        return [
+            ...a.slice(0, prefix).map(line => ({ type: ' ', line: line })),
+            ...middle,
+            ...a.slice(a.length - suffix).map(line => ({ type: ' ', line: line }))
+        ];
+    },
+
+    // Returns null when the script would need more than maxPatchEdits edits or the search
+    // more than maxPatchSteps steps. The trace kept for the walk back grows with the square
+    // of the edits, about 4 MB at the edit limit.
+    myersDiff: function (a, b) {
+        const n = a.length;
+        const m = b.length;
+        const maxEdits = Math.min(n + m, this.compareOptions.maxPatchEdits);
+        const maxSteps = this.compareOptions.maxPatchSteps;
+        const offset = maxEdits + 1;
+        const v = new Int32Array(2 * maxEdits + 3);
+        // The furthest reaching x of diagonals -d-1..d+1 before each step d
+        const trace = [];
+        let steps = 0;
+
+        let found = false;
+        for (let d = 0; d <= maxEdits && !found; d++) {
+            trace.push(v.slice(offset - d - 1, offset + d + 2));
+            for (let k = -d; k <= d; k += 2) {
+                let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                const start = x;
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                steps += x - start + 1;
+                if (steps > maxSteps) {
+                    return null;
+                }
+                v[offset + k] = x;
+                if (x >= n && y >= m) {
+                    found = true;
+                    break;
+                }
+            }
+        }
+        if (!found) {
+            return null;
+        }
+
+        // Walk back from the end, collecting the edits and the unchanged lines between them
+        const ops = [];
+        let x = n;
+        let y = m;
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const previous = trace[d];
+            const at = diagonal => previous[diagonal + d + 1];
+            const k = x - y;
+            const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+            const previousX = at(previousK);
+            const previousY = previousX - previousK;
+
+            while (x > previousX && y > previousY) {
+                ops.push({ type: ' ', line: a[x - 1] });
+                x--;
+                y--;
+            }
+            if (d > 0) {
+                if (x === previousX) {
+                    ops.push({ type: '+', line: b[y - 1] });
+                    y--;
+                } else {
+                    ops.push({ type: '-', line: a[x - 1] });
+                    x--;
+                }
+            }
+        }
+        return ops.reverse();
+    },
+
+    // Test hook for the end-to-end tests: the hunks of a diff editor, its review decorations
+    // by file line number, the content of both sides, its language and view options
+    getReviewState: function (elementId) {
+        const editorData = this.editors.get(elementId);
+        if (!editorData) {
+            return null;
+        }
+
+        const modifiedEditor = editorData.editor.getModifiedEditor();
+        const modifiedModel = modifiedEditor.getModel();
+        const state = {
+            hunks: editorData.hunks,
+            isDirty: editorData.isDirty,
+            language: modifiedModel ? modifiedModel.getLanguageId() : null,
+            // The view options as the modified editor applies them
+            options: {
+                wordWrap: modifiedEditor.getOption(monaco.editor.EditorOption.wordWrap),
+                minimap: modifiedEditor.getOption(monaco.editor.EditorOption.minimap).enabled,
+                renderWhitespace: modifiedEditor.getOption(monaco.editor.EditorOption.renderWhitespace)
+            },
+            decorations: {},
+            content: {}
+        };
+        ['original', 'modified'].forEach(side => {
+            const editor = side === 'original'
+                ? editorData.editor.getOriginalEditor()
+                : editorData.editor.getModifiedEditor();
+            const model = editor.getModel();
+
+            state.content[side] = model ? model.getValue() : '';
+            state.decorations[side] = editorData.decorations[side].getRanges().map(range => {
+                const options = model.getDecorationsInRange(range)
+                    .map(decoration => decoration.options)
+                    .find(o => o.glyphMarginClassName && o.glyphMarginClassName.startsWith('diff-glyph-')) || {};
+                return {
+                    lineNumber: this.toFileLine(editorData, side, range.startLineNumber),
+                    className: options.className || '',
+                    glyphMarginClassName: options.glyphMarginClassName || ''
+                };
+            });
+        });
+        return state;
+    },
+
+    // Live editors and the listeners, observers and models they hold
+    getDiagnostics: function () {
+        const diagnostics = getScopeDiagnostics('diffEditor');
+        diagnostics.editors = this.editors.size;
+        diagnostics.mergeEditors = this.mergeEditors.size;
+        diagnostics.reviews = this.reviews.size;
+        diagnostics.compareEditors = this.compareEditors.size;
+        return diagnostics;
+    },
+
+    // Dispose of the diff editor, merge editor or review and clean up resources; disposing
+    // one that is already gone does nothing. The .NET references are left to the components
+    // that created them, which dispose them along with themselves.
+    dispose: function (elementId) {
+        const review = this.reviews.get(elementId);
+        if (review) {
+            this.reviews.delete(elementId);
+            disposeScope('review', elementId);
+            log.debug('Diff review disposed:', elementId);
+            return true;
+        }
+
+        const compareData = this.compareEditors.get(elementId);
+        if (compareData) {
+            this.compareEditors.delete(elementId);
+            disposeScope('compareEditor', elementId);
+            log.debug('Compare editor disposed:', elementId);
+            return true;
+        }
+
+        const editorData = this.editors.get(elementId) || this.mergeEditors.get(elementId);
+        if (editorData) {
+            const isMerge = this.mergeEditors.has(elementId);
+            this.editors.delete(elementId);
+            this.mergeEditors.delete(elementId);
+            disposeScope(isMerge ? 'mergeEditor' : 'diffEditor', elementId);
+            log.debug(isMerge ? 'Merge editor disposed:' : 'Diff editor disposed:', elementId);
+            return true;
+        }
+        return false;
+    }
 };
 
-// Initialize Monaco when the script loads
-document.addEventListener('DOMContentLoaded', function () {
-    window.monacoDiffEditor.initialize().catch(console.error);
-});
\ No newline at end of file
+// Start loading Monaco as soon as the module is imported; failures are logged by initialize
+monacoDiffEditor.initialize().catch(() => {});
+monacoDiffEditor.registerCommands();
+onAccessibilityChange(() => monacoDiffEditor.applyAccessibility());
+onKeybindingsChange(() => {
+    // The hunk lenses show the shortcuts of the review commands
+    if (monacoDiffEditor.reviewLensesChanged) {
+        monacoDiffEditor.reviewLensesChanged.fire();
+    }
+});
+
+// Called from .NET through IJSObjectReference; each returns { ok, value, error }
+export const {
+    initialize, createDiffEditor, setContent, setViewMode, getViewOptions, applyViewOptions,
+    setLineDecorations, setHunks, setCommentThreads, save, markSaved, revert, revealLine, layout,
+    createReview, attachReview, openAccessibleViewer,
+    createMergeEditor, setMergeContent, resolveConflict, goToConflict, getMergeResult,
+    createCompareEditor, setCompareSide, pasteCompareSide, swapCompareSides, getCompareStats, createPatch, downloadPatch,
+    dispose
+} = exportResults(log, monacoDiffEditor, [
+    'initialize', 'createDiffEditor', 'setContent', 'setViewMode', 'getViewOptions', 'applyViewOptions',
+    'setLineDecorations', 'setHunks', 'setCommentThreads', 'save', 'markSaved', 'revert', 'revealLine', 'layout',
+    'createReview', 'attachReview', 'openAccessibleViewer',
+    'createMergeEditor', 'setMergeContent', 'resolveConflict', 'goToConflict', 'getMergeResult',
+    'createCompareEditor', 'setCompareSide', 'pasteCompareSide', 'swapCompareSides', 'getCompareStats', 'createPatch', 'downloadPatch',
+    'dispose'
+]);
+
+// Test hooks for the end-to-end tests; these return plain values
+export function getReviewState(elementId) {
+    return monacoDiffEditor.getReviewState(elementId);
+}
+
+export function reportAction(elementId, action) {
+    monacoDiffEditor.reportAction(elementId, action);
+}
+
+export function createUnifiedPatch(originalText, modifiedText, originalName, modifiedName) {
+    return monacoDiffEditor.createUnifiedPatch(originalText, modifiedText, originalName, modifiedName);
+}
+
+export function getDiagnostics() {
+    return monacoDiffEditor.getDiagnostics();
+}
\ No newline at end of file
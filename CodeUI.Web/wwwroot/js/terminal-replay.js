@@ -0,0 +1,314 @@
+// Terminal session replay module for Blazor
+// Plays back asciicast v2 recordings in a read-only xterm built with the terminal's own options.
+import { createLogger, createRegistry, exportResults, InteropError } from './interop.js';
+import { ensureAssets } from './assets.js';
+import { createScope, disposeScope } from './lifecycle.js';
+import { createImageAddon, createTerminalOptions, setBackgroundVariable } from './terminal.js';
+
+const log = createLogger('replay');
+
+const terminalReplay = {
+    players: createRegistry('replay', 'Replay player'),
+
+    // How often playback progress is reported to .NET, in milliseconds
+    progressInterval: 250,
+
+    // Create a player for an asciicast v2 recording
+    create: function (elementId, castText, dotNetObjectRef) {
+        const element = document.getElementById(elementId);
+        if (!element) {
+            throw new InteropError('not-found', `Replay element not found: ${elementId}`);
+        }
+
+        if (!ensureAssets(element, 'replay player', ['Terminal'])) {
+            throw new InteropError('assets-missing', 'The xterm.js scripts did not load');
+        }
+
+        // A recording that cannot be played leaves the current one loaded
+        const cast = this.parse(castText);
+        this.dispose(elementId);
+
+        const scope = createScope('replay', elementId);
+        const terminal = scope.track(new Terminal(createTerminalOptions({
+            cols: cast.header.width,
+            rows: cast.header.height,
+            cursorBlink: false,
+            disableStdin: true
+        })));
+        // Recordings can contain inline images
+        const imageAddon = createImageAddon();
+        if (imageAddon) {
+            terminal.loadAddon(imageAddon);
+        }
+        setBackgroundVariable(terminal.options.theme.background);
+        terminal.open(element);
+
+        const player = {
+            terminal: terminal,
+            dotNetRef: dotNetObjectRef,
+            header: cast.header,
+            events: cast.events,
+            duration: cast.duration,
+            position: 0,
+            nextIndex: 0,
+            speed: 1,
+            playing: false,
+            timer: null,
+            startedAt: 0,
+            startPosition: 0,
+            lastProgress: 0
+        };
+        this.players.set(elementId, player);
+        scope.onDispose(() => {
+            clearTimeout(player.timer);
+            player.playing = false;
+        });
+
+        log.debug('Replay player created:', elementId);
+        return {
+            width: cast.header.width,
+            height: cast.header.height,
+            duration: cast.duration,
+            eventCount: cast.events.length,
+            title: cast.header.title || null
+        };
+    },
+
+    // Parse asciicast v2 text. Timestamps are rebased so pauses longer than the
+    // header's idle_time_limit are shortened, as asciinema's own player does.
+    parse: function (castText) {
+        const lines = (castText || '').split('\n').filter(line => line.trim().length > 0);
+        if (lines.length === 0) {
+            throw new InteropError('invalid-recording', 'Recording is empty');
+        }
+
+        let header;
+        try {
+            header = JSON.parse(lines[0]);
+        } catch (error) {
+            throw new InteropError('invalid-recording', `Recording header is not valid JSON: ${error.message}`);
+        }
+        if (header.version !== 2) {
+            throw new InteropError('invalid-recording', `Unsupported asciicast version: ${header.version}`);
+        }
+        if (!(header.width > 0 && header.height > 0)) {
+            throw new InteropError('invalid-recording', 'Recording header has no terminal size');
+        }
+
+        const idleLimit = header.idle_time_limit || Infinity;
+        const events = [];
+        let previousTime = 0;
+        let time = 0;
+
+        for (let i = 1; i < lines.length; i++) {
+            let event;
+            try {
+                event = JSON.parse(lines[i]);
+            } catch (error) {
+                throw new InteropError('invalid-recording', `Event ${i} is not valid JSON: ${error.message}`);
+            }
+            if (!Array.isArray(event) || typeof event[0] !== 'number' || typeof event[1] !== 'string') {
+                throw new InteropError('invalid-recording', `Event ${i} is not an [time, code, data] array`);
+            }
+
+            const [eventTime, code, data] = event;
+            time += Math.min(eventTime - previousTime, idleLimit);
+            previousTime = eventTime;
+            if (code === 'o' || code === 'r') {
+                events.push({ time: time, code: code, data: data });
+            }
+        }
+
+        return {
+            header: header,
+            events: events,
+            duration: events.length > 0 ? events[events.length - 1].time : 0
+        };
+    },
+
+    play: function (elementId) {
+        const player = this.players.require(elementId);
+
+        if (player.playing) {
+            return;
+        }
+
+        // Restart from the beginning once playback has reached the end
+        if (player.nextIndex >= player.events.length) {
+            this.seek(elementId, 0);
+        }
+
+        player.playing = true;
+        player.startedAt = performance.now();
+        player.startPosition = player.position;
+        this.scheduleNext(elementId, player);
+        this.reportProgress(player, true);
+    },
+
+    pause: function (elementId) {
+        const player = this.players.require(elementId);
+
+        if (player.playing) {
+            player.position = this.currentTime(player);
+            player.playing = false;
+            clearTimeout(player.timer);
+            player.timer = null;
+            this.reportProgress(player, true);
+        }
+    },
+
+    // Jump to a point in the recording by replaying all output up to it
+    seek: function (elementId, time) {
+        const player = this.players.require(elementId);
+
+        const target = Math.max(0, Math.min(time, player.duration));
+        const wasPlaying = player.playing;
+        clearTimeout(player.timer);
+        player.timer = null;
+
+        player.terminal.reset();
+        player.terminal.resize(player.header.width, player.header.height);
+
+        let output = '';
+        let index = 0;
+        while (index < player.events.length && player.events[index].time <= target) {
+            const event = player.events[index];
+            if (event.code === 'o') {
+                output += event.data;
+            } else {
+                // Apply buffered output at the size it was produced for
+                player.terminal.write(output);
+                output = '';
+                this.applyResize(player, event.data);
+            }
+            index++;
+        }
+        player.terminal.write(output);
+
+        player.nextIndex = index;
+        player.position = target;
+        player.startedAt = performance.now();
+        player.startPosition = target;
+
+        if (wasPlaying) {
+            this.scheduleNext(elementId, player);
+        }
+        this.reportProgress(player, true);
+    },
+
+    setSpeed: function (elementId, speed) {
+        const player = this.players.require(elementId);
+        if (!(speed > 0)) {
+            throw new InteropError('invalid-argument', `Playback speed must be positive: ${speed}`);
+        }
+
+        // Keep the current position when the rate changes mid-playback
+        player.position = this.currentTime(player);
+        player.startedAt = performance.now();
+        player.startPosition = player.position;
+        player.speed = speed;
+
+        if (player.playing) {
+            clearTimeout(player.timer);
+            this.scheduleNext(elementId, player);
+        }
+    },
+
+    getState: function (elementId) {
+        const player = this.players.require(elementId);
+
+        return {
+            position: this.currentTime(player),
+            duration: player.duration,
+            speed: player.speed,
+            playing: player.playing
+        };
+    },
+
+    currentTime: function (player) {
+        if (!player.playing) {
+            return player.position;
+        }
+        const elapsed = (performance.now() - player.startedAt) / 1000 * player.speed;
+        return Math.min(player.startPosition + elapsed, player.duration);
+    },
+
+    scheduleNext: function (elementId, player) {
+        if (player.nextIndex >= player.events.length) {
+            player.playing = false;
+            player.position = player.duration;
+            this.reportProgress(player, true);
+            this.notify(player, 'OnReplayEnded');
+            return;
+        }
+
+        const delay = (player.events[player.nextIndex].time - this.currentTime(player)) / player.speed * 1000;
+        player.timer = setTimeout(() => this.step(elementId, player), Math.max(0, delay));
+    },
+
+    // Write every event that is due, then wait for the next one
+    step: function (elementId, player) {
+        if (this.players.get(elementId) !== player || !player.playing) {
+            return;
+        }
+
+        const now = this.currentTime(player);
+        let output = '';
+        while (player.nextIndex < player.events.length && player.events[player.nextIndex].time <= now) {
+            const event = player.events[player.nextIndex];
+            if (event.code === 'o') {
+                output += event.data;
+            } else {
+                player.terminal.write(output);
+                output = '';
+                this.applyResize(player, event.data);
+            }
+            player.nextIndex++;
+        }
+        player.terminal.write(output);
+        player.position = now;
+
+        this.reportProgress(player, false);
+        this.scheduleNext(elementId, player);
+    },
+
+    applyResize: function (player, size) {
+        const match = /^(\d+)x(\d+)$/.exec(size || '');
+        if (match) {
+            player.terminal.resize(parseInt(match[1], 10), parseInt(match[2], 10));
+        }
+    },
+
+    reportProgress: function (player, force) {
+        const now = performance.now();
+        if (!force && now - player.lastProgress < this.progressInterval) {
+            return;
+        }
+
+        player.lastProgress = now;
+        this.notify(player, 'OnReplayProgress', this.currentTime(player), player.duration, player.playing);
+    },
+
+    notify: function (player, method, ...args) {
+        if (player.dotNetRef && typeof player.dotNetRef.invokeMethodAsync === 'function') {
+            player.dotNetRef.invokeMethodAsync(method, ...args).catch(err => {
+                log.error(`Failed to send ${method} to .NET:`, err);
+            });
+        }
+    },
+
+    // Dispose the player and its terminal; disposing one that is already gone does nothing
+    dispose: function (elementId) {
+        if (!this.players.delete(elementId)) {
+            return false;
+        }
+
+        disposeScope('replay', elementId);
+        log.debug('Replay player disposed:', elementId);
+        return true;
+    }
+};
+
+// Called from .NET through IJSObjectReference; each returns { ok, value, error }
+export const { create, play, pause, seek, setSpeed, getState, dispose } =
+    exportResults(log, terminalReplay, ['create', 'play', 'pause', 'seek', 'setSpeed', 'getState', 'dispose']);
@@ -1,199 +1,2041 @@
-// XTerm.js Terminal Integration for Blazor
+// XTerm.js terminal module for Blazor, imported by the terminal components through IJSObjectReference.
 // Thin transport: forward all input to .NET and render only backend output.
-window.xtermTerminal = {
-    terminals: new Map(),
+import { createLogger, createRegistry, exportResults, InteropError } from './interop.js';
+import { quickPick, registerCommand } from './commands.js';
+import { announceMessage, isAccessibilityEnabled, onAccessibilityChange } from './accessibility.js';
+import { ensureAssets } from './assets.js';
+import { createScope, disposeScope, getDiagnostics as getScopeDiagnostics } from './lifecycle.js';
+
+const log = createLogger('terminal');
+
+const xtermTerminal = {
+    terminals: createRegistry('terminal', 'Terminal'),
+
+    // Output flow control: backend output is queued, coalesced and flushed once per
+    // animation frame. When queued + unparsed bytes exceed the high watermark, .NET is
+    // asked to pause; once xterm drains below the low watermark, it is asked to resume.
+    outputOptions: {
+        highWatermark: 512 * 1024,
+        lowWatermark: 128 * 1024,
+        maxBytesPerFrame: 64 * 1024
+    },
+
+    // Pastes with line breaks or longer than confirmLength characters need confirmation;
+    // pastes are sent to .NET in chunks of at most chunkSize characters
+    pasteOptions: {
+        confirmLength: 1024,
+        chunkSize: 4096,
+        previewLines: 10
+    },
+
+    // Where `path/to/file.cs:42` links in the output open. Plain click opens the
+    // File Explorer, Shift+click opens the Diff Viewer, both in a new browser tab
+    // so the running session is left alone.
+    linkOptions: {
+        fileExplorerUrl: 'fileexplorer',
+        diffViewerUrl: 'diff'
+    },
+
+    // Inline images (sixel and the iTerm2 inline image protocol) through the image addon.
+    // Each image may take at most imageSizeLimit MB of encoded data (a setting) and
+    // pixelLimit pixels; images kept in the scrollback share storageLimit MB.
+    imageOptions: {
+        pixelLimit: 4096 * 4096,
+        storageLimit: 64
+    },
+
+    // Schemes OSC 8 hyperlinks may open; file: links open in the File Explorer
+    hyperlinkSchemes: ['http:', 'https:', 'mailto:'],
+
+    // Matches file references with a line and optional column, e.g. src/App.cs:42:7
+    fileLinkPattern: /((?:[A-Za-z]:)?[\\/]?(?:[\w.@~-]+[\\/])*[\w.@~-]*[\w-]\.[A-Za-z0-9]+):(\d+)(?::(\d+))?/g,
+
+    // Marks of prompts, agent tool calls and file edits, shown at the left edge of their
+    // line and in the overview ruler. Shells report prompts through OSC 133 (FinalTerm) or
+    // OSC 633 (VS Code) shell integration; AI CLIs are recognised by patterns matched
+    // against each completed output line.
+    markOptions: {
+        maxMarks: 1000,
+        notifyDelay: 250,
+        overviewRulerWidth: 8,
+        patternStorageKey: 'codeui.terminalMarkPatterns',
+        colors: { prompt: '#3794ff', tool: '#b180d7', edit: '#89d185', error: '#f14c4c' }
+    },
+
+    markKinds: ['prompt', 'tool', 'edit'],
+
+    // The first pattern matching a line decides its kind; the `path` group of an edit
+    // pattern names the edited file, which opens in the Diff Viewer
+    defaultMarkPatterns: [
+        // Claude Code
+        { kind: 'prompt', pattern: '^> \\S' },
+        { kind: 'edit', pattern: '^\\s*[⏺●] (?:Update|Write|Edit|MultiEdit)\\((?<path>[^)]+)\\)' },
+        { kind: 'tool', pattern: '^\\s*[⏺●] [A-Z]\\w*\\(' },
+        // Codex CLI
+        { kind: 'prompt', pattern: '^▌ \\S' },
+        { kind: 'edit', pattern: '^\\s*• (?:Edited|Added|Deleted) (?<path>\\S+)' },
+        { kind: 'tool', pattern: '^\\s*• (?:Ran|Explored|Read|Searched|Updated Plan)\\b' },
+        // Gemini CLI
+        { kind: 'edit', pattern: '^\\s*│ ✔ +(?:WriteFile|Edit|Replace) (?:Writing to )?(?<path>[^\\s:│]+)' },
+        { kind: 'tool', pattern: '^\\s*│ [✔✓x✗⊷] +[A-Z]\\w+' }
+    ],
+
+    markPatterns: null,
+    compiledMarkPatterns: null,
+
+    // Terminal state kept in the browser so a reload after losing the circuit can restore
+    // the screen. Snapshots go to IndexedDB; the sessions open in this browser tab are
+    // listed in sessionStorage so only this tab restores them. The server only lets this
+    // browser's owner key attach to the sessions it created.
+    persistOptions: {
+        databaseName: 'codeui-terminal',
+        storeName: 'sessions',
+        sessionListKey: 'codeui.terminalSessions',
+        ownerKeyStorageKey: 'codeui.terminalOwnerKey',
+        saveDelay: 1000,
+        scrollback: 1000,
+        maxAge: 24 * 60 * 60 * 1000
+    },
+
+    // Circuit state, tracked from the classes Blazor sets on #components-reconnect-modal
+    connection: {
+        connected: true,
+        observer: null
+    },
+
+    databasePromise: null,
+    ownerKey: null,
+
+    searchDecorations: {
+        matchBackground: '#515c6a',
+        matchOverviewRuler: '#d18616',
+        activeMatchBackground: '#a8ac94',
+        activeMatchColorOverviewRuler: '#a0a0a0'
+    },
+
+    // Built-in colour themes. High contrast also raises xterm's minimum contrast ratio.
+    themes: {
+        dark: {
+            background: '#1e1e1e',
+            foreground: '#ffffff',
+            cursor: '#ffffff',
+            selectionBackground: '#3d3d3d'
+        },
+        light: {
+            background: '#ffffff',
+            foreground: '#1e1e1e',
+            cursor: '#1e1e1e',
+            cursorAccent: '#ffffff',
+            selectionBackground: '#add6ff',
+            black: '#000000',
+            red: '#cd3131',
+            green: '#00bc00',
+            yellow: '#949800',
+            blue: '#0451a5',
+            magenta: '#bc05bc',
+            cyan: '#0598bc',
+            white: '#555555',
+            brightBlack: '#666666',
+            brightRed: '#cd3131',
+            brightGreen: '#14ce14',
+            brightYellow: '#b5ba00',
+            brightBlue: '#0451a5',
+            brightMagenta: '#bc05bc',
+            brightCyan: '#0598bc',
+            brightWhite: '#a5a5a5'
+        },
+        'high-contrast': {
+            background: '#000000',
+            foreground: '#ffffff',
+            cursor: '#ffff00',
+            cursorAccent: '#000000',
+            selectionBackground: '#ffffff',
+            selectionForeground: '#000000',
+            black: '#000000',
+            red: '#ff6b6b',
+            green: '#00ff00',
+            yellow: '#ffff00',
+            blue: '#6fc3ff',
+            magenta: '#ff80ff',
+            cyan: '#00ffff',
+            white: '#ffffff',
+            brightBlack: '#bfbfbf',
+            brightRed: '#ff9e9e',
+            brightGreen: '#80ff80',
+            brightYellow: '#ffff80',
+            brightBlue: '#a8dbff',
+            brightMagenta: '#ffb3ff',
+            brightCyan: '#80ffff',
+            brightWhite: '#ffffff'
+        }
+    },
+
+    cursorStyles: ['block', 'underline', 'bar'],
+    bellStyles: ['none', 'visual', 'sound'],
+
+    defaultSettings: {
+        theme: 'dark',
+        fontFamily: 'Consolas, "Courier New", monospace',
+        fontSize: 14,
+        lineHeight: 1,
+        cursorStyle: 'block',
+        cursorBlink: true,
+        scrollback: 1000,
+        bell: 'none',
+        marks: true,
+        imageSizeLimit: 4
+    },
+
+    // Appearance profiles, persisted in localStorage: { active, profiles: { name: settings } }
+    profileStorageKey: 'codeui.terminalProfiles',
+    defaultProfileName: 'Default',
+    profileState: null,
+
+    // Shared xterm configuration, also used by the session replay player
+    createTerminalOptions: function (overrides) {
+        return Object.assign(this.settingsToOptions(this.getSettings()), {
+            allowTransparency: true,
+            allowProposedApi: true,
+            convertEol: true,
+            screenReaderMode: isAccessibilityEnabled(),
+            linkHandler: this.createHyperlinkHandler()
+        }, overrides || {});
+    },
+
+    // xterm's screen reader mode mirrors the buffer into an accessible tree and reads new
+    // output; it follows the accessibility mode in every open terminal
+    applyAccessibility: function (enabled) {
+        this.terminals.forEach((terminalData, elementId) => {
+            try {
+                terminalData.terminal.options.screenReaderMode = enabled;
+            } catch (error) {
+                log.error('Error applying accessibility mode to terminal:', elementId, error);
+            }
+        });
+    },
+
+    settingsToOptions: function (settings) {
+        return {
+            theme: Object.assign({}, this.themes[settings.theme]),
+            fontFamily: settings.fontFamily,
+            fontSize: settings.fontSize,
+            lineHeight: settings.lineHeight,
+            cursorStyle: settings.cursorStyle,
+            cursorBlink: settings.cursorBlink,
+            scrollback: settings.scrollback,
+            minimumContrastRatio: settings.theme === 'high-contrast' ? 7 : 1
+        };
+    },
+
+    // Fill in missing values and clamp out-of-range ones
+    normalizeSettings: function (settings) {
+        const merged = Object.assign({}, this.defaultSettings, settings || {});
+        const number = (value, min, max, fallback) => {
+            const parsed = Number(value);
+            return Number.isFinite(parsed) ? Math.min(Math.max(parsed, min), max) : fallback;
+        };
+
+        return {
+            theme: this.themes[merged.theme] ? merged.theme : this.defaultSettings.theme,
+            fontFamily: typeof merged.fontFamily === 'string' && merged.fontFamily.trim()
+                ? merged.fontFamily.trim()
+                : this.defaultSettings.fontFamily,
+            fontSize: Math.round(number(merged.fontSize, 6, 48, this.defaultSettings.fontSize)),
+            lineHeight: number(merged.lineHeight, 1, 3, this.defaultSettings.lineHeight),
+            cursorStyle: this.cursorStyles.includes(merged.cursorStyle) ? merged.cursorStyle : this.defaultSettings.cursorStyle,
+            cursorBlink: merged.cursorBlink !== false,
+            scrollback: Math.round(number(merged.scrollback, 0, 100000, this.defaultSettings.scrollback)),
+            bell: this.bellStyles.includes(merged.bell) ? merged.bell : this.defaultSettings.bell,
+            marks: merged.marks !== false,
+            imageSizeLimit: Math.round(number(merged.imageSizeLimit, 1, 64, this.defaultSettings.imageSizeLimit))
+        };
+    },
+
+    loadProfiles: function () {
+        if (this.profileState) {
+            return this.profileState;
+        }
+
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(this.profileStorageKey) || 'null');
+        } catch (error) {
+            log.error('Error reading terminal profiles:', error);
+        }
+
+        const profiles = {};
+        if (stored && stored.profiles && typeof stored.profiles === 'object') {
+            Object.keys(stored.profiles).forEach(name => {
+                profiles[name] = this.normalizeSettings(stored.profiles[name]);
+            });
+        }
+        if (!profiles[this.defaultProfileName]) {
+            profiles[this.defaultProfileName] = this.normalizeSettings();
+        }
+
+        this.profileState = {
+            active: stored && profiles[stored.active] ? stored.active : this.defaultProfileName,
+            profiles: profiles
+        };
+        return this.profileState;
+    },
+
+    saveProfiles: function () {
+        try {
+            localStorage.setItem(this.profileStorageKey, JSON.stringify(this.profileState));
+        } catch (error) {
+            log.error('Error saving terminal profiles:', error);
+        }
+    },
+
+    // Settings of the active profile
+    getSettings: function () {
+        const state = this.loadProfiles();
+        return Object.assign({}, state.profiles[state.active]);
+    },
+
+    getThemes: function () {
+        return Object.keys(this.themes);
+    },
+
+    // Update the active profile and apply it to every open terminal. Accepts any subset
+    // of { theme, fontFamily, fontSize, lineHeight, cursorStyle, cursorBlink, scrollback, bell, marks,
+    // imageSizeLimit }.
+    applySettings: function (settings) {
+        const state = this.loadProfiles();
+        const updated = this.normalizeSettings(Object.assign({}, state.profiles[state.active], settings || {}));
+        state.profiles[state.active] = updated;
+        this.saveProfiles();
+        this.applyToTerminals(updated);
+        return Object.assign({}, updated);
+    },
+
+    applyToTerminals: function (settings) {
+        const options = this.settingsToOptions(settings);
+        this.setBackgroundVariable(options.theme.background);
+        this.terminals.forEach((terminalData, elementId) => {
+            try {
+                Object.keys(options).forEach(key => {
+                    terminalData.terminal.options[key] = options[key];
+                });
+                if (!settings.marks) {
+                    this.clearMarks(terminalData);
+                }
+                // The size limit is fixed when the image addon is created
+                if (terminalData.images.addon && terminalData.images.sizeLimit !== settings.imageSizeLimit) {
+                    this.setImagesEnabled(elementId, false);
+                    this.setImagesEnabled(elementId, true);
+                }
+                this.fit(elementId);
+            } catch (error) {
+                log.error('Error applying settings to terminal:', elementId, error);
+            }
+        });
+    },
+
+    // Lets the page chrome around terminals (--terminal-background) follow the theme
+    setBackgroundVariable: function (background) {
+        document.documentElement.style.setProperty('--terminal-background', background);
+    },
+
+    // Profile names and the active one
+    listProfiles: function () {
+        const state = this.loadProfiles();
+        return { active: state.active, names: Object.keys(state.profiles).sort() };
+    },
+
+    // Save the current settings under a name and make that profile active
+    saveProfile: function (name) {
+        const profileName = typeof name === 'string' ? name.trim() : '';
+        if (!profileName) {
+            throw new InteropError('invalid-argument', 'A profile name is required');
+        }
+
+        const state = this.loadProfiles();
+        state.profiles[profileName] = Object.assign({}, state.profiles[state.active]);
+        state.active = profileName;
+        this.saveProfiles();
+        return this.listProfiles();
+    },
+
+    activateProfile: function (name) {
+        const state = this.loadProfiles();
+        if (!state.profiles[name]) {
+            throw new InteropError('not-found', `Terminal profile not found: ${name}`);
+        }
+
+        state.active = name;
+        this.saveProfiles();
+        this.applyToTerminals(state.profiles[name]);
+        return this.getSettings();
+    },
+
+    // Delete a profile; the default profile cannot be deleted
+    deleteProfile: function (name) {
+        const state = this.loadProfiles();
+        if (name === this.defaultProfileName) {
+            throw new InteropError('invalid-argument', 'The default profile cannot be deleted');
+        }
+        if (!state.profiles[name]) {
+            throw new InteropError('not-found', `Terminal profile not found: ${name}`);
+        }
+
+        delete state.profiles[name];
+        if (state.active === name) {
+            state.active = this.defaultProfileName;
+            this.applyToTerminals(state.profiles[state.active]);
+        }
+        this.saveProfiles();
+        return this.listProfiles();
+    },
+
+    // Ring the bell as configured: flash the terminal or play a short tone
+    ringBell: function (elementId) {
+        const terminalData = this.terminals.get(elementId);
+        const bell = this.getSettings().bell;
+        if (!terminalData || bell === 'none') {
+            return;
+        }
+
+        if (bell === 'visual') {
+            const element = terminalData.terminal.element;
+            if (element) {
+                element.classList.add('terminal-bell-flash');
+                setTimeout(() => element.classList.remove('terminal-bell-flash'), 150);
+            }
+            return;
+        }
+
+        try {
+            const AudioContextType = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextType) {
+                return;
+            }
+            this.audioContext = this.audioContext || new AudioContextType();
+            const oscillator = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+            oscillator.frequency.value = 880;
+            gain.gain.value = 0.05;
+            oscillator.connect(gain);
+            gain.connect(this.audioContext.destination);
+            oscillator.start();
+            oscillator.stop(this.audioContext.currentTime + 0.1);
+        } catch (error) {
+            log.error('Error playing terminal bell:', error);
+        }
+    },
 
     // Initialize a new terminal instance
-    create: function (elementId, dotNetObjectRef) {
-        console.log('xtermTerminal.create called with elementId:', elementId);
+    create: function (elementId, dotNetObjectRef, sessionId) {
+        log.debug('Creating terminal:', elementId);
+
+        const element = document.getElementById(elementId);
+        if (!element) {
+            throw new InteropError('not-found', `Terminal element not found: ${elementId}`);
+        }
+
+        if (!ensureAssets(element, 'terminal', ['Terminal', 'FitAddon'])) {
+            throw new InteropError('assets-missing', 'The xterm.js scripts did not load');
+        }
+
+        const previous = this.terminals.get(elementId);
+        if (previous) {
+            log.warn('Terminal already exists, disposing previous instance:', elementId);
+            this.dispose(elementId);
+        }
+
+        // Everything created below is registered with the scope and released on dispose
+        const scope = createScope('terminal', elementId);
+
+        // Create terminal with configuration
+        const terminal = scope.track(new Terminal(this.createTerminalOptions({
+            overviewRulerWidth: this.markOptions.overviewRulerWidth
+        })));
+
+        // Create fit addon for responsive terminal
+        const fitAddon = new FitAddon.FitAddon();
+        terminal.loadAddon(fitAddon);
+
+        // Scrollback search with highlighted matches
+        const searchAddon = typeof SearchAddon !== 'undefined' ? new SearchAddon.SearchAddon() : null;
+        if (searchAddon) {
+            terminal.loadAddon(searchAddon);
+        }
+
+        // Buffer serialization for export as ANSI text or HTML
+        const serializeAddon = typeof SerializeAddon !== 'undefined' ? new SerializeAddon.SerializeAddon() : null;
+        if (serializeAddon) {
+            terminal.loadAddon(serializeAddon);
+        }
+
+        // Clickable URLs
+        if (typeof WebLinksAddon !== 'undefined') {
+            terminal.loadAddon(new WebLinksAddon.WebLinksAddon((event, uri) => {
+                window.open(uri, '_blank', 'noopener');
+            }));
+        }
+
+        // Clickable file:line references, and files named by detected file edits
+        terminal.registerLinkProvider(this.createFileLinkProvider(terminal));
+        terminal.registerLinkProvider(this.createEditLinkProvider(elementId));
+
+        // Open terminal in the DOM element
+        this.setBackgroundVariable(terminal.options.theme.background);
+        terminal.open(element);
+        fitAddon.fit();
+
+        // Handle input: forward raw data to .NET; no local echo. While disconnected,
+        // keystrokes are held and sent in order once the connection is back.
+        scope.track(terminal.onData(data => this.handleInput(elementId, data)));
+
+        // Pastes are confirmed and chunked instead of reaching onData in one piece
+        scope.addEventListener(element, 'paste', event => this.handlePaste(elementId, event), true);
+
+        scope.track(terminal.onBell(() => this.ringBell(elementId)));
+
+        // Handle terminal resize
+        scope.track(terminal.onResize(({ cols, rows }) => {
+            this.recordEvent(this.terminals.get(elementId), 'r', `${cols}x${rows}`);
+            try {
+                if (dotNetObjectRef && typeof dotNetObjectRef.invokeMethodAsync === 'function') {
+                    dotNetObjectRef.invokeMethodAsync('OnTerminalResize', cols, rows).catch(err => {
+                        log.error('Failed to forward resize to .NET:', err);
+                    });
+                }
+            } catch (error) {
+                log.error('Error sending resize to .NET:', error);
+            }
+        }));
+
+        // Store terminal and addon for later use
+        this.terminals.set(elementId, {
+            terminal: terminal,
+            fitAddon: fitAddon,
+            dotNetRef: dotNetObjectRef,
+            output: {
+                queue: [],
+                queuedBytes: 0,
+                pendingBytes: 0,
+                paused: false,
+                // Times .NET was asked to pause
+                pauses: 0,
+                frameHandle: null
+            },
+            recording: null,
+            searchAddon: searchAddon,
+            serializeAddon: serializeAddon,
+            searchResults: { resultIndex: -1, resultCount: 0 },
+            sessionId: sessionId || null,
+            lastSequence: 0,
+            pendingInput: [],
+            flushingInput: false,
+            snapshot: null,
+            persistTimer: null,
+            // Paste being confirmed or sent, and the dialog shown for it
+            paste: null,
+            pasteDialog: null,
+            resolvePasteDialog: null,
+            overlay: this.createReconnectOverlay(element),
+            // Prompt, tool call and file edit marks, oldest first
+            marks: { list: [], nextId: 1, notifyTimer: null },
+            // Inline image addon while images are shown in this terminal
+            images: { addon: null, sizeLimit: null },
+            scope: scope
+        });
+
+        const terminalData = this.terminals.get(elementId);
+        this.watchMarks(elementId, terminalData);
+        this.setImagesEnabled(elementId, true);
+        scope.onDispose(() => {
+            clearTimeout(terminalData.marks.notifyTimer);
+            clearTimeout(terminalData.persistTimer);
+            if (terminalData.output.frameHandle !== null) {
+                cancelAnimationFrame(terminalData.output.frameHandle);
+            }
+            this.closePasteDialog(terminalData, false);
+            terminalData.overlay.remove();
+        });
+
+        if (sessionId) {
+            this.addStoredSessionId(sessionId);
+        }
+        this.watchConnection();
+
+        if (searchAddon) {
+            scope.track(searchAddon.onDidChangeResults(results => {
+                terminalData.searchResults = results;
+            }));
+        }
+
+        // Fit terminal on window resize
+        const resizeHandler = () => {
+            if (this.terminals.has(elementId)) {
+                try { fitAddon.fit(); } catch {}
+            }
+        };
+        scope.addEventListener(window, 'resize', resizeHandler);
+
+        // Refit when the element itself changes size, e.g. a split pane is
+        // resized or a hidden tab becomes visible
+        scope.observeResize(element, resizeHandler);
+
+        // Focus only; content is written by backend
+        terminal.focus();
+
+        log.debug('Terminal created:', elementId);
+    },
+
+    // Write text to terminal (queued behind any pending backend output)
+    write: function (elementId, text) {
+        this.enqueueOutput(elementId, this.terminals.require(elementId), text);
+    },
+
+    // Write a batch of backend output chunks as one coalesced write. With sequence numbers,
+    // chunks already written (e.g. replayed again after a reconnect) are skipped.
+    writeBatch: function (elementId, chunks, sequences) {
+        const terminalData = this.terminals.require(elementId);
+        if (!Array.isArray(chunks) || chunks.length === 0) {
+            return;
+        }
+
+        let text = '';
+        chunks.forEach((chunk, index) => {
+            const sequence = Array.isArray(sequences) ? sequences[index] : undefined;
+            if (sequence === undefined) {
+                text += chunk;
+            } else if (sequence > terminalData.lastSequence) {
+                text += chunk;
+                terminalData.lastSequence = sequence;
+            }
+        });
+        this.enqueueOutput(elementId, terminalData, text);
+        this.schedulePersist(elementId, terminalData);
+    },
+
+    // Queue output and schedule a frame-aligned flush
+    enqueueOutput: function (elementId, terminalData, text) {
+        if (!text) {
+            return;
+        }
+
+        this.recordEvent(terminalData, 'o', text);
+
+        const output = terminalData.output;
+        output.queue.push(text);
+        output.queuedBytes += text.length;
+        this.updateFlowControl(terminalData);
+        this.scheduleFlush(elementId, terminalData);
+    },
+
+    scheduleFlush: function (elementId, terminalData) {
+        const output = terminalData.output;
+        if (output.frameHandle !== null || output.queue.length === 0) {
+            return;
+        }
+
+        output.frameHandle = requestAnimationFrame(() => {
+            output.frameHandle = null;
+            this.flushOutput(elementId, terminalData);
+        });
+    },
+
+    // Hand at most maxBytesPerFrame to xterm; the rest waits for the next frame.
+    // Nothing is written while xterm still has a high watermark of unparsed data.
+    flushOutput: function (elementId, terminalData) {
+        if (this.terminals.get(elementId) !== terminalData) {
+            return;
+        }
+
+        const output = terminalData.output;
+        if (output.pendingBytes < this.outputOptions.highWatermark) {
+            let chunk = '';
+            while (output.queue.length > 0 && chunk.length < this.outputOptions.maxBytesPerFrame) {
+                chunk += output.queue.shift();
+            }
+
+            if (chunk.length > 0) {
+                output.queuedBytes -= chunk.length;
+                output.pendingBytes += chunk.length;
+                terminalData.terminal.write(chunk, () => {
+                    output.pendingBytes -= chunk.length;
+                    this.updateFlowControl(terminalData);
+                    this.scheduleFlush(elementId, terminalData);
+                });
+            }
+        }
+
+        // When xterm is saturated, the write callback above schedules the next flush
+        if (output.pendingBytes < this.outputOptions.highWatermark) {
+            this.scheduleFlush(elementId, terminalData);
+        }
+    },
+
+    // Write everything queued to xterm immediately, bypassing frame alignment
+    drainOutput: function (terminalData) {
+        const output = terminalData.output;
+        if (output.frameHandle !== null) {
+            cancelAnimationFrame(output.frameHandle);
+            output.frameHandle = null;
+        }
+
+        if (output.queue.length > 0) {
+            const chunk = output.queue.join('');
+            output.queue = [];
+            output.queuedBytes = 0;
+            output.pendingBytes += chunk.length;
+            terminalData.terminal.write(chunk, () => {
+                output.pendingBytes -= chunk.length;
+                this.updateFlowControl(terminalData);
+            });
+        }
+    },
+
+    // Tell .NET to pause or resume sending output based on the watermarks
+    updateFlowControl: function (terminalData) {
+        const output = terminalData.output;
+        const buffered = output.queuedBytes + output.pendingBytes;
+        const dotNetRef = terminalData.dotNetRef;
+        if (!dotNetRef || typeof dotNetRef.invokeMethodAsync !== 'function') {
+            return;
+        }
+
+        if (!output.paused && buffered > this.outputOptions.highWatermark) {
+            output.paused = true;
+            output.pauses++;
+            dotNetRef.invokeMethodAsync('OnOutputPause').catch(err => {
+                log.error('Failed to send output pause to .NET:', err);
+            });
+        } else if (output.paused && buffered < this.outputOptions.lowWatermark) {
+            output.paused = false;
+            dotNetRef.invokeMethodAsync('OnOutputResume').catch(err => {
+                log.error('Failed to send output resume to .NET:', err);
+            });
+        }
+    },
+
+    // Clear terminal
+    clear: function (elementId) {
+        const terminalData = this.terminals.require(elementId);
+
+        // Clear only after output written before this call has been parsed
+        this.drainOutput(terminalData);
+        this.recordEvent(terminalData, 'o', '\x1b[H\x1b[2J\x1b[3J');
+        terminalData.terminal.write('', () => terminalData.terminal.clear());
+    },
+
+    // Resize terminal to fit container
+    fit: function (elementId) {
+        this.terminals.require(elementId).fitAddon.fit();
+    },
+
+    // Link provider turning `path/to/file.cs:42[:7]` into links to the File Explorer or Diff Viewer
+    createFileLinkProvider: function (terminal) {
+        return {
+            provideLinks: (bufferLineNumber, callback) => {
+                const line = terminal.buffer.active.getLine(bufferLineNumber - 1);
+                if (!line) {
+                    callback(undefined);
+                    return;
+                }
+
+                const text = line.translateToString(true);
+                const links = [];
+                const pattern = new RegExp(this.fileLinkPattern.source, 'g');
+                let match;
+                while ((match = pattern.exec(text)) !== null) {
+                    // Skip host:port parts of URLs, which the web links addon handles
+                    if (text.lastIndexOf('//', match.index) >= 0 && !/\s/.test(text.slice(text.lastIndexOf('//', match.index), match.index))) {
+                        continue;
+                    }
+
+                    const path = match[1];
+                    const lineNumber = parseInt(match[2], 10);
+                    const column = match[3] ? parseInt(match[3], 10) : 1;
+                    links.push({
+                        range: {
+                            start: { x: match.index + 1, y: bufferLineNumber },
+                            end: { x: match.index + match[0].length, y: bufferLineNumber }
+                        },
+                        text: match[0],
+                        decorations: { underline: true, pointerCursor: true },
+                        activate: (event) => this.openFileLink(path, lineNumber, column, event && event.shiftKey)
+                    });
+                }
+
+                callback(links.length > 0 ? links : undefined);
+            }
+        };
+    },
+
+    // Opens OSC 8 hyperlinks, showing their target while hovered since the text may say otherwise
+    createHyperlinkHandler: function () {
+        return {
+            allowNonHttpProtocols: true,
+            activate: (event, uri) => this.openHyperlink(uri),
+            hover: (event, uri) => {
+                if (event.target) {
+                    event.target.title = uri;
+                }
+            },
+            leave: event => {
+                if (event.target) {
+                    event.target.removeAttribute('title');
+                }
+            }
+        };
+    },
+
+    openHyperlink: function (uri) {
+        let url;
+        try {
+            url = new URL(uri);
+        } catch {
+            log.warn('Ignoring hyperlink with an invalid URL:', uri);
+            return;
+        }
+
+        if (url.protocol === 'file:') {
+            let path;
+            try {
+                path = decodeURIComponent(url.pathname);
+            } catch {
+                log.warn('Ignoring hyperlink with an invalid file path:', uri);
+                return;
+            }
+            this.openFileLink(path, null, null, false);
+        } else if (this.hyperlinkSchemes.includes(url.protocol)) {
+            window.open(url.href, '_blank', 'noopener');
+        } else {
+            log.warn('Ignoring hyperlink with an unsupported scheme:', uri);
+        }
+    },
+
+    // An image addon limited by the imageSizeLimit setting, or null if its script did not load
+    createImageAddon: function () {
+        if (typeof ImageAddon === 'undefined') {
+            return null;
+        }
+
+        const sizeLimit = this.getSettings().imageSizeLimit * 1024 * 1024;
+        return new ImageAddon.ImageAddon({
+            pixelLimit: this.imageOptions.pixelLimit,
+            storageLimit: this.imageOptions.storageLimit,
+            sixelSizeLimit: sizeLimit,
+            iipSizeLimit: sizeLimit,
+            showPlaceholder: true
+        });
+    },
+
+    // Show or hide inline images in one terminal. Hiding them removes the images already
+    // shown, and sixel and iTerm2 image sequences are then dropped instead of decoded.
+    // Returns whether images are shown.
+    setImagesEnabled: function (elementId, enabled) {
+        const terminalData = this.terminals.require(elementId);
+        const images = terminalData.images;
+        if (!enabled && images.addon) {
+            images.addon.dispose();
+            images.addon = null;
+        } else if (enabled && !images.addon) {
+            images.addon = this.createImageAddon();
+            if (images.addon) {
+                terminalData.terminal.loadAddon(images.addon);
+                images.sizeLimit = this.getSettings().imageSizeLimit;
+            } else {
+                log.warn('Inline images are unavailable: the image addon did not load');
+            }
+        }
+        return images.addon !== null;
+    },
+
+    // Link provider for the file named by a detected file edit, opening it in the Diff Viewer
+    createEditLinkProvider: function (elementId) {
+        return {
+            provideLinks: (bufferLineNumber, callback) => {
+                const terminalData = this.terminals.get(elementId);
+                const mark = terminalData && terminalData.marks.list.find(m =>
+                    m.path && m.marker.line === bufferLineNumber - 1);
+                const line = mark ? terminalData.terminal.buffer.active.getLine(bufferLineNumber - 1) : null;
+                const index = line ? line.translateToString(true).indexOf(mark.path) : -1;
+                if (index < 0) {
+                    callback(undefined);
+                    return;
+                }
+
+                callback([{
+                    range: {
+                        start: { x: index + 1, y: bufferLineNumber },
+                        end: { x: index + mark.path.length, y: bufferLineNumber }
+                    },
+                    text: mark.path,
+                    decorations: { underline: true, pointerCursor: true },
+                    activate: () => this.openFileLink(mark.path, null, null, true)
+                }]);
+            }
+        };
+    },
+
+    openFileLink: function (path, line, column, openInDiffViewer) {
+        const lineQuery = line ? `&line=${line}` : '';
+        const url = openInDiffViewer
+            ? `${this.linkOptions.diffViewerUrl}?file=${encodeURIComponent(path)}${lineQuery}`
+            : `${this.linkOptions.fileExplorerUrl}?path=${encodeURIComponent(path)}${lineQuery}&column=${column || 1}`;
+        window.open(url, '_blank', 'noopener');
+    },
+
+    // Mark patterns as { kind, pattern }: the saved ones, or the defaults
+    getMarkPatterns: function () {
+        if (!this.markPatterns) {
+            let stored = null;
+            try {
+                stored = JSON.parse(localStorage.getItem(this.markOptions.patternStorageKey) || 'null');
+                this.compiledMarkPatterns = stored ? this.compileMarkPatterns(stored) : null;
+            } catch (error) {
+                log.warn('Ignoring saved mark patterns:', error.message);
+                stored = null;
+            }
+            this.markPatterns = stored || this.defaultMarkPatterns;
+        }
+        return this.markPatterns.map(p => ({ kind: p.kind, pattern: p.pattern }));
+    },
+
+    // Replace the mark patterns for this browser; an invalid pattern leaves them unchanged
+    setMarkPatterns: function (patterns) {
+        const compiled = this.compileMarkPatterns(patterns);
+        this.markPatterns = patterns.map(p => ({ kind: p.kind, pattern: p.pattern }));
+        this.compiledMarkPatterns = compiled;
+        try {
+            localStorage.setItem(this.markOptions.patternStorageKey, JSON.stringify(this.markPatterns));
+        } catch (error) {
+            log.error('Error saving mark patterns:', error);
+        }
+        return this.getMarkPatterns();
+    },
+
+    resetMarkPatterns: function () {
+        try {
+            localStorage.removeItem(this.markOptions.patternStorageKey);
+        } catch {
+            // Nothing was saved
+        }
+        this.markPatterns = null;
+        this.compiledMarkPatterns = null;
+        return this.getMarkPatterns();
+    },
+
+    compileMarkPatterns: function (patterns) {
+        if (!Array.isArray(patterns)) {
+            throw new InteropError('invalid-argument', 'Mark patterns must be a list');
+        }
+
+        return patterns.map((p, index) => {
+            if (!p || !this.markKinds.includes(p.kind)) {
+                throw new InteropError('invalid-argument',
+                    `Pattern ${index + 1}: the kind must be one of ${this.markKinds.join(', ')}`);
+            }
+            if (typeof p.pattern !== 'string' || p.pattern === '') {
+                throw new InteropError('invalid-pattern', `Pattern ${index + 1} is empty`);
+            }
+            try {
+                return { kind: p.kind, regex: new RegExp(p.pattern) };
+            } catch (error) {
+                throw new InteropError('invalid-pattern', `Pattern ${index + 1}: ${error.message}`);
+            }
+        });
+    },
+
+    marksEnabled: function () {
+        const state = this.loadProfiles();
+        return state.profiles[state.active].marks;
+    },
+
+    watchMarks: function (elementId, terminalData) {
+        const terminal = terminalData.terminal;
+
+        // A starts a prompt; D;<exit code> ends the command entered at the last one
+        const handleShellIntegration = data => {
+            const [code, exitCode] = data.split(';');
+            if (code === 'A' && this.marksEnabled()) {
+                this.addMark(elementId, terminalData, 'prompt', 0);
+            } else if (code === 'D' && exitCode) {
+                const prompt = terminalData.marks.list.filter(m => m.kind === 'prompt').pop();
+                if (prompt) {
+                    prompt.exitCode = parseInt(exitCode, 10) || 0;
+                    this.renderMark(prompt);
+                    this.notifyMarksChanged(elementId, terminalData);
+                    if (prompt.exitCode) {
+                        announceMessage(`Command failed with exit code ${prompt.exitCode}`);
+                    }
+                }
+            }
+            return true;
+        };
+        terminalData.scope.track(terminal.parser.registerOscHandler(133, handleShellIntegration));
+        terminalData.scope.track(terminal.parser.registerOscHandler(633, handleShellIntegration));
+
+        terminalData.scope.track(terminal.onLineFeed(() => this.matchMarkPatterns(elementId, terminalData)));
+    },
+
+    // Match the line the cursor just left against the mark patterns
+    matchMarkPatterns: function (elementId, terminalData) {
+        const buffer = terminalData.terminal.buffer.active;
+        // Full-screen programs draw in the alternate buffer, which has no scrollback to mark
+        if (buffer.type !== 'normal' || !this.marksEnabled()) {
+            return;
+        }
+
+        if (!this.compiledMarkPatterns) {
+            this.getMarkPatterns();
+            this.compiledMarkPatterns = this.compiledMarkPatterns || this.compileMarkPatterns(this.markPatterns);
+        }
+
+        const cursorLine = buffer.baseY + buffer.cursorY;
+        let start = cursorLine - 1;
+        let line = start >= 0 ? buffer.getLine(start) : null;
+        if (!line) {
+            return;
+        }
+
+        // A wrapped line continues the one above it
+        let text = line.translateToString(true);
+        while (line.isWrapped && start > 0) {
+            start--;
+            line = buffer.getLine(start);
+            text = line.translateToString(false) + text;
+        }
+
+        for (const { kind, regex } of this.compiledMarkPatterns) {
+            const match = regex.exec(text);
+            if (match) {
+                const path = match.groups && match.groups.path ? match.groups.path.trim() : null;
+                this.addMark(elementId, terminalData, kind, start - cursorLine, path);
+                return;
+            }
+        }
+    },
+
+    addMark: function (elementId, terminalData, kind, offset, path) {
+        const terminal = terminalData.terminal;
+        const marks = terminalData.marks;
+        const marker = terminal.registerMarker(offset);
+        if (!marker) {
+            return null;
+        }
+
+        // One mark per line, e.g. a prompt reported by the shell that also matches a pattern
+        const last = marks.list[marks.list.length - 1];
+        if (last && last.marker.line === marker.line) {
+            marker.dispose();
+            return null;
+        }
+
+        const mark = { id: marks.nextId++, kind: kind, path: path || null, exitCode: null, marker: marker, element: null };
+        mark.decoration = terminal.registerDecoration({
+            marker: marker,
+            overviewRulerOptions: { color: this.markOptions.colors[kind], position: 'left' }
+        });
+        if (mark.decoration) {
+            mark.decoration.onRender(element => {
+                mark.element = element;
+                this.renderMark(mark);
+            });
+        }
+
+        // Markers go when their line leaves the scrollback or the terminal is cleared
+        marker.onDispose(() => {
+            const index = marks.list.indexOf(mark);
+            if (index >= 0) {
+                marks.list.splice(index, 1);
+            }
+            if (mark.decoration) {
+                mark.decoration.dispose();
+            }
+            this.notifyMarksChanged(elementId, terminalData);
+        });
+
+        marks.list.push(mark);
+        if (marks.list.length > this.markOptions.maxMarks) {
+            marks.list[0].marker.dispose();
+        }
+        this.notifyMarksChanged(elementId, terminalData);
+        return mark;
+    },
+
+    renderMark: function (mark) {
+        const element = mark.element;
+        if (!element) {
+            return;
+        }
+
+        element.classList.add('terminal-mark', `terminal-mark-${mark.kind}`);
+        element.classList.toggle('terminal-mark-error', Boolean(mark.exitCode));
+        element.title = mark.kind === 'edit' && mark.path
+            ? `File edit: ${mark.path} (click to open in the Diff Viewer)`
+            : mark.kind === 'prompt'
+                ? (mark.exitCode ? `Prompt (exit code ${mark.exitCode})` : 'Prompt')
+                : 'Tool call';
+
+        if (mark.path && !element.dataset.markBound) {
+            element.dataset.markBound = 'true';
+            element.addEventListener('click', () => this.openFileLink(mark.path, null, null, true));
+        }
+    },
+
+    clearMarks: function (terminalData) {
+        terminalData.marks.list.slice().forEach(mark => mark.marker.dispose());
+    },
+
+    // Let the page know the marks changed, at most once per notifyDelay
+    notifyMarksChanged: function (elementId, terminalData) {
+        if (terminalData.marks.notifyTimer !== null) {
+            return;
+        }
+
+        terminalData.marks.notifyTimer = setTimeout(() => {
+            terminalData.marks.notifyTimer = null;
+            const dotNetRef = terminalData.dotNetRef;
+            if (this.terminals.get(elementId) === terminalData && dotNetRef) {
+                dotNetRef.invokeMethodAsync('OnMarksChanged').catch(err => {
+                    log.error('Failed to report terminal marks to .NET:', err);
+                });
+            }
+        }, this.markOptions.notifyDelay);
+    },
+
+    // Marks still in the scrollback, oldest first, with the text of their line
+    getMarks: function (elementId) {
+        const terminalData = this.terminals.require(elementId);
+        const buffer = terminalData.terminal.buffer.normal;
+        return terminalData.marks.list
+            .filter(mark => mark.marker.line >= 0)
+            .map(mark => {
+                const line = buffer.getLine(mark.marker.line);
+                return {
+                    id: mark.id,
+                    kind: mark.kind,
+                    line: mark.marker.line,
+                    text: line ? line.translateToString(true).trim() : '',
+                    path: mark.path,
+                    exitCode: mark.exitCode
+                };
+            });
+    },
+
+    // Scroll to the previous or next mark of the given kinds, counted from the top of the
+    // viewport. Returns the line scrolled to, or -1 when there is none in that direction.
+    goToMark: function (elementId, direction, kinds) {
+        const terminalData = this.terminals.require(elementId);
+        const terminal = terminalData.terminal;
+        const top = terminal.buffer.active.viewportY;
+        const candidates = terminalData.marks.list.filter(mark =>
+            mark.marker.line >= 0 && (!kinds || kinds.includes(mark.kind)));
+
+        const target = direction > 0
+            ? candidates.find(mark => mark.marker.line > top)
+            : candidates.slice().reverse().find(mark => mark.marker.line < top);
+        if (!target) {
+            announceMessage(`No ${direction > 0 ? 'next' : 'previous'} mark`);
+            return -1;
+        }
+
+        terminal.scrollToLine(target.marker.line);
+        this.announceMark(terminalData, target);
+        return target.marker.line;
+    },
+
+    // Scrolling moves no cursor a screen reader follows, so the line of the mark is read out
+    announceMark: function (terminalData, mark) {
+        const line = terminalData.terminal.buffer.normal.getLine(mark.marker.line);
+        const text = line ? line.translateToString(true).trim() : '';
+        const label = mark.kind === 'prompt' ? 'Prompt' : mark.kind === 'edit' ? 'File edit' : 'Tool call';
+        announceMessage(text ? `${label}: ${text}` : label);
+    },
+
+    scrollToMark: function (elementId, id) {
+        const terminalData = this.terminals.require(elementId);
+        const mark = terminalData.marks.list.find(m => m.id === id && m.marker.line >= 0);
+        if (!mark) {
+            throw new InteropError('not-found', `Terminal mark not found: ${id}`);
+        }
+        terminalData.terminal.scrollToLine(mark.marker.line);
+        return mark.marker.line;
+    },
+
+    // Let the user pick one of the files edited in a terminal and open it in the Diff Viewer
+    pickEditedFile: function (elementId) {
+        const edits = this.terminals.require(elementId).marks.list.filter(mark => mark.path);
+        const paths = Array.from(new Set(edits.map(mark => mark.path).reverse()));
+        return quickPick('Open an edited file in the Diff Viewer', paths).then(path => {
+            if (path) {
+                this.openFileLink(path, null, null, true);
+            }
+            return path;
+        });
+    },
+
+    // Search the scrollback; options: { regex, caseSensitive, wholeWord, incremental }
+    findNext: function (elementId, term, options) {
+        return this.find(elementId, term, options, false);
+    },
+
+    findPrevious: function (elementId, term, options) {
+        return this.find(elementId, term, options, true);
+    },
+
+    find: function (elementId, term, options, backwards) {
+        const terminalData = this.terminals.require(elementId);
+        if (!terminalData.searchAddon) {
+            throw new InteropError('unavailable', `Search is not available for terminal: ${elementId}`);
+        }
+
+        if (!term) {
+            terminalData.searchAddon.clearDecorations();
+            return { found: false, resultIndex: -1, resultCount: 0 };
+        }
+
+        const searchOptions = {
+            regex: !!(options && options.regex),
+            caseSensitive: !!(options && options.caseSensitive),
+            wholeWord: !!(options && options.wholeWord),
+            incremental: !!(options && options.incremental),
+            decorations: this.searchDecorations
+        };
 
+        let found;
         try {
-            const element = document.getElementById(elementId);
-            if (!element) {
-                console.error('Terminal element not found:', elementId);
-                console.log('Available elements with terminal in ID:',
-                    Array.from(document.querySelectorAll('[id*="terminal"]')).map(e => e.id));
-                return false;
-            }
-            console.log('Found terminal element:', element.id);
-
-            // Create terminal with configuration
-            const terminal = new Terminal({
-                cursorBlink: true,
-                fontSize: 14,
-                fontFamily: 'Consolas, "Courier New", monospace',
-                theme: {
-                    background: '#1e1e1e',
-                    foreground: '#ffffff',
-                    cursor: '#ffffff',
-                    selection: '#3d3d3d'
-                },
-                allowTransparency: true,
-                convertEol: true
-            });
+            found = backwards
+                ? terminalData.searchAddon.findPrevious(term, searchOptions)
+                : terminalData.searchAddon.findNext(term, searchOptions);
+        } catch (error) {
+            // Invalid regular expressions end up here
+            throw new InteropError('invalid-pattern', error.message);
+        }
 
-            // Create fit addon for responsive terminal
-            const fitAddon = new FitAddon.FitAddon();
-            terminal.loadAddon(fitAddon);
-
-            // Open terminal in the DOM element
-            terminal.open(element);
-            fitAddon.fit();
-
-            // Handle input: forward raw data to .NET; no local echo or buffering
-            terminal.onData(data => {
-                try {
-                    if (dotNetObjectRef && typeof dotNetObjectRef.invokeMethodAsync === 'function') {
-                        dotNetObjectRef.invokeMethodAsync('OnTerminalInput', data).catch(err => {
-                            console.error('Failed to forward input to .NET:', err);
-                        });
-                    }
-                } catch (error) {
-                    console.error('Error forwarding terminal input:', error);
-                }
+        return {
+            found: found,
+            resultIndex: found ? terminalData.searchResults.resultIndex : -1,
+            resultCount: found ? terminalData.searchResults.resultCount : 0
+        };
+    },
+
+    clearSearch: function (elementId) {
+        const terminalData = this.terminals.require(elementId);
+        if (terminalData.searchAddon) {
+            terminalData.searchAddon.clearDecorations();
+            terminalData.terminal.clearSelection();
+        }
+    },
+
+    // Serialize the whole scrollback; format is 'text', 'ansi' or 'html'
+    serialize: function (elementId, format) {
+        const terminalData = this.terminals.require(elementId);
+
+        if (format === 'html' || format === 'ansi') {
+            if (!terminalData.serializeAddon) {
+                throw new InteropError('unavailable', `Serialization is not available for terminal: ${elementId}`);
+            }
+            return format === 'html'
+                ? terminalData.serializeAddon.serializeAsHTML({ includeGlobalBackground: true })
+                : terminalData.serializeAddon.serialize();
+        }
+
+        const buffer = terminalData.terminal.buffer.active;
+        const lines = [];
+        for (let i = 0; i < buffer.length; i++) {
+            const line = buffer.getLine(i);
+            const text = line ? line.translateToString(true) : '';
+            // Soft-wrapped rows continue the previous line
+            if (line && line.isWrapped && lines.length > 0) {
+                lines[lines.length - 1] += text;
+            } else {
+                lines.push(text);
+            }
+        }
+        while (lines.length > 0 && lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        return lines.join('\n') + '\n';
+    },
+
+    // Save the scrollback through the browser as a .txt or .html file
+    downloadScrollback: function (elementId, format, fileName) {
+        const content = this.serialize(elementId, format);
+        const isHtml = format === 'html';
+        const defaultName = `terminal-${new Date().toISOString().replace(/[:.]/g, '-')}.${isHtml ? 'html' : 'txt'}`;
+        this.downloadText(content, fileName || defaultName, isHtml ? 'text/html' : 'text/plain');
+    },
+
+    // Copy the scrollback to the clipboard
+    copyScrollback: async function (elementId, format) {
+        await navigator.clipboard.writeText(this.serialize(elementId, format || 'text'));
+    },
+
+    downloadText: function (content, fileName, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    },
+
+    // Start recording output, input and resize events in asciicast v2 form
+    startRecording: function (elementId, title) {
+        const terminalData = this.terminals.require(elementId);
+        const header = {
+            version: 2,
+            width: terminalData.terminal.cols,
+            height: terminalData.terminal.rows,
+            timestamp: Math.floor(Date.now() / 1000),
+            env: { TERM: 'xterm-256color' }
+        };
+        if (title) {
+            header.title = title;
+        }
+
+        terminalData.recording = {
+            header: header,
+            startTime: performance.now(),
+            events: [],
+            active: true
+        };
+    },
+
+    // Stop recording; the recording stays available for export until the next start
+    stopRecording: function (elementId) {
+        const terminalData = this.terminals.require(elementId);
+        if (!terminalData.recording) {
+            return null;
+        }
+
+        const recording = terminalData.recording;
+        recording.active = false;
+        const lastEvent = recording.events[recording.events.length - 1];
+        return {
+            eventCount: recording.events.length,
+            duration: lastEvent ? lastEvent[0] : 0
+        };
+    },
+
+    isRecording: function (elementId) {
+        const terminalData = this.terminals.get(elementId);
+        return !!(terminalData && terminalData.recording && terminalData.recording.active);
+    },
+
+    recordEvent: function (terminalData, code, data) {
+        const recording = terminalData && terminalData.recording;
+        if (!recording || !recording.active) {
+            return;
+        }
+
+        const time = (performance.now() - recording.startTime) / 1000;
+        recording.events.push([Number(time.toFixed(6)), code, data]);
+    },
+
+    // Export the recording as asciicast v2: a JSON header line followed by one JSON event per line
+    exportRecording: function (elementId) {
+        const recording = this.terminals.require(elementId).recording;
+        if (!recording) {
+            throw new InteropError('not-found', `No recording found for terminal: ${elementId}`);
+        }
+
+        const lines = [JSON.stringify(recording.header)];
+        recording.events.forEach(event => lines.push(JSON.stringify(event)));
+        return lines.join('\n') + '\n';
+    },
+
+    // Export the recording and save it through the browser as a .cast file
+    downloadRecording: function (elementId, fileName) {
+        const cast = this.exportRecording(elementId);
+        const defaultName = `terminal-${new Date().toISOString().replace(/[:.]/g, '-')}.cast`;
+        this.downloadText(cast, fileName || defaultName, 'application/x-asciicast');
+    },
+
+    // Resize every terminal to fit its container, e.g. after a workspace layout change
+    fitAll: function () {
+        let fitted = 0;
+        this.terminals.forEach((terminalData, elementId) => {
+            try {
+                terminalData.fitAddon.fit();
+                fitted++;
+            } catch (error) {
+                log.error('Error fitting terminal:', elementId, error);
+            }
+        });
+        return fitted;
+    },
+
+    focus: function (elementId) {
+        this.terminals.require(elementId).terminal.focus();
+    },
+
+    // Dispose terminal; disposing one that is already gone does nothing. The .NET reference
+    // is left to the pane that created it, which disposes it along with itself.
+    dispose: function (elementId) {
+        const terminalData = this.terminals.get(elementId);
+        if (!terminalData) {
+            return false;
+        }
+
+        // Keep the latest screen so the session can be restored when the page is opened again
+        this.persistSession(terminalData).catch(() => {});
+        this.terminals.delete(elementId);
+        disposeScope('terminal', elementId);
+        log.debug('Terminal disposed:', elementId);
+        return true;
+    },
+
+    // Input typed into a terminal, or sent by a command
+    handleInput: function (elementId, data) {
+        const terminalData = this.terminals.get(elementId);
+        if (!terminalData) {
+            return;
+        }
+
+        this.recordEvent(terminalData, 'i', data);
+        if (!this.connection.connected || terminalData.flushingInput) {
+            terminalData.pendingInput.push(data);
+            this.updateReconnectOverlay(terminalData);
+            this.schedulePersist(elementId, terminalData);
+            return;
+        }
+        this.sendInput(terminalData.dotNetRef, data).catch(() => {});
+    },
+
+    // Commands of the focused terminal, shown in the command palette
+    registerCommands: function () {
+        registerCommand(
+            { id: 'terminal.find', title: 'Find', category: 'Terminal', keybinding: 'Ctrl+Shift+F', when: 'terminal' },
+            target => this.requestPaneAction(target.id, 'OnSearchRequested'));
+        registerCommand(
+            { id: 'terminal.sendInterrupt', title: 'Send Ctrl+C', category: 'Terminal', when: 'terminal' },
+            target => this.handleInput(target.id, '\x03'));
+        registerCommand(
+            { id: 'terminal.previousPrompt', title: 'Go to Previous Prompt', category: 'Terminal', keybinding: 'Ctrl+Up', when: 'terminal' },
+            target => this.goToMark(target.id, -1, ['prompt']));
+        registerCommand(
+            { id: 'terminal.nextPrompt', title: 'Go to Next Prompt', category: 'Terminal', keybinding: 'Ctrl+Down', when: 'terminal' },
+            target => this.goToMark(target.id, 1, ['prompt']));
+        registerCommand(
+            { id: 'terminal.previousToolCall', title: 'Go to Previous Tool Call', category: 'Terminal', keybinding: 'Ctrl+Shift+Up', when: 'terminal' },
+            target => this.goToMark(target.id, -1, ['tool', 'edit']));
+        registerCommand(
+            { id: 'terminal.nextToolCall', title: 'Go to Next Tool Call', category: 'Terminal', keybinding: 'Ctrl+Shift+Down', when: 'terminal' },
+            target => this.goToMark(target.id, 1, ['tool', 'edit']));
+        registerCommand(
+            { id: 'terminal.openEditedFile', title: 'Open Edited File in Diff Viewer', category: 'Terminal', when: 'terminal' },
+            target => { this.pickEditedFile(target.id); });
+        registerCommand(
+            { id: 'terminal.toggleImages', title: 'Toggle Inline Images', category: 'Terminal', when: 'terminal' },
+            target => this.requestPaneAction(target.id, 'OnImagesToggleRequested'));
+        registerCommand(
+            { id: 'terminal.toggleOutline', title: 'Toggle Outline', category: 'Terminal', when: 'terminal' },
+            target => this.requestPaneAction(target.id, 'OnOutlineRequested'));
+    },
+
+    // Ask the pane of a terminal to open its search bar or outline, or toggle its images
+    requestPaneAction: function (elementId, method) {
+        const dotNetRef = this.terminals.require(elementId).dotNetRef;
+        if (dotNetRef && typeof dotNetRef.invokeMethodAsync === 'function') {
+            return dotNetRef.invokeMethodAsync(method);
+        }
+    },
+
+    sendInput: function (dotNetRef, data) {
+        if (dotNetRef && typeof dotNetRef.invokeMethodAsync === 'function') {
+            return dotNetRef.invokeMethodAsync('OnTerminalInput', data).catch(err => {
+                log.error('Failed to forward input to .NET:', err);
             });
+        }
+        return Promise.resolve();
+    },
 
-            // Handle terminal resize
-            terminal.onResize(({ cols, rows }) => {
-                try {
-                    if (dotNetObjectRef && typeof dotNetObjectRef.invokeMethodAsync === 'function') {
-                        dotNetObjectRef.invokeMethodAsync('OnTerminalResize', cols, rows).catch(err => {
-                            console.error('Failed to forward resize to .NET:', err);
-                        });
-                    }
-                } catch (error) {
-                    console.error('Error sending resize to .NET:', error);
-                }
+    // Intercept a paste before xterm turns it into a single onData call. Pastes with line
+    // breaks, or longer than confirmLength, are only sent once the user confirms them.
+    handlePaste: function (elementId, event) {
+        const terminalData = this.terminals.get(elementId);
+        if (!terminalData) {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        const text = event.clipboardData ? event.clipboardData.getData('text/plain') : '';
+        if (!text || terminalData.paste || terminalData.terminal.options.disableStdin) {
+            return;
+        }
+
+        if (!this.connection.connected) {
+            this.showPasteDialog(terminalData, {
+                title: 'Cannot paste while the connection is lost',
+                buttons: [{ label: 'OK', value: false }]
             });
+            return;
+        }
+
+        if (!/[\r\n]/.test(text) && text.length <= this.pasteOptions.confirmLength) {
+            this.sendPaste(elementId, text);
+            return;
+        }
+
+        const lines = text.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n');
+        const preview = lines.slice(0, this.pasteOptions.previewLines).join('\n') +
+            (lines.length > this.pasteOptions.previewLines ? '\n…' : '');
+        const bracketed = terminalData.terminal.modes.bracketedPasteMode;
+
+        terminalData.paste = { cancelled: false };
+        this.showPasteDialog(terminalData, {
+            title: `Paste ${lines.length} line${lines.length === 1 ? '' : 's'} (${text.length} characters)?`,
+            preview: preview,
+            note: bracketed
+                ? 'The running application receives this as one paste.'
+                : 'Each line is sent as if typed, so commands run as soon as their line is sent.',
+            buttons: [{ label: 'Paste', value: true }, { label: 'Cancel', value: false }]
+        }).then(confirmed => {
+            terminalData.paste = null;
+            if (confirmed && this.terminals.get(elementId) === terminalData) {
+                this.sendPaste(elementId, text);
+            }
+        });
+    },
+
+    // Send pasted text in chunks of chunkSize characters. Each chunk is acknowledged by
+    // .NET before the next is sent, so chunks arrive in order and can be cancelled.
+    sendPaste: async function (elementId, text) {
+        const terminalData = this.terminals.get(elementId);
+        if (!terminalData || !terminalData.dotNetRef || terminalData.paste) {
+            return false;
+        }
+
+        let data = text.replace(/\r?\n/g, '\r');
+        const bracketed = terminalData.terminal.modes.bracketedPasteMode;
+        if (bracketed) {
+            // A pasted end marker would end the paste early and run the rest as typed input
+            data = '\x1b[200~' + data.replace(/\x1b\[20[01]~/g, '') + '\x1b[201~';
+        }
+        this.recordEvent(terminalData, 'i', data);
 
-            // Store terminal and addon for later use
-            this.terminals.set(elementId, {
-                terminal: terminal,
-                fitAddon: fitAddon,
-                dotNetRef: dotNetObjectRef
+        const chunks = this.splitPaste(data, this.pasteOptions.chunkSize);
+        const paste = { cancelled: false };
+        terminalData.paste = paste;
+
+        let progress = null;
+        if (chunks.length > 1) {
+            progress = this.showPasteDialog(terminalData, {
+                title: `Pasting 1 of ${chunks.length} chunks…`,
+                buttons: [{ label: 'Cancel', value: false }]
             });
+            progress.then(() => { paste.cancelled = true; });
+        }
 
-            // Fit terminal on window resize
-            const resizeHandler = () => {
-                if (this.terminals.has(elementId)) {
-                    try { fitAddon.fit(); } catch {}
+        let sent = 0;
+        try {
+            for (; sent < chunks.length && !paste.cancelled; sent++) {
+                if (terminalData.pasteDialog && progress) {
+                    terminalData.pasteDialog.querySelector('.terminal-paste-title').textContent =
+                        `Pasting ${sent + 1} of ${chunks.length} chunks…`;
                 }
-            };
-            window.addEventListener('resize', resizeHandler);
 
-            // Focus only; content is written by backend
-            terminal.focus();
+                const accepted = await terminalData.dotNetRef.invokeMethodAsync('OnTerminalPaste', chunks[sent], sent, chunks.length);
+                if (!accepted) {
+                    break;
+                }
+            }
 
-            console.log('Terminal created successfully:', elementId);
-            return true;
+            // Close a bracketed paste that was cut short, so the application leaves paste mode
+            if (bracketed && sent > 0 && sent < chunks.length && terminalData.dotNetRef) {
+                await terminalData.dotNetRef.invokeMethodAsync('OnTerminalPaste', '\x1b[201~', sent, sent + 1);
+            }
         } catch (error) {
-            console.error('Error creating terminal:', error);
-            return false;
+            log.error('Failed to forward paste to .NET:', error);
+        } finally {
+            terminalData.paste = null;
+            if (progress) {
+                this.closePasteDialog(terminalData, false);
+            }
         }
+
+        return sent === chunks.length;
     },
 
-    // Write text to terminal
-    write: function (elementId, text) {
-        try {
-            const terminalData = this.terminals.get(elementId);
-            if (terminalData && terminalData.terminal) {
-                terminalData.terminal.write(text);
-                return true;
+    // Split text into chunks of at most size characters without splitting surrogate pairs
+    splitPaste: function (text, size) {
+        const chunks = [];
+        let start = 0;
+        while (start < text.length) {
+            let end = Math.min(start + size, text.length);
+            const last = text.charCodeAt(end - 1);
+            if (end < text.length && last >= 0xd800 && last <= 0xdbff && end - 1 > start) {
+                end--;
             }
-            console.warn('Terminal not found for writing:', elementId);
-            return false;
-        } catch (error) {
-            console.error('Error writing to terminal:', error);
-            return false;
+            chunks.push(text.substring(start, end));
+            start = end;
         }
+        return chunks;
     },
 
-    // Clear terminal
-    clear: function (elementId) {
-        try {
-            const terminalData = this.terminals.get(elementId);
-            if (terminalData && terminalData.terminal) {
-                terminalData.terminal.clear();
-                return true;
+    // Show a dialog over the terminal; resolves with the value of the button chosen, or
+    // false when it is dismissed with Escape or replaced
+    showPasteDialog: function (terminalData, content) {
+        this.closePasteDialog(terminalData, false);
+
+        const dialog = document.createElement('div');
+        dialog.className = 'terminal-paste-dialog';
+        dialog.setAttribute('role', 'alertdialog');
+        dialog.setAttribute('aria-modal', 'true');
+
+        const title = document.createElement('div');
+        title.className = 'terminal-paste-title';
+        title.id = `paste-title-${Date.now()}`;
+        title.textContent = content.title;
+        dialog.setAttribute('aria-labelledby', title.id);
+        dialog.appendChild(title);
+
+        if (content.preview) {
+            const preview = document.createElement('pre');
+            preview.className = 'terminal-paste-preview';
+            preview.textContent = content.preview;
+            dialog.appendChild(preview);
+        }
+
+        if (content.note) {
+            const note = document.createElement('div');
+            note.className = 'terminal-paste-note';
+            note.textContent = content.note;
+            dialog.appendChild(note);
+        }
+
+        const promise = new Promise(resolve => { terminalData.resolvePasteDialog = resolve; });
+        const buttons = document.createElement('div');
+        buttons.className = 'terminal-paste-buttons';
+        content.buttons.forEach(button => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.textContent = button.label;
+            element.addEventListener('click', () => this.closePasteDialog(terminalData, button.value));
+            buttons.appendChild(element);
+        });
+        dialog.appendChild(buttons);
+
+        dialog.addEventListener('keydown', e => {
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closePasteDialog(terminalData, false);
             }
-            console.warn('Terminal not found for clearing:', elementId);
-            return false;
-        } catch (error) {
-            console.error('Error clearing terminal:', error);
-            return false;
+        });
+
+        terminalData.overlay.parentElement.appendChild(dialog);
+        terminalData.pasteDialog = dialog;
+        buttons.firstChild.focus();
+        return promise;
+    },
+
+    closePasteDialog: function (terminalData, value) {
+        const dialog = terminalData.pasteDialog;
+        const resolve = terminalData.resolvePasteDialog;
+        if (!dialog) {
+            return;
+        }
+
+        terminalData.pasteDialog = null;
+        terminalData.resolvePasteDialog = null;
+        const hadFocus = dialog.contains(document.activeElement);
+        dialog.remove();
+        resolve(value);
+        if (hadFocus) {
+            terminalData.terminal.focus();
         }
     },
 
-    // Resize terminal to fit container
-    fit: function (elementId) {
-        try {
-            const terminalData = this.terminals.get(elementId);
-            if (terminalData && terminalData.fitAddon) {
-                terminalData.fitAddon.fit();
-                return true;
+    // Send keystrokes held while disconnected, one at a time and in order.
+    // Keys typed meanwhile are queued behind them.
+    flushPendingInput: function (elementId) {
+        const terminalData = this.terminals.get(elementId);
+        if (!terminalData || terminalData.flushingInput || terminalData.pendingInput.length === 0) {
+            return 0;
+        }
+
+        const count = terminalData.pendingInput.length;
+        terminalData.flushingInput = true;
+        const sendNext = () => {
+            if (this.terminals.get(elementId) !== terminalData || !this.connection.connected) {
+                terminalData.flushingInput = false;
+                return;
             }
-            console.warn('Terminal not found for fitting:', elementId);
-            return false;
+
+            const data = terminalData.pendingInput.shift();
+            if (data === undefined) {
+                terminalData.flushingInput = false;
+                this.updateReconnectOverlay(terminalData);
+                this.schedulePersist(elementId, terminalData);
+                return;
+            }
+            this.sendInput(terminalData.dotNetRef, data).then(sendNext);
+        };
+        sendNext();
+        return count;
+    },
+
+    // Secret identifying this browser as the owner of its terminal sessions. It is never
+    // rendered into the page, unlike the session ids.
+    getSessionOwnerKey: function () {
+        if (this.ownerKey) {
+            return this.ownerKey;
+        }
+
+        try {
+            this.ownerKey = localStorage.getItem(this.persistOptions.ownerKeyStorageKey);
         } catch (error) {
-            console.error('Error fitting terminal:', error);
-            return false;
+            log.warn('Error reading the terminal owner key:', error);
+        }
+
+        if (!this.ownerKey) {
+            const bytes = crypto.getRandomValues(new Uint8Array(32));
+            this.ownerKey = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+            try {
+                localStorage.setItem(this.persistOptions.ownerKeyStorageKey, this.ownerKey);
+            } catch (error) {
+                // Sessions of this page can still be used, but not restored after a reload
+                log.warn('Error saving the terminal owner key:', error);
+            }
         }
+        return this.ownerKey;
     },
 
-    // Focus terminal
-    focus: function (elementId) {
+    // Session ids of the terminals open in this browser tab, in the order they were opened
+    getStoredSessionIds: function () {
         try {
-            const terminalData = this.terminals.get(elementId);
-            if (terminalData && terminalData.terminal) {
-                terminalData.terminal.focus();
-                return true;
-            }
-            console.warn('Terminal not found for focusing:', elementId);
-            return false;
+            const stored = JSON.parse(sessionStorage.getItem(this.persistOptions.sessionListKey) || '[]');
+            return Array.isArray(stored) ? stored : [];
         } catch (error) {
-            console.error('Error focusing terminal:', error);
-            return false;
+            log.error('Error reading stored terminal sessions:', error);
+            return [];
         }
     },
 
-    // Dispose terminal
-    dispose: function (elementId) {
-        try {
-            const terminalData = this.terminals.get(elementId);
-            if (terminalData) {
-                if (terminalData.terminal) {
-                    terminalData.terminal.dispose();
-                }
-                if (terminalData.dotNetRef) {
-                    try { terminalData.dotNetRef.dispose(); } catch {}
-                }
-                this.terminals.delete(elementId);
-                console.log('Terminal disposed:', elementId);
-                return true;
+    addStoredSessionId: function (sessionId) {
+        const sessionIds = this.getStoredSessionIds();
+        if (!sessionIds.includes(sessionId)) {
+            sessionIds.push(sessionId);
+            sessionStorage.setItem(this.persistOptions.sessionListKey, JSON.stringify(sessionIds));
+        }
+    },
+
+    // Drop a closed session's id and saved screen so it is not restored again
+    forgetSession: async function (sessionId) {
+        const sessionIds = this.getStoredSessionIds().filter(id => id !== sessionId);
+        sessionStorage.setItem(this.persistOptions.sessionListKey, JSON.stringify(sessionIds));
+        await this.runStore('readwrite', store => store.delete(sessionId));
+    },
+
+    // Write the saved screen back into the terminal. The backend can resume without a
+    // gap from sequence numbers between earliestSequence and latestSequence; the result
+    // tells .NET where to resume. A brand new backend session (latestSequence 0) still
+    // gets the old screen, marked stale, so a server restart does not wipe it.
+    restoreSession: async function (elementId, earliestSequence, latestSequence) {
+        const terminalData = this.terminals.require(elementId);
+        if (!terminalData.sessionId) {
+            return null;
+        }
+
+        const record = await this.runStore('readonly', store => store.get(terminalData.sessionId));
+        if (!record || this.terminals.get(elementId) !== terminalData) {
+            return null;
+        }
+
+        const resumable = record.sequence >= earliestSequence && record.sequence <= latestSequence;
+        if (!resumable && latestSequence !== 0) {
+            return null;
+        }
+
+        this.enqueueOutput(elementId, terminalData, record.content);
+        if (!resumable) {
+            // Keystrokes meant for the old process must not reach a new one
+            return { sequence: 0, stale: true };
+        }
+
+        terminalData.lastSequence = record.sequence;
+        terminalData.snapshot = { content: record.content, sequence: record.sequence };
+        terminalData.pendingInput = (record.pendingInput || []).concat(terminalData.pendingInput);
+        return { sequence: record.sequence, stale: false };
+    },
+
+    schedulePersist: function (elementId, terminalData) {
+        if (!terminalData.sessionId || terminalData.persistTimer !== null) {
+            return;
+        }
+
+        terminalData.persistTimer = setTimeout(() => {
+            terminalData.persistTimer = null;
+            if (this.terminals.get(elementId) === terminalData) {
+                this.persistSession(terminalData).catch(() => {});
             }
-            console.warn('Terminal not found for disposal:', elementId);
+        }, this.persistOptions.saveDelay);
+    },
+
+    // Save the screen with the sequence number it reflects. The screen is only captured
+    // once xterm has parsed all received output; otherwise the previous capture is kept
+    // and only the held keystrokes are updated.
+    persistSession: async function (terminalData) {
+        if (!terminalData.sessionId || !terminalData.serializeAddon ||
+            !this.getStoredSessionIds().includes(terminalData.sessionId)) {
+            return false;
+        }
+
+        const output = terminalData.output;
+        if (output.queue.length === 0 && output.pendingBytes === 0) {
+            terminalData.snapshot = {
+                content: terminalData.serializeAddon.serialize({ scrollback: this.persistOptions.scrollback }),
+                sequence: terminalData.lastSequence
+            };
+        }
+
+        if (!terminalData.snapshot) {
             return false;
+        }
+
+        try {
+            await this.runStore('readwrite', store => store.put({
+                id: terminalData.sessionId,
+                content: terminalData.snapshot.content,
+                sequence: terminalData.snapshot.sequence,
+                pendingInput: terminalData.pendingInput.slice(),
+                savedAt: Date.now()
+            }));
+            return true;
         } catch (error) {
-            console.error('Error disposing terminal:', error);
+            log.error('Error saving terminal session:', error);
             return false;
         }
     },
 
-    // Get terminal size
-    getSize: function (elementId) {
-        try {
-            const terminalData = this.terminals.get(elementId);
-            if (terminalData && terminalData.terminal) {
-                return {
-                    cols: terminalData.terminal.cols,
-                    rows: terminalData.terminal.rows
+    persistAll: function () {
+        const saves = [];
+        this.terminals.forEach(terminalData => saves.push(this.persistSession(terminalData).catch(() => false)));
+        return Promise.all(saves);
+    },
+
+    openDatabase: function () {
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.persistOptions.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.persistOptions.storeName, { keyPath: 'id' });
                 };
-            }
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            this.databasePromise.then(() => this.pruneSnapshots()).catch(error => {
+                log.error('Error opening terminal session store:', error);
+            });
+        }
+        return this.databasePromise;
+    },
+
+    // Run one request against the session store and resolve with its result once committed
+    runStore: async function (mode, action) {
+        const database = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.persistOptions.storeName, mode);
+            const request = action(transaction.objectStore(this.persistOptions.storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    // Remove screens of sessions in tabs that were closed without closing their terminals
+    pruneSnapshots: function () {
+        const cutoff = Date.now() - this.persistOptions.maxAge;
+        return this.runStore('readwrite', store => {
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    if (!(cursor.value.savedAt >= cutoff)) {
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                }
+            };
             return null;
-        } catch (error) {
-            console.error('Error getting terminal size:', error);
+        }).catch(error => log.error('Error pruning terminal sessions:', error));
+    },
+
+    // Follow Blazor's reconnection UI: show the overlay and hold keystrokes while
+    // disconnected, resync output once reconnected, and reload if the server has
+    // dropped the circuit so the terminals are restored from the saved state.
+    watchConnection: function () {
+        if (this.connection.observer) {
+            return;
+        }
+
+        const modal = document.getElementById('components-reconnect-modal');
+        if (!modal) {
+            log.warn('Reconnect element not found; terminal reconnect handling is disabled');
+            return;
+        }
+
+        this.connection.observer = new MutationObserver(() => this.updateConnectionState(modal));
+        this.connection.observer.observe(modal, { attributes: true, attributeFilter: ['class'] });
+        window.addEventListener('pagehide', () => this.persistAll());
+    },
+
+    updateConnectionState: function (modal) {
+        const classes = modal.classList;
+        if (classes.contains('components-reconnect-rejected')) {
+            this.persistAll().finally(() => location.reload());
+            return;
+        }
+
+        const connected = !classes.contains('components-reconnect-show') &&
+            !classes.contains('components-reconnect-retrying') &&
+            !classes.contains('components-reconnect-failed');
+        if (connected === this.connection.connected) {
+            return;
+        }
+
+        this.connection.connected = connected;
+        if (!connected) {
+            this.persistAll();
+        }
+
+        this.terminals.forEach((terminalData, elementId) => {
+            this.updateReconnectOverlay(terminalData);
+            if (connected) {
+                this.resync(elementId, terminalData);
+            }
+        });
+    },
+
+    // Ask .NET to resend output after the last sequence received, then send held keystrokes
+    resync: function (elementId, terminalData) {
+        const dotNetRef = terminalData.dotNetRef;
+        if (!dotNetRef || typeof dotNetRef.invokeMethodAsync !== 'function') {
+            return;
+        }
+
+        dotNetRef.invokeMethodAsync('OnConnectionRestored', terminalData.lastSequence)
+            .then(() => this.flushPendingInput(elementId))
+            .catch(err => {
+                log.error('Failed to resync terminal with .NET:', err);
+            });
+    },
+
+    createReconnectOverlay: function (element) {
+        const overlay = document.createElement('div');
+        overlay.className = 'terminal-reconnect-overlay';
+        overlay.setAttribute('role', 'status');
+        overlay.hidden = true;
+        element.appendChild(overlay);
+        return overlay;
+    },
+
+    updateReconnectOverlay: function (terminalData) {
+        const overlay = terminalData.overlay;
+        if (!overlay) {
+            return;
+        }
+
+        overlay.hidden = this.connection.connected;
+        const pending = terminalData.pendingInput.length;
+        overlay.textContent = 'Connection lost. Reconnecting\u2026' + (pending > 0
+            ? ` ${pending} keystroke${pending === 1 ? '' : 's'} will be sent when the connection is back.`
+            : '');
+    },
+
+    // Test hook for the end-to-end tests: the text of every buffer line (scrollback first,
+    // trailing blank lines dropped), the cursor position, the size and the output that is
+    // queued or not yet parsed by xterm. Tests wait for pendingOutput to be 0 before asserting.
+    readBuffer: function (elementId) {
+        const terminalData = this.terminals.get(elementId);
+        if (!terminalData) {
             return null;
         }
+
+        const terminal = terminalData.terminal;
+        const buffer = terminal.buffer.active;
+        const lines = [];
+        for (let i = 0; i < buffer.length; i++) {
+            const line = buffer.getLine(i);
+            lines.push(line ? line.translateToString(true) : '');
+        }
+        while (lines.length > 0 && lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+
+        return {
+            lines: lines,
+            cursorX: buffer.cursorX,
+            cursorY: buffer.baseY + buffer.cursorY,
+            viewportY: buffer.viewportY,
+            // Megabytes of decoded images held, or -1 while images are hidden
+            imageStorage: terminalData.images.addon ? terminalData.images.addon.storageUsage : -1,
+            cols: terminal.cols,
+            rows: terminal.rows,
+            pendingOutput: terminalData.output.queuedBytes + terminalData.output.pendingBytes,
+            outputPauses: terminalData.output.pauses
+        };
+    },
+
+    // Live terminals and the listeners, observers and disposables they hold
+    getDiagnostics: function () {
+        const diagnostics = getScopeDiagnostics('terminal');
+        diagnostics.terminals = this.terminals.size;
+        return diagnostics;
+    },
+
+    // Get terminal size
+    getSize: function (elementId) {
+        const terminal = this.terminals.require(elementId).terminal;
+        return { cols: terminal.cols, rows: terminal.rows };
     }
 };
 
+xtermTerminal.registerCommands();
+onAccessibilityChange(enabled => xtermTerminal.applyAccessibility(enabled));
+
+// Called from .NET through IJSObjectReference; each returns { ok, value, error }
+export const {
+    create, write, writeBatch, clear, fit, fitAll, focus, dispose, getSize,
+    findNext, findPrevious, clearSearch, downloadScrollback, copyScrollback,
+    startRecording, stopRecording, isRecording, downloadRecording,
+    flushPendingInput, getSessionOwnerKey, getStoredSessionIds, forgetSession, restoreSession,
+    getSettings, getThemes, applySettings, listProfiles, saveProfile, activateProfile, deleteProfile,
+    getMarks, goToMark, scrollToMark, getMarkPatterns, setMarkPatterns, resetMarkPatterns,
+    setImagesEnabled
+} = exportResults(log, xtermTerminal, [
+    'create', 'write', 'writeBatch', 'clear', 'fit', 'fitAll', 'focus', 'dispose', 'getSize',
+    'findNext', 'findPrevious', 'clearSearch', 'downloadScrollback', 'copyScrollback',
+    'startRecording', 'stopRecording', 'isRecording', 'downloadRecording',
+    'flushPendingInput', 'getSessionOwnerKey', 'getStoredSessionIds', 'forgetSession', 'restoreSession',
+    'getSettings', 'getThemes', 'applySettings', 'listProfiles', 'saveProfile', 'activateProfile', 'deleteProfile',
+    'getMarks', 'goToMark', 'scrollToMark', 'getMarkPatterns', 'setMarkPatterns', 'resetMarkPatterns',
+    'setImagesEnabled'
+]);
+
+// Shared with the replay player, which renders recordings with the terminal's own options
+export function createTerminalOptions(overrides) {
+    return xtermTerminal.createTerminalOptions(overrides);
+}
+
+export function createImageAddon() {
+    return xtermTerminal.createImageAddon();
+}
+
+export function setBackgroundVariable(background) {
+    xtermTerminal.setBackgroundVariable(background);
+}
+
+// Test hooks for the end-to-end tests; these return plain values
+export function readBuffer(elementId) {
+    return xtermTerminal.readBuffer(elementId);
+}
+
+export function getDiagnostics() {
+    return xtermTerminal.getDiagnostics();
+}
+
@@ -32,6 +32,15 @@ if [ -d "$OUTPUT_DIR" ]; then
     rm -rf "$OUTPUT_DIR"
 fi
 
+# Client libraries (xterm.js, Monaco Editor, Font Awesome) for wwwroot/lib. Without internet
+# access, copy wwwroot/lib from a connected machine instead (see deployment/README.md).
+if [ -f "$PROJECT_NAME/wwwroot/lib/xterm@5.3.0/lib/xterm.js" ]; then
+    echo -e "${GREEN}Using the client libraries in $PROJECT_NAME/wwwroot/lib${NC}"
+else
+    echo -e "${YELLOW}Restoring client libraries...${NC}"
+    dotnet build "$PROJECT_NAME" -c "$CONFIGURATION" -p:LibraryRestore=true
+fi
+
 # Build for each platform
 for platform in "${PLATFORMS[@]}"; do
     echo -e "${GREEN}Building for platform: $platform${NC}"
@@ -0,0 +1,116 @@
+const AxeBuilder = require('@axe-core/playwright').default;
+const { test, expect, callModule } = require('./fixtures');
+
+// Accessibility mode of js/accessibility.js, its announcements, keyboard operation and axe checks
+test.describe('Accessibility', () => {
+  const toggle = page => page.locator('button:has-text("Accessibility mode")');
+  const announcement = page => async () =>
+    (await callModule(page, 'accessibility.js', 'getAnnouncements')).polite;
+  const enable = page => callModule(page, 'accessibility.js', 'setEnabled', true);
+
+  // WCAG A and AA rules for a part of the page. xterm and Monaco render their own DOM,
+  // which their projects test; the screen reader views they add in this mode are covered.
+  async function expectNoViolations(page, selector) {
+    const results = await new AxeBuilder({ page })
+      .include(selector)
+      .exclude('.xterm-screen')
+      .exclude('.monaco-editor .overflow-guard')
+      .withTags(['wcag2a', 'wcag2aa'])
+      .analyze();
+    expect(results.violations.map(v => `${v.id}: ${v.nodes.map(n => n.target).join(', ')}`)).toEqual([]);
+  }
+
+  test('is toggled from the header and by shortcut', async ({ page, terminal }) => {
+    await expect(toggle(page)).toHaveAttribute('aria-pressed', 'false');
+    await expect(terminal.pane.locator('.xterm-accessibility')).toHaveCount(0);
+
+    await toggle(page).click();
+    await expect(toggle(page)).toHaveAttribute('aria-pressed', 'true');
+    await expect(terminal.pane.locator('.xterm-accessibility')).toHaveCount(1);
+    await expect.poll(announcement(page)).toBe('Accessibility mode on');
+
+    // The mode is kept across pages and turned off again with Alt+Shift+F1
+    await page.goto('/terminal');
+    await expect(toggle(page)).toHaveAttribute('aria-pressed', 'true');
+    await page.keyboard.press('Alt+Shift+F1');
+    await expect(toggle(page)).toHaveAttribute('aria-pressed', 'false');
+    await expect.poll(announcement(page)).toBe('Accessibility mode off');
+  });
+
+  test('announces failed commands and prompt navigation in the terminal', async ({ page, terminal }) => {
+    await enable(page);
+    await terminal.run('false');
+    await expect.poll(announcement(page)).toBe('Command failed with exit code 1');
+
+    // Without scrollback there is no prompt above the screen; the next one is read out
+    await terminal.focus();
+    await page.keyboard.press('Control+Up');
+    await expect.poll(announcement(page)).toBe('No previous mark');
+    await page.keyboard.press('Control+Down');
+    await expect.poll(announcement(page)).toMatch(/^Prompt: \$/);
+  });
+
+  test('switches and closes terminal tabs by keyboard', async ({ page, terminal }) => {
+    const tabs = page.locator('.terminal-tab');
+    await page.locator('button:has-text("New Tab")').click();
+    await expect(tabs).toHaveCount(2);
+
+    await tabs.nth(1).focus();
+    await page.keyboard.press('ArrowLeft');
+    await expect(tabs.nth(0)).toHaveAttribute('aria-selected', 'true');
+    await expect(tabs.nth(0)).toBeFocused();
+
+    await page.keyboard.press('End');
+    await page.keyboard.press('Delete');
+    await expect(tabs).toHaveCount(1);
+    await expect(tabs.first()).toBeFocused();
+  });
+
+  test('lists the changes of a diff and announces decisions', async ({ page, diffEditor }) => {
+    await enable(page);
+    const list = page.locator('section.diff-change-list');
+    await expect(list).toBeVisible();
+    await expect(list.locator('.diff-change')).toHaveCount(4);
+    await expect(list.locator('.diff-change-title').nth(1)).toHaveText('Change 2 of 4: line 9, pending');
+
+    // Decided from the list by keyboard
+    await list.locator('.diff-change').nth(1).locator('button:has-text("Accept")').focus();
+    await page.keyboard.press('Enter');
+    await expect.poll(announcement(page)).toBe('line 9 accepted');
+    await expect.poll(async () => (await diffEditor.state()).hunks[1].state).toBe('accepted');
+    await expect(list.locator('.diff-change').nth(1).locator('button:has-text("Accept")'))
+      .toHaveAttribute('aria-pressed', 'true');
+
+    // Decided in the editor
+    await diffEditor.decide(3, 'reject');
+    await expect.poll(announcement(page)).toBe('lines 13 to 14 rejected');
+    await expect(list.locator('.diff-change-title').nth(3)).toHaveText('Change 4 of 4: lines 13 to 14, rejected');
+
+    // Show in Editor moves the focus to the change
+    await list.locator('.diff-change').nth(3).locator('button:has-text("Show in Editor")').click();
+    await expect(page.locator(`#${diffEditor.elementId} .editor.modified textarea`)).toBeFocused();
+  });
+
+  test('terminal page has no WCAG A or AA violations', async ({ page, terminal }) => {
+    await enable(page);
+    await terminal.run('echo accessible');
+    await terminal.waitForLine(/^accessible$/);
+
+    await expectNoViolations(page, '.terminal-container');
+  });
+
+  test('diff viewer has no WCAG A or AA violations', async ({ page, diffEditor }) => {
+    await enable(page);
+    await expect(page.locator('section.diff-change-list')).toBeVisible();
+
+    await expectNoViolations(page, 'main');
+  });
+
+  test('compare page has no WCAG A or AA violations', async ({ page }) => {
+    await page.goto('/diff/compare');
+    await page.locator('[id^="compare-editor-"] .monaco-diff-editor').waitFor();
+    await enable(page);
+
+    await expectNoViolations(page, 'main');
+  });
+});
@@ -0,0 +1,105 @@
+const { test, expect, callModule } = require('./fixtures');
+
+// The palette and shortcuts of js/commands.js
+test.describe('Command palette', () => {
+  const palette = page => page.locator('.command-palette');
+
+  async function runFromPalette(page, search) {
+    await page.keyboard.press('Control+Shift+P');
+    await expect(palette(page)).toBeVisible();
+    await page.keyboard.type(search);
+    await page.keyboard.press('Enter');
+    await expect(palette(page)).toHaveCount(0);
+  }
+
+  test('lists the commands of the focused terminal and clears it', async ({ page, terminal }) => {
+    const marker = `palette-${Date.now()}`;
+    await terminal.run(`echo ${marker}`);
+    await terminal.waitForLine(new RegExp(`^${marker}$`));
+
+    await page.keyboard.press('Control+Shift+P');
+    await expect(palette(page).locator('[role="option"]', { hasText: 'Terminal: Send Ctrl+C' })).toBeVisible();
+    await expect(palette(page).locator('[role="option"]', { hasText: 'Terminal: Clear' }).locator('kbd'))
+      .toHaveText('Ctrl+Shift+K');
+    await page.keyboard.press('Escape');
+    await expect(palette(page)).toHaveCount(0);
+
+    await runFromPalette(page, 'terminal clear');
+
+    await expect.poll(() => terminal.lines()).toEqual(['$']);
+  });
+
+  test('sends Ctrl+C to the focused terminal', async ({ terminal, page }) => {
+    await terminal.run('sleep 30');
+    await expect(terminal.status).toHaveText(/^Running: sleep/);
+
+    await runFromPalette(page, 'send ctrl+c');
+
+    await terminal.waitForReady();
+  });
+
+  test('runs commands by their shortcuts and by shortcuts the user changed', async ({ page, terminal }) => {
+    const tabs = page.locator('.terminal-tab');
+    await expect(tabs).toHaveCount(1);
+
+    await terminal.focus();
+    await page.keyboard.press('Control+Shift+Backquote');
+    await expect(tabs).toHaveCount(2);
+
+    const changed = await callModule(page, 'commands.js', 'setKeybinding', 'terminal.new', 'Alt+Shift+N');
+    expect(changed.value).toBe('Alt+Shift+N');
+    await page.keyboard.press('Control+Shift+Backquote');
+    await page.keyboard.press('Alt+Shift+N');
+    await expect(tabs).toHaveCount(3);
+
+    // Shortcuts without Ctrl, Alt or Meta would take keys from typing
+    const rejected = await callModule(page, 'commands.js', 'setKeybinding', 'terminal.new', 'N');
+    expect(rejected.error.code).toBe('invalid-argument');
+  });
+
+  test('records a new shortcut in the palette', async ({ page, terminal }) => {
+    await terminal.focus();
+    await page.keyboard.press('Control+Shift+P');
+    await page.keyboard.type('new terminal');
+    await page.keyboard.press('Control+Enter');
+    await expect(palette(page).locator('kbd.recording')).toBeVisible();
+    await page.keyboard.press('Alt+Shift+T');
+    await expect(palette(page).locator('[role="option"]', { hasText: 'New Terminal' }).locator('kbd'))
+      .toHaveText('Alt+Shift+T');
+    await page.keyboard.press('Escape');
+
+    const commands = await callModule(page, 'commands.js', 'getCommands');
+    const command = commands.value.find(c => c.id === 'terminal.new');
+    expect(command).toMatchObject({ keybinding: 'Alt+Shift+T', defaultKeybinding: 'Ctrl+Shift+`', changed: true });
+  });
+
+  test('toggles the view mode of the focused diff editor', async ({ page, diffEditor }) => {
+    const sideBySide = async () => (await callModule(page, 'monaco-diff.js', 'getViewOptions')).value.sideBySide;
+    expect(await sideBySide()).not.toBe(false);
+
+    await page.locator(`#${diffEditor.elementId} .editor.modified .view-lines`).click();
+    await runFromPalette(page, 'toggle side by side');
+
+    await expect.poll(sideBySide).toBe(false);
+  });
+
+  test('accepts the hunk at the cursor of the focused diff editor by shortcut', async ({ page, diffEditor }) => {
+    await page.locator(`#${diffEditor.elementId} .editor.modified .view-lines`).click();
+    await page.keyboard.press('Control+Home');
+    await page.keyboard.press('Alt+F5');
+    await page.keyboard.press('Alt+Y');
+
+    await expect.poll(async () => (await diffEditor.state()).hunks.some(h => h.state === 'accepted')).toBe(true);
+  });
+
+  test('shows changed review shortcuts in the hunk lenses', async ({ page, diffEditor }) => {
+    const lenses = page.locator(`#${diffEditor.elementId} .codelens-decoration a`);
+    await expect(lenses.filter({ hasText: 'Accept hunk (Alt+Y)' }).first()).toBeVisible();
+
+    await callModule(page, 'commands.js', 'setKeybinding', 'diff.acceptHunk', 'Alt+Shift+Y');
+    await expect(lenses.filter({ hasText: 'Accept hunk (Alt+Shift+Y)' }).first()).toBeVisible();
+
+    await callModule(page, 'commands.js', 'setKeybinding', 'diff.rejectHunk', '');
+    await expect(lenses.filter({ hasText: /^✗ Reject hunk$/ }).first()).toBeVisible();
+  });
+});
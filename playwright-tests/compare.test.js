@@ -0,0 +1,97 @@
+const { test, expect, callModule } = require('./fixtures');
+
+// The compare editor of /diff/compare, driven through the exports of monaco-diff.js.
+// The test workspace holds a single README.md reading "# CodeUI end-to-end workspace".
+test.describe('Compare editor', () => {
+  let elementId;
+
+  const setSide = (page, side, content, name) =>
+    callModule(page, 'monaco-diff.js', 'setCompareSide', elementId, side, content, name);
+  const stats = page => page.locator('.mud-chip', { hasText: /Identical|change\(s\)/ });
+
+  async function open(page, query) {
+    await page.goto(`/diff/compare${query || ''}`);
+    const editor = page.locator('[id^="compare-editor-"]');
+    await editor.locator('.monaco-diff-editor').waitFor();
+    elementId = await editor.getAttribute('id');
+  }
+
+  test('reports changes while either side is edited', async ({ page }) => {
+    await open(page);
+
+    await setSide(page, 'original', 'one\ntwo\nthree\n', 'numbers.txt');
+    await setSide(page, 'modified', 'one\nthree\nfour\n', null);
+    await expect(stats(page)).toHaveText('2 change(s), +1 -1');
+
+    await setSide(page, 'modified', 'one\ntwo\nthree\n', null);
+    await expect(stats(page)).toHaveText('Identical');
+    await expect(page.locator('button:has-text("Download Patch")')).toBeDisabled();
+  });
+
+  test('exports the comparison as a unified patch', async ({ page }) => {
+    await open(page);
+
+    const lines = Array.from({ length: 10 }, (_, i) => `line ${i + 1}`);
+    const changed = [...lines];
+    changed[1] = 'line two';
+    changed.push('line 11');
+    await setSide(page, 'original', lines.join('\n') + '\n', 'lines.txt');
+    await setSide(page, 'modified', changed.join('\n'), 'lines.txt');
+
+    const patch = await callModule(page, 'monaco-diff.js', 'createPatch', elementId);
+    expect(patch.value).toBe([
+      '--- a/lines.txt',
+      '+++ b/lines.txt',
+      '@@ -1,5 +1,5 @@',
+      ' line 1',
+      '-line 2',
+      '+line two',
+      ' line 3',
+      ' line 4',
+      ' line 5',
+      '@@ -8,3 +8,4 @@',
+      ' line 8',
+      ' line 9',
+      ' line 10',
+      '+line 11',
+      '\\ No newline at end of file',
+      ''
+    ].join('\n'));
+
+    const swapped = await callModule(page, 'monaco-diff.js', 'swapCompareSides', elementId);
+    expect(swapped.ok).toBe(true);
+    const reversed = await callModule(page, 'monaco-diff.js', 'createPatch', elementId);
+    expect(reversed.value).toContain('-line two\n+line 2\n');
+
+    const invalid = await callModule(page, 'monaco-diff.js', 'setCompareSide', elementId, 'middle', '', null);
+    expect(invalid.error.code).toBe('invalid-argument');
+  });
+
+  test('takes a file dropped onto a side', async ({ page }) => {
+    await open(page);
+    await setSide(page, 'original', 'alpha\n', null);
+
+    await page.evaluate(id => {
+      const transfer = new DataTransfer();
+      transfer.items.add(new File(['alpha\nbeta\n'], 'dropped.txt', { type: 'text/plain' }));
+      const target = document.querySelector(`#${id} .editor.modified .view-lines`);
+      target.dispatchEvent(new DragEvent('drop', { dataTransfer: transfer, bubbles: true, cancelable: true }));
+    }, elementId);
+
+    await expect(page.locator('h6', { hasText: 'dropped.txt' })).toBeVisible();
+    await expect(stats(page)).toHaveText('1 change(s), +1 -0');
+  });
+
+  test('compares files picked in the File Explorer', async ({ page }) => {
+    await page.goto('/fileexplorer?path=README.md');
+    await page.locator('button:has-text("Select for Compare")').click();
+    await expect(page.locator('a:has-text("Compare with")')).toHaveCount(0);
+
+    await open(page, '?original=README.md');
+    await expect(page.locator('h6', { hasText: 'README.md' })).toBeVisible();
+    await expect(stats(page)).toHaveText('1 change(s), +0 -1');
+
+    await setSide(page, 'modified', '# CodeUI end-to-end workspace\n', null);
+    await expect(stats(page)).toHaveText('Identical');
+  });
+});
@@ -0,0 +1,145 @@
+const { test, expect, callModule } = require('./fixtures');
+
+// The sample diff changes src/Example.cs in four hunks:
+//   0: adds `using System.Linq;` (new line 3)
+//   1: renames the parameters of Add (old line 8, new line 9)
+//   2: renames them in its body (old line 10, new line 11)
+//   3: adds a blank line and Multiply (new lines 13-14)
+// The old file has 13 lines and the new file 16.
+test.describe('Diff viewer', () => {
+  test('shows the sample diff with every hunk pending', async ({ diffEditor }) => {
+    const state = await diffEditor.state();
+
+    expect(state.hunks.map(h => h.state)).toEqual(['pending', 'pending', 'pending', 'pending']);
+    expect(state.content.original.split('\n')).toHaveLength(13);
+    expect(state.content.modified.split('\n')).toHaveLength(16);
+    expect(await diffEditor.decorationsOn('modified', 3)).toEqual(['diff-glyph-pending']);
+    await expect(diffEditor.summaryCount('Pending')).toHaveText('7');
+  });
+
+  test('accepting a hunk decorates both of its sides', async ({ diffEditor }) => {
+    await diffEditor.decide(1, 'accept');
+
+    expect(await diffEditor.decorationsOn('original', 8)).toEqual(['diff-line-accepted diff-glyph-accepted']);
+    expect(await diffEditor.decorationsOn('modified', 9)).toEqual(['diff-line-accepted diff-glyph-accepted']);
+    // Other hunks are left alone
+    expect(await diffEditor.decorationsOn('modified', 11)).toEqual(['diff-glyph-pending']);
+    await expect(diffEditor.summaryCount('Accepted')).toHaveText('2');
+    await expect(diffEditor.summaryCount('Pending')).toHaveText('5');
+  });
+
+  test('rejecting a hunk decorates its lines and can be undone by accepting it', async ({ diffEditor }) => {
+    await diffEditor.decide(3, 'reject');
+
+    expect(await diffEditor.decorationsOn('modified', 13)).toEqual(['diff-line-rejected diff-glyph-rejected']);
+    expect(await diffEditor.decorationsOn('modified', 14)).toEqual(['diff-line-rejected diff-glyph-rejected']);
+    await expect(diffEditor.summaryCount('Rejected')).toHaveText('2');
+
+    await diffEditor.decide(3, 'accept');
+
+    expect(await diffEditor.decorationsOn('modified', 14)).toEqual(['diff-line-accepted diff-glyph-accepted']);
+    await expect(diffEditor.summaryCount('Rejected')).toHaveText('0');
+  });
+
+  test('Reject All marks every change as rejected', async ({ page, diffEditor }) => {
+    await page.locator('button:has-text("Reject All")').click();
+
+    await expect.poll(async () => (await diffEditor.state()).hunks.map(h => h.state))
+      .toEqual(['rejected', 'rejected', 'rejected', 'rejected']);
+    const state = await diffEditor.state();
+    expect(state.decorations.modified.every(d => d.className === 'diff-line-rejected')).toBe(true);
+    expect(state.decorations.original.every(d => d.className === 'diff-line-rejected')).toBe(true);
+  });
+
+  test('applying keeps pending changes and drops rejected ones', async ({ page, diffEditor }) => {
+    // Pending changes are applied as they are: the result is the new file
+    await page.locator('button:has-text("Apply Selected Changes")').click();
+    await expect(page.locator('.mud-snackbar', { hasText: 'Applied changes to 16 lines' })).toBeVisible();
+
+    // Without the added using directive the result has one line less
+    await diffEditor.decide(0, 'reject');
+    await page.locator('button:has-text("Apply Selected Changes")').click();
+    await expect(page.locator('.mud-snackbar', { hasText: 'Applied changes to 15 lines' })).toBeVisible();
+  });
+
+  test('detects the language from the file name, or else a shebang line', async ({ page, diffEditor }) => {
+    const languageOf = async (fileName, content) => {
+      await callModule(page, 'monaco-diff.js', 'setContent', diffEditor.elementId, content, content, null, null, fileName);
+      return (await diffEditor.state()).language;
+    };
+
+    expect(await languageOf('src/Example.cs', 'class Example {}\n')).toBe('csharp');
+    expect(await languageOf('docker/Dockerfile', 'FROM node:20\n')).toBe('dockerfile');
+    expect(await languageOf('scripts/deploy', '#!/usr/bin/env python3\nprint("deploy")\n')).toBe('python');
+    expect(await languageOf('scripts/build', '#!/bin/bash\nmake\n')).toBe('shell');
+    expect(await languageOf('NOTES', 'just text\n')).toBe('plaintext');
+  });
+
+  test('keeps the editor options chosen in the menu across page loads', async ({ page, diffEditor }) => {
+    await page.getByRole('button', { name: 'Editor options' }).click();
+    await page.locator('.mud-menu-item', { hasText: 'Word wrap' }).click();
+    await page.locator('.mud-menu-item', { hasText: 'Minimap' }).click();
+    await page.keyboard.press('Escape');
+    await page.locator('button:has-text("Unified")').click();
+
+    const applied = { wordWrap: 'on', minimap: true, renderWhitespace: 'selection' };
+    await expect.poll(async () => (await diffEditor.state()).options).toEqual(applied);
+
+    await diffEditor.openSample();
+    expect((await diffEditor.state()).options).toEqual(applied);
+    expect((await callModule(page, 'monaco-diff.js', 'getViewOptions')).value).toEqual({
+      sideBySide: false,
+      wordWrap: true,
+      minimap: true,
+      renderWhitespace: false,
+      ignoreTrimWhitespace: false
+    });
+  });
+
+  test('rejecting everything applies only the unchanged lines', async ({ page, diffEditor }) => {
+    await page.locator('button:has-text("Reject All")').click();
+    await expect.poll(async () => (await diffEditor.state()).hunks.every(h => h.state === 'rejected')).toBe(true);
+
+    await page.locator('button:has-text("Apply Selected Changes")').click();
+
+    await expect(page.locator('.mud-snackbar', { hasText: 'Applied changes to 11 lines' })).toBeVisible();
+  });
+});
+
+// The review lists the changes of the test workspace, so these tests change its README.md
+// in a terminal's bash and restore it afterwards
+test.describe('Diff review', () => {
+  test('opens the files of a refreshed review', async ({ context, terminal }) => {
+    const page = await context.newPage();
+    const editorContent = async () => {
+      const elementId = await page.locator('[id^="diff-editor-"]').getAttribute('id');
+      const state = await callModule(page, 'monaco-diff.js', 'getReviewState', elementId);
+      return state ? state.content.modified : '';
+    };
+
+    await terminal.run('bash');
+    await expect(terminal.status).toHaveText(/^Running: bash/);
+    try {
+      await terminal.run('echo "first change" >> README.md && echo changed');
+      await terminal.waitForLine(/^changed/);
+
+      await page.goto('/diff');
+      await page.locator('button:has-text("Review All")').click();
+      await expect(page.locator('.diff-review-file')).toHaveCount(1);
+      await expect.poll(editorContent).toContain('first change');
+
+      // Refreshing creates the review again, which opens its first file through .NET
+      await terminal.run('echo "second change" >> README.md && echo changed again');
+      await terminal.waitForLine(/^changed again/);
+      await page.locator('button:has-text("Refresh Diffs")').click();
+
+      await expect.poll(editorContent).toContain('second change');
+      await expect(page.locator('.diff-review-file.selected')).toHaveCount(1);
+    } finally {
+      await terminal.run('git checkout -- README.md && echo restored');
+      await terminal.waitForLine(/^restored/);
+      await terminal.run('exit');
+      await terminal.waitForReady();
+    }
+  });
+});
@@ -0,0 +1,140 @@
+const base = require('@playwright/test');
+const { expect } = base;
+
+// Call a function exported by one of the app's interop modules (wwwroot/js) in the page.
+// The page shares the module instance the components imported.
+function callModule(page, module, name, ...args) {
+  return page.evaluate(async ([path, fn, fnArgs]) => {
+    const exports = await import(new URL(path, document.baseURI).href);
+    return exports[fn](...fnArgs);
+  }, [`js/${module}`, name, args]);
+}
+
+// Drives the focused terminal pane and reads its buffer through readBuffer of terminal.js
+class TerminalDriver {
+  constructor(page) {
+    this.page = page;
+    this.elementId = null;
+  }
+
+  get pane() {
+    return this.page.locator('.terminal-pane-focused');
+  }
+
+  get status() {
+    return this.pane.locator('.terminal-status .badge').first();
+  }
+
+  // Open the terminal page and wait for the first prompt
+  async open() {
+    await this.page.goto('/terminal');
+    await this.pane.locator('.terminal-element .xterm').waitFor();
+    this.elementId = await this.pane.locator('.terminal-element').getAttribute('id');
+    await this.waitForLine(/^\$/);
+  }
+
+  // The buffer once xterm has parsed all output sent to it
+  async read() {
+    await expect.poll(async () => {
+      const state = await callModule(this.page, 'terminal.js', 'readBuffer', this.elementId);
+      return state ? state.pendingOutput : -1;
+    }).toBe(0);
+
+    return callModule(this.page, 'terminal.js', 'readBuffer', this.elementId);
+  }
+
+  async lines() {
+    return (await this.read()).lines;
+  }
+
+  async focus() {
+    await this.page.locator('button:has-text("Focus")').click();
+  }
+
+  // Type a command at the prompt and press Enter
+  async run(command) {
+    await this.focus();
+    await this.page.keyboard.type(command);
+    await this.page.keyboard.press('Enter');
+  }
+
+  // Wait until a buffer line matches, returning the matching line
+  async waitForLine(pattern, options) {
+    let match = null;
+    await expect.poll(async () => {
+      match = (await this.lines()).find(line => pattern.test(line)) || null;
+      return match;
+    }, options).not.toBeNull();
+    return match;
+  }
+
+  // The status bar is refreshed on input and output, so a process that exits quietly is
+  // noticed on the next keystroke: press Enter until the pane reports it is ready again
+  async waitForReady() {
+    await expect.poll(async () => {
+      await this.focus();
+      await this.page.keyboard.press('Enter');
+      return this.status.textContent();
+    }, { intervals: [500, 1000, 2000] }).toContain('Ready');
+  }
+}
+
+// Drives the Monaco diff editor of the diff viewer through the test hooks of monaco-diff.js
+class DiffEditorDriver {
+  constructor(page) {
+    this.page = page;
+    this.elementId = null;
+  }
+
+  // Open the diff viewer with its sample diff; the test workspace has no changes of its own
+  async openSample() {
+    await this.page.goto('/diff');
+    await this.page.locator('button:has-text("View Sample Diff")').click();
+
+    const editor = this.page.locator('[id^="diff-editor-"]');
+    await editor.locator('.monaco-diff-editor').waitFor();
+    this.elementId = await editor.getAttribute('id');
+    await expect.poll(async () => (await this.state()).hunks.length).toBeGreaterThan(0);
+  }
+
+  async state() {
+    return callModule(this.page, 'monaco-diff.js', 'getReviewState', this.elementId);
+  }
+
+  // Accept or reject a hunk as its CodeLens would, then wait for .NET to send back its state
+  async decide(hunk, decision) {
+    const expected = decision === 'accept' ? 'accepted' : 'rejected';
+    await callModule(this.page, 'monaco-diff.js', 'reportAction', this.elementId, { decision, hunk });
+    await expect.poll(async () => (await this.state()).hunks[hunk].state).toBe(expected);
+  }
+
+  // Class names of the decorations on a file line of one side
+  async decorationsOn(side, lineNumber) {
+    const state = await this.state();
+    return state.decorations[side]
+      .filter(d => d.lineNumber === lineNumber)
+      .map(d => [d.className, d.glyphMarginClassName].filter(Boolean).join(' '));
+  }
+
+  summaryCount(label) {
+    return this.page.locator('.mud-paper', { hasText: 'Change Summary' })
+      .locator('.mud-grid-item', { hasText: label })
+      .locator('h6');
+  }
+}
+
+const test = base.test.extend({
+  terminal: async ({ page }, use) => {
+    const terminal = new TerminalDriver(page);
+    await terminal.open();
+    await use(terminal);
+  },
+
+  diffEditor: async ({ page }, use) => {
+    const diffEditor = new DiffEditorDriver(page);
+    await diffEditor.openSample();
+    await use(diffEditor);
+  }
+});
+
+module.exports = { test, expect, callModule };
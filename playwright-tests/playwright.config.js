@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { defineConfig, devices } = require('@playwright/test');
+
+// The app under test is started by Playwright unless CODEUI_BASE_URL points to a running instance
+const BASE_URL = process.env.CODEUI_BASE_URL || 'http://localhost:5000';
+const WEB_PROJECT = path.resolve(__dirname, '..', 'CodeUI.Web');
+
+// The app runs in a scratch Git repository without changes, so the diff viewer offers its
+// sample diff and terminal commands cannot touch this checkout
+const WORKSPACE = path.join(os.tmpdir(), 'codeui-e2e-workspace');
+
+function createWorkspace() {
+  if (fs.existsSync(path.join(WORKSPACE, '.git'))) {
+    return;
+  }
+
+  fs.mkdirSync(WORKSPACE, { recursive: true });
+  fs.writeFileSync(path.join(WORKSPACE, 'README.md'), '# CodeUI end-to-end workspace\n');
+  const git = (...args) => execFileSync('git', args, { cwd: WORKSPACE, stdio: 'ignore' });
+  git('init', '--quiet');
+  git('add', 'README.md');
+  git('-c', 'user.name=CodeUI', '-c', 'user.email=codeui@example.com', 'commit', '--quiet', '-m', 'Initial commit');
+}
+
+if (!process.env.CODEUI_BASE_URL) {
+  createWorkspace();
+}
+
+module.exports = defineConfig({
+  testDir: '.',
+  testMatch: '**/*.test.js',
+  // Terminals share the server's sessions, so tests run one at a time
+  fullyParallel: false,
+  workers: 1,
+  forbidOnly: !!process.env.CI,
+  retries: process.env.CI ? 1 : 0,
+  timeout: 60000,
+  expect: { timeout: 10000 },
+  reporter: process.env.CI ? [['list'], ['html', { open: 'never' }]] : 'list',
+
+  use: {
+    baseURL: BASE_URL,
+    trace: 'retain-on-failure',
+    screenshot: 'only-on-failure'
+  },
+
+  projects: [
+    { name: 'chromium', use: { ...devices['Desktop Chrome'] } }
+  ],
+
+  webServer: process.env.CODEUI_BASE_URL ? undefined : {
+    command: `dotnet run --project "${path.join(WEB_PROJECT, 'CodeUI.Web.csproj')}" --no-launch-profile -- ` +
+      `--urls ${BASE_URL} --contentRoot "${WEB_PROJECT}"`,
+    cwd: WORKSPACE,
+    url: BASE_URL,
+    timeout: 180000,
+    reuseExistingServer: !process.env.CI,
+    env: {
+      ASPNETCORE_ENVIRONMENT: 'Development',
+      ConnectionStrings__DefaultConnection: `Data Source=${path.join(os.tmpdir(), 'codeui-e2e.db')}`
+    }
+  }
+});
@@ -0,0 +1,46 @@
+const { test, expect, callModule } = require('./fixtures');
+
+// Session replay of asciicast v2 recordings, loaded through the page's file input
+test.describe('Session replay', () => {
+  const recording = (name, lines) => ({
+    name: name,
+    mimeType: 'application/x-asciicast',
+    buffer: Buffer.from(lines.join('\n') + '\n')
+  });
+
+  const valid = recording('valid.cast', [
+    JSON.stringify({ version: 2, width: 40, height: 5, title: 'Replay test' }),
+    JSON.stringify([0.1, 'o', 'hello replay\r\n']),
+    JSON.stringify([0.3, 'o', 'done\r\n'])
+  ]);
+
+  async function open(page, file) {
+    await page.locator('input[type="file"]').setInputFiles(file);
+  }
+
+  test('keeps the loaded recording when an invalid one is opened', async ({ page }) => {
+    await page.goto('/terminal/replay');
+    await open(page, valid);
+
+    const play = page.getByRole('button', { name: 'Play' });
+    await expect(play).toBeVisible();
+    await expect(page.getByText('valid.cast')).toBeVisible();
+    const playerId = await page.locator('.replay-element').getAttribute('id');
+
+    // An event line that is not JSON is reported instead of replacing the player
+    await open(page, recording('broken.cast', [
+      JSON.stringify({ version: 2, width: 40, height: 5 }),
+      'not an event'
+    ]));
+    await expect(page.locator('.mud-snackbar', { hasText: 'Event 1 is not valid JSON' })).toBeVisible();
+    await expect(page.getByText('valid.cast')).toBeVisible();
+
+    // The first recording still plays to its end
+    await play.click();
+    await expect.poll(async () => {
+      const state = await callModule(page, 'terminal-replay.js', 'getState', playerId);
+      return state.ok && !state.value.playing ? state.value.position : null;
+    }).toBeCloseTo(0.3);
+    await expect(page.getByRole('button', { name: 'Play' })).toBeVisible();
+  });
+});
@@ -0,0 +1,350 @@
+const fs = require('fs');
+const { test, expect, callModule } = require('./fixtures');
+
+test.describe('Terminal', () => {
+  test('page shows the controls and a ready pane', async ({ page, terminal }) => {
+    await expect(page.locator('.terminal-header h3')).toContainText('CodeUI Terminal');
+    await expect(page.locator('button:has-text("Clear")')).toBeVisible();
+    await expect(page.locator('button:has-text("Focus")')).toBeVisible();
+    await expect(terminal.status).toHaveText('Ready');
+    await terminal.waitForLine(/^Welcome to CodeUI Terminal$/);
+  });
+
+  test('shows the output of a command', async ({ terminal }) => {
+    const marker = `codeui-${Date.now()}`;
+
+    await terminal.run(`echo ${marker}`);
+
+    // The typed command is echoed after the prompt, its output is a line of its own
+    await terminal.waitForLine(new RegExp(`^\\$ echo ${marker}$`));
+    await terminal.waitForLine(new RegExp(`^${marker}$`));
+    await expect(terminal.status).toHaveText('Ready');
+  });
+
+  test('built-in help lists the commands', async ({ terminal }) => {
+    await terminal.run('help');
+
+    await terminal.waitForLine(/^Available commands:$/);
+    await terminal.waitForLine(/^\s+clear\s+- Clear the terminal$/);
+  });
+
+  test('Clear button clears the scrollback and shows a fresh prompt', async ({ page, terminal }) => {
+    const marker = `before-clear-${Date.now()}`;
+    await terminal.run(`echo ${marker}`);
+    await terminal.waitForLine(new RegExp(`^${marker}$`));
+
+    await page.locator('button:has-text("Clear")').click();
+
+    await expect.poll(() => terminal.lines()).toEqual(['$']);
+    const buffer = await terminal.read();
+    expect(buffer.cursorY).toBe(0);
+    expect(buffer.cursorX).toBe(2);
+  });
+
+  test('clear command clears the terminal', async ({ terminal }) => {
+    await terminal.run('echo some output');
+    await terminal.waitForLine(/^some output$/);
+
+    await terminal.run('clear');
+
+    await expect.poll(() => terminal.lines()).toEqual(['$']);
+  });
+
+  test('reports a running process and sends it input', async ({ terminal }) => {
+    await expect(terminal.status).toHaveText('Ready');
+
+    await terminal.run('bash');
+    await expect(terminal.status).toHaveText(/^Running: bash/);
+
+    await terminal.run('echo $((6 * 7))');
+    await terminal.waitForLine(/^42$/);
+
+    await terminal.run('exit');
+    await terminal.waitForReady();
+  });
+
+  test('propagates resizes to the running process', async ({ page, terminal }) => {
+    await terminal.run('bash');
+    await expect(terminal.status).toHaveText(/^Running: bash/);
+    const before = await terminal.read();
+
+    const viewport = page.viewportSize();
+    await page.setViewportSize({ width: viewport.width - 300, height: viewport.height - 200 });
+
+    // The terminal refits to its smaller container and tells the backend its new size
+    await expect.poll(async () => (await terminal.read()).cols).toBeLessThan(before.cols);
+    const after = await terminal.read();
+    expect(after.rows).toBeLessThan(before.rows);
+    await terminal.waitForLine(new RegExp(`\\[Terminal resized to ${after.cols}x${after.rows}\\]`));
+
+    await terminal.run('exit');
+    await terminal.waitForReady();
+  });
+
+  test('keeps typed input when pasting a single line', async ({ page, terminal }) => {
+    await terminal.focus();
+    await page.keyboard.type('echo ');
+    await page.evaluate(id => {
+      const data = new DataTransfer();
+      data.setData('text/plain', 'pasted-text');
+      const event = new ClipboardEvent('paste', { clipboardData: data, bubbles: true, cancelable: true });
+      document.getElementById(id).querySelector('textarea').dispatchEvent(event);
+    }, terminal.elementId);
+    await page.keyboard.press('Enter');
+
+    await terminal.waitForLine(/^pasted-text$/);
+  });
+
+  test('returns to the prompt after an external command', async ({ terminal }) => {
+    // Whether or not the CLI is installed, the command completes and the pane is ready again
+    await terminal.run('which claude');
+    await expect.poll(async () => (await terminal.lines()).slice(-1)[0]).toBe('$');
+    await expect(terminal.status).toHaveText('Ready');
+  });
+
+  test('closing terminal tabs releases their instances', async ({ page, terminal }) => {
+    // Open a second tab and wait for its terminal
+    await page.locator('button:has-text("New Tab")').click();
+    const diagnostics = () => callModule(page, 'terminal.js', 'getDiagnostics');
+    await expect.poll(async () => (await diagnostics()).terminals).toBe(2);
+
+    // Close it again
+    await page.locator('.terminal-tab.active .terminal-tab-close').click();
+    await expect.poll(async () => (await diagnostics()).terminals).toBe(1);
+
+    // Only the remaining terminal's window resize and paste listeners and its observer are still registered
+    const remaining = await diagnostics();
+    expect(remaining.instances.terminal).toBe(1);
+    expect(remaining.listeners).toBe(2);
+    expect(remaining.observers).toBe(1);
+  });
+
+  test('marks prompts and jumps between them', async ({ page, terminal }) => {
+    const marks = async () => (await callModule(page, 'terminal.js', 'getMarks', terminal.elementId)).value;
+    await terminal.run('help');
+    await terminal.waitForLine(/^Available commands:$/);
+    await terminal.run('echo first');
+    await terminal.waitForLine(/^first$/);
+    await expect.poll(async () => (await marks()).map(m => m.text)).toContain('$ echo first');
+
+    // Fill the screen, so there is scrollback to jump through
+    for (let i = 0; i < 4; i++) {
+      await terminal.run('help');
+    }
+    await terminal.run('echo last');
+    await terminal.waitForLine(/^last$/);
+
+    const prompt = (await marks()).find(m => m.kind === 'prompt' && m.text === '$ echo first');
+    await page.keyboard.press('Control+Up');
+    const top = (await terminal.read()).viewportY;
+    expect(top).toBeGreaterThan(0);
+    expect((await marks()).some(m => m.kind === 'prompt' && m.line === top)).toBe(true);
+
+    const scrolled = await callModule(page, 'terminal.js', 'scrollToMark', terminal.elementId, prompt.id);
+    expect(scrolled.value).toBe(prompt.line);
+    const next = await callModule(page, 'terminal.js', 'goToMark', terminal.elementId, 1, ['prompt']);
+    expect(next.value).toBeGreaterThan(prompt.line);
+  });
+
+  test('marks file edits of AI CLIs and lists them in the outline', async ({ page, terminal }) => {
+    await terminal.run('echo ⏺ Update(src/Example.cs)');
+    await terminal.waitForLine(/^⏺ Update\(src\/Example\.cs\)$/);
+
+    await expect.poll(async () => (await callModule(page, 'terminal.js', 'getMarks', terminal.elementId)).value
+      .filter(m => m.kind === 'edit').map(m => m.path)).toEqual(['src/Example.cs']);
+
+    await page.locator('button:has-text("Outline")').click();
+    const edit = terminal.pane.locator('.terminal-outline-edit');
+    await expect(edit).toContainText('src/Example.cs');
+    await expect(edit.locator('a')).toHaveAttribute('href', 'diff?file=src%2FExample.cs');
+  });
+
+  test('rejects invalid mark patterns and keeps the current ones', async ({ page, terminal }) => {
+    const patterns = (await callModule(page, 'terminal.js', 'getMarkPatterns')).value;
+
+    const invalid = await callModule(page, 'terminal.js', 'setMarkPatterns', [{ kind: 'tool', pattern: '(' }]);
+    expect(invalid.error.code).toBe('invalid-pattern');
+    const unknown = await callModule(page, 'terminal.js', 'setMarkPatterns', [{ kind: 'banner', pattern: 'x' }]);
+    expect(unknown.error.code).toBe('invalid-argument');
+
+    expect((await callModule(page, 'terminal.js', 'getMarkPatterns')).value).toEqual(patterns);
+  });
+
+  test('shows sixel images unless images are turned off for the terminal', async ({ terminal }) => {
+    const sixel = 'printf \\033Pq#0;2;100;0;0#0~~~~~~~~-~~~~~~~~\\033\\\\';
+    await terminal.run(sixel);
+    await expect.poll(async () => (await terminal.read()).imageStorage).toBeGreaterThan(0);
+
+    const toggle = terminal.pane.locator('.terminal-status-toggle');
+    await toggle.click();
+    await expect(toggle).toHaveAttribute('aria-pressed', 'false');
+    await terminal.run(sixel);
+    await terminal.waitForReady();
+    expect((await terminal.read()).imageStorage).toBe(-1);
+
+    // The sequence is dropped rather than shown as text; only the typed commands contain it
+    const output = (await terminal.lines()).filter(line => !line.startsWith('$'));
+    expect(output.some(line => line.includes('#0;2'))).toBe(false);
+  });
+
+  test('opens OSC 8 hyperlinks', async ({ page, terminal }) => {
+    await page.evaluate(() => {
+      window.openedUrls = [];
+      window.open = url => { window.openedUrls.push(url); };
+    });
+
+    await terminal.run('printf \\033]8;;https://example.com/docs\\033\\\\Documentation\\033]8;;\\033\\\\');
+    await terminal.waitForLine(/^Documentation$/);
+
+    // Click the middle of the link text
+    const { lines, cols, rows, viewportY } = await terminal.read();
+    const row = lines.indexOf('Documentation') - viewportY;
+    const box = await terminal.pane.locator('.xterm-screen').boundingBox();
+    await page.mouse.click(box.x + 6.5 * box.width / cols, box.y + (row + 0.5) * box.height / rows);
+
+    await expect.poll(() => page.evaluate(() => window.openedUrls)).toEqual(['https://example.com/docs']);
+  });
+
+  test('searches the scrollback forwards, backwards and by regular expression', async ({ page, terminal }) => {
+    const find = (fn, term, options) => callModule(page, 'terminal.js', fn, terminal.elementId, term, options);
+    await terminal.run('echo needle-one');
+    await terminal.waitForLine(/^needle-one$/);
+    await terminal.run('echo needle-two');
+    await terminal.waitForLine(/^needle-two$/);
+
+    // The typed commands contain the words as well: four matches in all
+    const first = (await find('findNext', 'needle-')).value;
+    expect(first.found).toBe(true);
+    expect(first.resultCount).toBe(4);
+    const previous = (await find('findPrevious', 'needle-')).value;
+    expect(previous.resultIndex).not.toBe(first.resultIndex);
+
+    const output = (await find('findNext', '^needle-t\\w+$', { regex: true })).value;
+    expect(output.resultCount).toBe(1);
+    expect((await find('findNext', 'NEEDLE', { caseSensitive: true })).value.found).toBe(false);
+
+    const invalid = await find('findNext', '(', { regex: true });
+    expect(invalid.error.code).toBe('invalid-pattern');
+    expect((await callModule(page, 'terminal.js', 'clearSearch', terminal.elementId)).ok).toBe(true);
+  });
+
+  test('opens file references in the File Explorer, or the Diff Viewer with Shift', async ({ page, terminal }) => {
+    await page.evaluate(() => {
+      window.openedUrls = [];
+      window.open = url => { window.openedUrls.push(url); };
+    });
+    await terminal.run('echo see src/App.cs:42:7 for details');
+    await terminal.waitForLine(/^see src\/App\.cs:42:7 for details$/);
+
+    // Hover the reference until xterm shows it as a link, then click it
+    const clickReference = async () => {
+      const { lines, cols, rows, viewportY } = await terminal.read();
+      const row = lines.indexOf('see src/App.cs:42:7 for details') - viewportY;
+      const box = await terminal.pane.locator('.xterm-screen').boundingBox();
+      const x = box.x + 8.5 * box.width / cols;
+      const y = box.y + (row + 0.5) * box.height / rows;
+      await page.mouse.move(x, y);
+      await expect(terminal.pane.locator('.xterm.xterm-cursor-pointer')).toHaveCount(1);
+      await page.mouse.down();
+      await page.mouse.up();
+    };
+
+    await clickReference();
+    await page.keyboard.down('Shift');
+    await clickReference();
+    await page.keyboard.up('Shift');
+
+    await expect.poll(() => page.evaluate(() => window.openedUrls)).toEqual([
+      'fileexplorer?path=src%2FApp.cs&line=42&column=7',
+      'diff?file=src%2FApp.cs&line=42'
+    ]);
+  });
+
+  test('exports the scrollback as text and HTML', async ({ page, terminal }) => {
+    const marker = `exported-${Date.now()}`;
+    await terminal.run(`echo ${marker}`);
+    await terminal.waitForLine(new RegExp(`^${marker}$`));
+
+    const download = async (format, fileName) => {
+      const downloaded = page.waitForEvent('download');
+      await callModule(page, 'terminal.js', 'downloadScrollback', terminal.elementId, format, fileName);
+      const file = await downloaded;
+      expect(file.suggestedFilename()).toBe(fileName);
+      return fs.promises.readFile(await file.path(), 'utf8');
+    };
+
+    const text = await download('text', 'scrollback.txt');
+    expect(text.split('\n')).toContain(marker);
+    expect(text.split('\n')).toContain(`$ echo ${marker}`);
+
+    const html = await download('html', 'scrollback.html');
+    expect(html).toContain('<html>');
+    expect(html).toContain(marker);
+  });
+
+  test('keeps appearance settings and profiles across page loads', async ({ page, terminal }) => {
+    const call = async (fn, ...args) => (await callModule(page, 'terminal.js', fn, ...args)).value;
+    const background = () => terminal.pane.locator('.xterm-viewport')
+      .evaluate(element => getComputedStyle(element).backgroundColor);
+
+    await call('applySettings', { theme: 'light' });
+    await expect.poll(background).toBe('rgb(255, 255, 255)');
+
+    // A new profile starts from the current settings and becomes the active one
+    await call('saveProfile', 'Large');
+    await call('applySettings', { theme: 'dark', fontSize: 20 });
+
+    await terminal.open();
+    expect(await call('listProfiles')).toEqual({ active: 'Large', names: ['Default', 'Large'] });
+    expect(await call('getSettings')).toMatchObject({ theme: 'dark', fontSize: 20 });
+    await expect.poll(background).toBe('rgb(30, 30, 30)');
+
+    expect(await call('activateProfile', 'Default')).toMatchObject({ theme: 'light', fontSize: 14 });
+    await expect.poll(background).toBe('rgb(255, 255, 255)');
+
+    await terminal.open();
+    expect((await call('listProfiles')).active).toBe('Default');
+    await expect.poll(background).toBe('rgb(255, 255, 255)');
+    const deleted = await callModule(page, 'terminal.js', 'deleteProfile', 'Default');
+    expect(deleted.error.code).toBe('invalid-argument');
+  });
+
+  test('pauses output while xterm falls behind and resumes without losing any', async ({ page, terminal }) => {
+    await terminal.run('bash');
+    await expect(terminal.status).toHaveText(/^Running: bash/);
+
+    // Keep the page busy while the output arrives, so it piles up beyond the high watermark.
+    // It stays well below the session's buffer, so nothing is dropped while paused.
+    await terminal.run('seq 1 200000; echo seq finished');
+    await page.evaluate(() => {
+      const end = Date.now() + 3000;
+      while (Date.now() < end) { /* busy */ }
+    });
+
+    await terminal.waitForLine(/^seq finished$/, { timeout: 40000 });
+    const { lines, outputPauses } = await terminal.read();
+    expect(outputPauses).toBeGreaterThan(0);
+    expect(lines).not.toContain('[output truncated]');
+
+    // The scrollback keeps the last numbers, which must be consecutive
+    const end = lines.indexOf('seq finished');
+    expect(lines.slice(end - 500, end)).toEqual(
+      Array.from({ length: 500 }, (_, i) => String(200000 - 499 + i)));
+
+    await terminal.run('exit');
+    await terminal.waitForReady();
+  });
+
+  test('reports calls for unknown terminals as structured errors', async ({ page, terminal }) => {
+    const result = await callModule(page, 'terminal.js', 'focus', 'terminal-missing');
+    expect(result).toEqual({
+      ok: false,
+      value: null,
+      error: { code: 'not-found', message: 'Terminal not found: terminal-missing' }
+    });
+
+    const size = await callModule(page, 'terminal.js', 'getSize', terminal.elementId);
+    expect(size.ok).toBe(true);
+    expect(size.value.cols).toBeGreaterThan(0);
+  });
+});